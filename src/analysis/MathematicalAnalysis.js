@@ -5,17 +5,20 @@
  */
 import React, { useState, useEffect, useMemo } from 'react';
 import { 
-    isInvertible, 
-    isSymplecticRuleMatrix, 
-    hasOrthogonalStabilizerPeriodic,
+    isSymplectic, 
     determinant,
-    ruleMatrixToLaurent,
-    initialStateToLaurent,
-    calculateLogicalQubits,
-    LaurentPolynomial
+    classifyDynamics,
+    ruleSequenceToLaurent,
+    laurentMatrixPeriod,
+    initialStateToLaurent
 } from './laurentPolynomial.js';
-import { polyToBinaryTableau } from './polyToTableau.js';
+import { hasOrthogonalStabilizer, buildStabilizerTableau, countLogicalQubits } from './stabilizerAnalysis.js';
+import { decomposeRule } from './circuitDecomposition.js';
+import { classifyRule, formatIndex } from './gnvwIndex.js';
+import { spacetimeCounts, estimateFractalDimension, predictedFractalDimension } from './fractalDimension.js';
+import { getRuleRadius } from '../simulation/automaton.js';
 import { findLogicalOperators, findDistance, computeEntanglement } from './stabilizerTools.js';
+import { formatPhase, parseCellLabel, identityCell } from '../simulation/clifford.js';
 
 /**
  * Property display component with status indicator
@@ -34,18 +37,356 @@ const PropertyDisplay = React.memo(({ name, isValid, details }) => {
     );
 });
 
-// Import PAULI directly to avoid import in effect
-const PAULI = {
-    I: [0, 0],
-    X: [1, 0],
-    Z: [0, 1],
-    Y: [1, 1]
-};
+/**
+ * Panel plotting the recurrence period of the rule against the ring size N
+ * For a rule sequence of period T the period counts steps, i.e. T times the
+ * order of the one-period matrix
+ */
+function RecurrencePeriodPanel({ ruleSequence, modulus, latticeSize }) {
+    const [range, setRange] = useState({ from: 1, to: 32 });
+    const [maxPeriod, setMaxPeriod] = useState(10000);
+    const [periods, setPeriods] = useState(null);
+    
+    // Results are stale as soon as the rule changes (compared by value, as the
+    // analysis receives fresh copies of the same matrices)
+    const ruleKey = JSON.stringify(ruleSequence);
+    useEffect(() => setPeriods(null), [ruleKey, modulus]);
+    
+    const computePeriods = () => {
+        const laurentMatrix = ruleSequenceToLaurent(ruleSequence, modulus);
+        const T = ruleSequence.length;
+        const results = [];
+        for (let N = range.from; N <= range.to; N++) {
+            const order = laurentMatrixPeriod(laurentMatrix, N, Math.ceil(maxPeriod / T));
+            results.push({ N, period: order === null || order === Infinity ? order : order * T });
+        }
+        setPeriods(results);
+    };
+    
+    const updateRange = (field, value) => {
+        const n = parseInt(value, 10);
+        if (!isNaN(n) && n > 0) setRange(prev => ({ ...prev, [field]: n }));
+    };
+    
+    // Log-scale plot, with rings that exceed the limit (red) or on which the rule is
+    // not invertible (grey) drawn as hollow points on top
+    const width = 300;
+    const height = 140;
+    const found = periods ? periods.filter(p => Number.isFinite(p.period)) : [];
+    const periodText = (N, period) => {
+        if (period === Infinity) return `not invertible on ${N} sites`;
+        return period === null ? `none up to ${maxPeriod}` : `period ${period}`;
+    };
+    const maxLog = Math.log2(Math.max(maxPeriod, 2));
+    const xOf = N => 30 + ((N - range.from) / Math.max(range.to - range.from, 1)) * 240;
+    const yOf = period => 20 + (1 - Math.log2(period) / maxLog) * 90;
+    const current = periods && periods.find(p => p.N === latticeSize);
+    
+    return (
+        <div className="trajectory-chart">
+            <h4>Recurrence Period</h4>
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px', flexWrap: 'wrap' }}>
+                <label>N from</label>
+                <input type="number" min="1" value={range.from} onChange={(e) => updateRange('from', e.target.value)} style={{ width: '50px' }} />
+                <label>to</label>
+                <input type="number" min="1" value={range.to} onChange={(e) => updateRange('to', e.target.value)} style={{ width: '50px' }} />
+                <label>max</label>
+                <input type="number" min="1" value={maxPeriod} onChange={(e) => setMaxPeriod(parseInt(e.target.value, 10) || 1)} style={{ width: '70px' }} />
+                <button type="button" onClick={computePeriods} disabled={range.from > range.to}>Compute</button>
+            </div>
+            {periods && (
+                <svg width={width} height={height}>
+                    <line x1="25" y1="20" x2="25" y2="110" stroke="#e5e7eb" strokeWidth="1"/>
+                    <line x1="25" y1="110" x2="275" y2="110" stroke="#e5e7eb" strokeWidth="1"/>
+                    <polyline
+                        points={found.map(p => `${xOf(p.N)},${yOf(p.period)}`).join(' ')}
+                        stroke="#2563eb"
+                        strokeWidth="1"
+                        strokeOpacity="0.4"
+                        fill="none"
+                    />
+                    {periods.map(({ N, period }) => (
+                        <circle
+                            key={N}
+                            cx={xOf(N)}
+                            cy={Number.isFinite(period) ? yOf(period) : 14}
+                            r="3"
+                            fill={Number.isFinite(period) ? '#2563eb' : '#ffffff'}
+                            stroke={period === Infinity ? '#6b7280' : (period === null ? '#DB4437' : '#ffffff')}
+                            strokeWidth="1.5"
+                        >
+                            <title>{`N = ${N}: ${periodText(N, period)}`}</title>
+                        </circle>
+                    ))}
+                    <text x="20" y="25" fontSize="10" fill="#6b7280" textAnchor="end">{maxPeriod}</text>
+                    <text x="20" y="110" fontSize="10" fill="#6b7280" textAnchor="end">1</text>
+                    <text x="30" y="125" fontSize="9" fill="#6b7280" textAnchor="start">{range.from}</text>
+                    <text x="270" y="125" fontSize="9" fill="#6b7280" textAnchor="end">{range.to}</text>
+                    <text x="150" y="137" fontSize="11" fill="#374151" textAnchor="middle">Ring size N (log-scale period)</text>
+                </svg>
+            )}
+            {current && (
+                <div className="property-details">
+                    {current.period === Infinity && `N = ${latticeSize}: the rule is not invertible on ${latticeSize} sites, so states need not recur`}
+                    {current.period === null && `N = ${latticeSize}: no recurrence within ${maxPeriod} steps`}
+                    {Number.isFinite(current.period) && `N = ${latticeSize}: every state recurs after ${current.period} steps`}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Sites and spacing of the circuit diagram
+const CIRCUIT_WIRES = 5;
+const WIRE_SPACING = 24;
+const GATE_SPACING = 30;
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+/**
+ * Name of a local gate of a circuit decomposition (the Fourier gate is the Hadamard gate for qubits)
+ */
+function gateLabel({ gate, power }, modulus) {
+    if (gate === 'F') return modulus === 2 ? 'H' : 'F';
+    return power === 1 ? 'S' : `S${SUPERSCRIPT_DIGITS[power]}`;
+}
+
+/**
+ * Panel drawing the rule as a shift times a circuit of local gates and controlled-Z layers
+ * Time runs from left to right over a few sites of the lattice; every CZ layer
+ * is drawn as two brickwork rounds, as the gates on overlapping pairs commute
+ * but cannot act at once.
+ */
+function CircuitDecompositionPanel({ ruleSequence, modulus }) {
+    const decomposition = useMemo(() => {
+        try {
+            return decomposeRule(ruleSequenceToLaurent(ruleSequence, modulus));
+        } catch (error) {
+            return { error: error.message };
+        }
+    }, [ruleSequence, modulus]);
+    
+    if (decomposition.error) {
+        return (
+            <div className="trajectory-chart">
+                <h4>Circuit Decomposition</h4>
+                <div className="property-details">{decomposition.error}</div>
+            </div>
+        );
+    }
+    
+    // One column per gate of a local layer and per brickwork round of a CZ layer
+    const columns = [];
+    decomposition.layers.forEach(layer => {
+        if (layer.type === 'local') {
+            layer.gates.forEach(gate => columns.push({ type: 'gate', label: gateLabel(gate, modulus) }));
+            return;
+        }
+        layer.couplings.forEach(({ distance, power }) => {
+            [0, 1].forEach(round => {
+                const bonds = [];
+                for (let i = 0; i + distance < CIRCUIT_WIRES; i++) {
+                    if (Math.floor(i / distance) % 2 === round) bonds.push(i);
+                }
+                columns.push({ type: 'cz', distance, power, bonds });
+            });
+        });
+    });
+    if (decomposition.shift !== 0) {
+        columns.push({ type: 'shift' });
+    }
+    
+    const width = 50 + Math.max(columns.length, 1) * GATE_SPACING;
+    const height = 20 + CIRCUIT_WIRES * WIRE_SPACING;
+    const yOf = wire => 20 + wire * WIRE_SPACING;
+    const xOf = column => 55 + column * GATE_SPACING;
+    const middle = Math.floor(CIRCUIT_WIRES / 2);
+    const { shift, depth, range } = decomposition;
+    
+    return (
+        <div className="trajectory-chart">
+            <h4>Circuit Decomposition</h4>
+            <div style={{ overflowX: 'auto' }}>
+                <svg width={width} height={height}>
+                    {Array.from({ length: CIRCUIT_WIRES }, (_, wire) => (
+                        <g key={wire}>
+                            <line x1="35" y1={yOf(wire)} x2={width - 5} y2={yOf(wire)} stroke="#9ca3af" strokeWidth="1"/>
+                            <text x="30" y={yOf(wire) + 4} fontSize="10" fill="#6b7280" textAnchor="end">
+                                {wire === middle ? 'i' : `i${wire < middle ? '−' : '+'}${Math.abs(wire - middle)}`}
+                            </text>
+                        </g>
+                    ))}
+                    {columns.map((column, c) => {
+                        const x = xOf(c);
+                        if (column.type === 'gate') {
+                            return (
+                                <g key={c}>
+                                    {Array.from({ length: CIRCUIT_WIRES }, (_, wire) => (
+                                        <g key={wire}>
+                                            <rect x={x - 9} y={yOf(wire) - 9} width="18" height="18" fill="#ffffff" stroke="#2563eb" strokeWidth="1"/>
+                                            <text x={x} y={yOf(wire) + 4} fontSize="10" fill="#1f2937" textAnchor="middle">{column.label}</text>
+                                        </g>
+                                    ))}
+                                </g>
+                            );
+                        }
+                        if (column.type === 'cz') {
+                            return (
+                                <g key={c}>
+                                    {column.bonds.map(i => {
+                                        // Pairs that overlap in the same round are drawn side by side
+                                        const bx = x - 6 + (i % column.distance) * (12 / column.distance);
+                                        return (
+                                            <g key={i}>
+                                                <line x1={bx} y1={yOf(i)} x2={bx} y2={yOf(i + column.distance)} stroke="#1f2937" strokeWidth="1.5"/>
+                                                <circle cx={bx} cy={yOf(i)} r="3" fill="#1f2937"/>
+                                                <circle cx={bx} cy={yOf(i + column.distance)} r="3" fill="#1f2937"/>
+                                            </g>
+                                        );
+                                    })}
+                                    {column.power > 1 && (
+                                        <text x={x} y="10" fontSize="9" fill="#6b7280" textAnchor="middle">{`CZ${SUPERSCRIPT_DIGITS[column.power]}`}</text>
+                                    )}
+                                </g>
+                            );
+                        }
+                        return (
+                            <g key={c}>
+                                <rect x={x - 11} y={yOf(0) - 10} width="22" height={yOf(CIRCUIT_WIRES - 1) - yOf(0) + 20} fill="#fef3c7" stroke="#f59e0b" strokeWidth="1"/>
+                                <text x={x} y={yOf(middle) + 4} fontSize="11" fill="#92400e" textAnchor="middle">{shift > 0 ? '→' : '←'}</text>
+                            </g>
+                        );
+                    })}
+                </svg>
+            </div>
+            <div className="property-details">
+                {shift !== 0 && `Shift by ${Math.abs(shift)} site${Math.abs(shift) === 1 ? '' : 's'} to the ${shift > 0 ? 'right' : 'left'} × `}
+                {`${shift === 0 ? 'C' : 'c'}ircuit of depth ${depth}`}
+                {range > 0 && (range === 1 ? ' with nearest-neighbour CZ gates' : ` with CZ gates up to ${range} sites apart`)}
+                {shift === 0 ?
+                    ': the rule is a finite-depth circuit' :
+                    ': the rule is a finite-depth circuit only up to the shift'}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Panel estimating the fractal dimension of the simulated spacetime pattern
+ * The estimate reads the history of the running simulation, up to the step
+ * where the pattern could wrap around the ring or reach the ends of the chain,
+ * and is compared with the analytic dimension of the rule where one is known.
+ */
+function FractalDimensionPanel({ history, ruleSequence, modulus, boundary }) {
+    const [estimate, setEstimate] = useState(null); // Result of estimateFractalDimension, or {error}
+    
+    const ruleKey = JSON.stringify(ruleSequence);
+    useEffect(() => setEstimate(null), [ruleKey, modulus, boundary]);
+    
+    const prediction = useMemo(() => {
+        try {
+            return predictedFractalDimension(ruleSequenceToLaurent(ruleSequence, modulus));
+        } catch (error) {
+            return null;
+        }
+    }, [ruleSequence, modulus]);
+    
+    const computeEstimate = () => {
+        try {
+            const radius = Math.max(...ruleSequence.map(getRuleRadius));
+            const { counts, truncated } = spacetimeCounts(history, { radius, periodic: boundary === 'periodic' });
+            setEstimate({ ...estimateFractalDimension(counts, modulus), steps: counts.length - 1, truncated });
+        } catch (error) {
+            setEstimate({ error: error.message });
+        }
+    };
+    
+    // Log-log plot of the cell count against t, with the fitted line
+    const width = 300;
+    const height = 140;
+    const points = estimate && estimate.points ? estimate.points : [];
+    const maxLogT = points.length > 0 ? Math.log(points[points.length - 1].t) : 1;
+    const maxLogN = points.length > 0 ? Math.log(points[points.length - 1].total) : 1;
+    const xOf = t => 30 + (Math.log(t) / maxLogT) * 240;
+    const yOf = total => 110 - (Math.log(total) / maxLogN) * 90;
+    const last = points[points.length - 1];
+    
+    return (
+        <div className="trajectory-chart">
+            <h4>Fractal Dimension</h4>
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px' }}>
+                <button type="button" onClick={computeEstimate} disabled={!history}>Estimate from the run</button>
+                {!history && <span className="property-details">Start a simulation first</span>}
+            </div>
+            {estimate && estimate.error && <div className="property-details">{estimate.error}</div>}
+            {estimate && !estimate.error && (
+                <>
+                    <svg width={width} height={height}>
+                        <line x1="25" y1="20" x2="25" y2="110" stroke="#e5e7eb" strokeWidth="1"/>
+                        <line x1="25" y1="110" x2="275" y2="110" stroke="#e5e7eb" strokeWidth="1"/>
+                        <line
+                            x1={xOf(estimate.fitFrom)}
+                            y1={yOf(last.total * (estimate.fitFrom / last.t) ** estimate.dimension)}
+                            x2={xOf(last.t)}
+                            y2={yOf(last.total)}
+                            stroke="#DB4437"
+                            strokeWidth="1"
+                            strokeDasharray="4 2"
+                        />
+                        {points.map(({ t, total }) => (
+                            <circle key={t} cx={xOf(t)} cy={yOf(total)} r="3" fill="#2563eb" stroke="#ffffff" strokeWidth="1.5">
+                                <title>{`N(${t}) = ${total}`}</title>
+                            </circle>
+                        ))}
+                        <text x="20" y="25" fontSize="10" fill="#6b7280" textAnchor="end">{last.total}</text>
+                        <text x="270" y="125" fontSize="9" fill="#6b7280" textAnchor="end">{last.t}</text>
+                        <text x="150" y="137" fontSize="11" fill="#374151" textAnchor="middle">Non-identity cells N(t) up to step t (log-log)</text>
+                    </svg>
+                    <div className="property-details">
+                        {`D ≈ ${estimate.dimension.toFixed(3)} from a fit over t = ${estimate.fitFrom}…${last.t}`}
+                        {` (slope over t = ${last.t / modulus}…${last.t} alone: ${estimate.localDimensions[estimate.localDimensions.length - 1].dimension.toFixed(3)})`}
+                        {estimate.truncated && `; later steps left out, as the pattern could wrap around after step ${estimate.steps}`}
+                    </div>
+                </>
+            )}
+            <div className="property-details">
+                {prediction ?
+                    `Analytic prediction: D = ${prediction.formula}${prediction.dimension % 1 !== 0 ? ` ≈ ${prediction.dimension.toFixed(4)}` : ''}, as ${prediction.reason}` :
+                    'No analytic prediction is known for this rule'}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Describe the GNVW index of a rule and what it says about the rule
+ */
+function indexText({ index, kind }) {
+    const { logIndex, modulus } = index;
+    const sites = `${Math.abs(logIndex)} site${Math.abs(logIndex) === 1 ? '' : 's'} to the ${logIndex > 0 ? 'right' : 'left'}`;
+    const value = logIndex === 0 ? 'ind = 1' : `ind = ${formatIndex(index)} (log${'₀₁₂₃₄₅₆₇₈₉'[modulus]} ind = ${logIndex})`;
+    if (kind === 'circuit') return `${value}: a finite-depth circuit`;
+    if (kind === 'shift') return `${value}: a shift by ${sites}, up to single-cell gates`;
+    return `${value}: neither a circuit nor a shift, but a shift by ${sites} times a finite-depth circuit`;
+}
+
+/**
+ * Describe the orthogonal stabilizer condition for the given boundary conditions
+ */
+function stabilizerConditionText(isOrthogonal, boundary) {
+    const relation = isOrthogonal ? '=' : '≠';
+    return boundary === 'periodic'
+        ? `S(z) = X(z)Z(z⁻¹) + Z(z)X(z⁻¹) mod (x^N-1) ${relation} 0`
+        : `S(z) = X(z)Z(z⁻¹) + Z(z)X(z⁻¹) ${relation} 0 for |e| ≤ N-w (finite chain)`;
+}
+
+// The binary stabilizer formalism below (tableaux, logicals, distance) works over F2
+// with one qubit per cell only
+const QUDIT_STABILIZER_TEXT = 'Stabilizer analysis is only available for single-qubit cells with p = 2';
 
 /**
  * Mathematical Analysis component
  */
-export function MathematicalAnalysis({ ruleMatrix, pauliArray, operators, latticeSize, analysisStepTrigger, onPropertiesChange }) {
+export function MathematicalAnalysis({ ruleMatrix, ruleSequence = null, ruleOverrides = [], stepMetrics = null, history = null, operators, latticeSize, boundary = 'periodic', modulus = 2, globalPhase = null, onPropertiesChange }) {
     const [invertible, setInvertible] = useState(false);
     const [symplectic, setSymplectic] = useState(false);
     const [orthogonalStabilizer, setOrthogonalStabilizer] = useState(false);
@@ -53,6 +394,10 @@ export function MathematicalAnalysis({ ruleMatrix, pauliArray, operators, lattic
     const [codeDistance, setCodeDistance] = useState(0);
     const [invertibleDetails, setInvertibleDetails] = useState('');
     const [symplecticDetails, setSymplecticDetails] = useState('');
+    const [floquetDetails, setFloquetDetails] = useState('');
+    const [indexDetails, setIndexDetails] = useState('');
+    const [dynamicsClass, setDynamicsClass] = useState(null);
+    const [dynamicsDetails, setDynamicsDetails] = useState('');
     const [stabilizerDetails, setStabilizerDetails] = useState('');
     
     // Add state for code distance trajectory
@@ -64,66 +409,108 @@ export function MathematicalAnalysis({ ruleMatrix, pauliArray, operators, lattic
     // Keep the state but don't display it
     const [logicalQubitsDetails, setLogicalQubitsDetails] = useState('');
 
+    // Number of qubits per cell of the (2n×2n(2r+1)) rule matrix
+    const cellQubits = ruleMatrix ? ruleMatrix.length / 2 : 1;
+    const isQubitChain = modulus === 2 && cellQubits === 1;
+    
+    // A time-periodic drive is analysed through its effective one-period matrix
+    const isFloquet = Array.isArray(ruleSequence) && ruleSequence.length > 1;
+    const effectiveSequence = useMemo(
+        () => (isFloquet ? ruleSequence : [ruleMatrix]),
+        [isFloquet, ruleSequence, ruleMatrix]
+    );
+
     // Create synthetic state array from operators (for initial configuration analysis)
     const syntheticState = useMemo(() => {
         console.log("Building synthetic state from operators", operators);
         if (!operators || !latticeSize) return null;
         
         // Create state array
-        const newState = Array(latticeSize).fill().map(() => [...PAULI.I]);
+        const newState = Array(latticeSize).fill().map(() => identityCell(cellQubits));
             
         // Place operators
-        operators.forEach(op => {
-            if (op.position >= 0 && op.position < latticeSize) {
-                if (op.type === 'X') {
-                    newState[op.position] = [...PAULI.X];
-                } else if (op.type === 'Y') {
-                    newState[op.position] = [...PAULI.Y];
-                } else if (op.type === 'Z') {
-                    newState[op.position] = [...PAULI.Z];
+        try {
+            operators.forEach(op => {
+                if (op.position >= 0 && op.position < latticeSize) {
+                    newState[op.position] = parseCellLabel(op.type, cellQubits, modulus);
                 }
-            }
-        });
+            });
+        } catch (error) {
+            // Operators and rule matrix can be briefly out of sync while the cell size changes
+            console.warn("Operators do not match the cell size:", error.message);
+            return null;
+        }
         
         return newState;
-    }, [operators, latticeSize]);
+    }, [operators, latticeSize, modulus, cellQubits]);
 
-    // Analyze invertibility when rule matrix changes
+    // Analyze invertibility when rule matrix (or rule sequence) changes
     useEffect(() => {
-        if (!ruleMatrix || ruleMatrix.length !== 2) return;
+        if (!ruleMatrix || ruleMatrix.length % 2 !== 0) return;
         
         try {
             console.log("Matrix analysis effect running");
-            // Check invertibility
-            const isInv = isInvertible(ruleMatrix);
-            setInvertible(isInv);
+            // For a sequence M_1..M_k the effective matrix is M_k(x) ⋯ M_1(x)
+            const sequence = effectiveSequence;
+            const laurentMatrix = ruleSequenceToLaurent(sequence, modulus);
+            const M = isFloquet ? 'M_eff(x)' : 'M(x)';
             
-            // Get details about the determinant
-            const laurentMatrix = ruleMatrixToLaurent(ruleMatrix, 2);
+            // Check invertibility through the determinant
             const det = determinant(laurentMatrix);
-            setInvertibleDetails(`det(M(x)) = ${det.toString()}`);
+            setInvertible(det.isMonomial());
+            setInvertibleDetails(`det(${M}) = ${det.toString()}${modulus !== 2 ? ` (mod ${modulus})` : ''}`);
             
             // Check symplecticity
-            const isSymp = isSymplecticRuleMatrix(ruleMatrix);
+            const isSymp = isSymplectic(laurentMatrix);
             setSymplectic(isSymp);
+            const MInv = isFloquet ? 'M_eff(x⁻¹)' : 'M(x⁻¹)';
             setSymplecticDetails(isSymp ? 
-                "M(x⁻¹)ᵀ Ω M(x) = Ω" : 
-                "M(x⁻¹)ᵀ Ω M(x) ≠ Ω");
+                `${MInv}ᵀ Ω ${M} = Ω` : 
+                `${MInv}ᵀ Ω ${M} ≠ Ω`);
+            
+            // The index classifies the rule (of one period for a sequence)
+            setIndexDetails(det.isMonomial() && isSymp ?
+                `${indexText(classifyRule(laurentMatrix))}${isFloquet ? ' (per period)' : ''}` :
+                'Defined for invertible symplectic rules only');
+            
+            // Periodic, glider or fractal from the trace of M(x)
+            const dynamics = classifyDynamics(laurentMatrix);
+            setDynamicsClass(dynamics.dynamicsClass);
+            setDynamicsDetails(dynamics.dynamicsClass ?
+                `${dynamics.dynamicsClass[0].toUpperCase()}${dynamics.dynamicsClass.slice(1)}${isFloquet ? ' (per period)' : ''}: ${dynamics.justification}` :
+                dynamics.justification);
+            
+            setFloquetDetails(isFloquet ?
+                `M_eff(x) = M_${sequence.length}(x) ⋯ M_1(x) = [${laurentMatrix.map(row => row.map(p => p.toString()).join(', ')).join('; ')}]` :
+                '');
         } catch (error) {
             console.error("Error in matrix analysis:", error);
             setInvertibleDetails('Error calculating determinant');
             setSymplecticDetails('Error checking symplecticity');
+            setIndexDetails('');
+            setDynamicsClass(null);
+            setDynamicsDetails('');
+            setFloquetDetails('');
         }
-    }, [ruleMatrix]);
+    }, [ruleMatrix, effectiveSequence, isFloquet, modulus]);
 
     // Analyze stabilizer orthogonality for initial configuration when synthetic state changes
     useEffect(() => {
         console.log("Initial configuration analysis effect running, state:", syntheticState);
         if (!syntheticState) return;
         
+        if (!isQubitChain) {
+            setOrthogonalStabilizer(false);
+            setStabilizerDetails(QUDIT_STABILIZER_TEXT);
+            setLogicalQubits(0);
+            setCodeDistance(0);
+            setLogicalQubitsDetails(QUDIT_STABILIZER_TEXT);
+            return;
+        }
+        
         try {
-            // Check for orthogonal stabilizer with periodic boundary conditions
-            const isOrthogonal = hasOrthogonalStabilizerPeriodic(syntheticState, latticeSize);
+            // Check for orthogonal stabilizer with the selected boundary conditions
+            const isOrthogonal = hasOrthogonalStabilizer(syntheticState, latticeSize, boundary);
             console.log("Is orthogonal:", isOrthogonal);
             setOrthogonalStabilizer(isOrthogonal);
             
@@ -133,19 +520,13 @@ export function MathematicalAnalysis({ ruleMatrix, pauliArray, operators, lattic
             const zString = Z && typeof Z.toString === 'function' ? Z.toString() : '0';
             
             // Simplified display for orthogonal stabilizer - condition only
-            let detailsText;
-            
-            if (isOrthogonal) {
-                detailsText = "S(z) = X(z)Z(z⁻¹) + Z(z)X(z⁻¹) mod (x^N-1) = 0";
-            } else {
-                detailsText = "S(z) = X(z)Z(z⁻¹) + Z(z)X(z⁻¹) mod (x^N-1) ≠ 0";
-            }
+            const detailsText = stabilizerConditionText(isOrthogonal, boundary);
             
             setStabilizerDetails(detailsText);
 
             // Calculate logical qubits and binary stabilizer analysis for initial configuration
             if (isOrthogonal && latticeSize) {
-                const k = calculateLogicalQubits(syntheticState, latticeSize);
+                const k = countLogicalQubits(syntheticState, latticeSize, boundary);
                 console.log("=== BINARY STABILIZER ANALYSIS (Initial) ===");
                 console.log(`Logical qubits k = ${k}`);
                 
@@ -157,21 +538,13 @@ export function MathematicalAnalysis({ ruleMatrix, pauliArray, operators, lattic
                 let entanglement = 0;
                 
                 try {
-                    const { X, Z } = initialStateToLaurent(syntheticState);
-                    
-                    // Generate ALL cyclic shifts of the seed stabilizer (S0, S1, ..., S_{N-1})
-                    const allStabilizers = [];
-                    for (let shift = 0; shift < latticeSize; shift++) {
-                        // Create shifted versions by multiplying by x^shift
-                        const shiftedX = X.multiply(new LaurentPolynomial({[shift]: 1}, 2));
-                        const shiftedZ = Z.multiply(new LaurentPolynomial({[shift]: 1}, 2));
-                        allStabilizers.push({ X: shiftedX, Z: shiftedZ });
-                    }
-                    
-                    const binTableau = polyToBinaryTableau(allStabilizers, latticeSize);
+                    const binTableau = buildStabilizerTableau(syntheticState, latticeSize, boundary);
                     
                     // GUARD: Verify we have the full set of stabilizers
-                    if (binTableau.length !== latticeSize) {
+                    // (on a finite chain, the translates that fit inside the lattice)
+                    if (boundary !== 'periodic') {
+                        setStabilizerDetails(`${detailsText}; ${binTableau.length} translates fit inside ${latticeSize} sites`);
+                    } else if (binTableau.length !== latticeSize) {
                         console.error(`CRITICAL: Expected ${latticeSize} stabilizers, got ${binTableau.length}!`);
                         console.error("This means we're not passing the full cyclic shift set S0, S1, ..., S_{N-1}");
                     } else {
@@ -243,167 +616,31 @@ export function MathematicalAnalysis({ ruleMatrix, pauliArray, operators, lattic
             setStabilizerDetails('Error calculating Laurent polynomials');
             setLogicalQubitsDetails('Error calculating logical qubits');
         }
-    }, [syntheticState, latticeSize]);
+    }, [syntheticState, latticeSize, boundary, isQubitChain]);
 
-    // Simulation-step analysis (triggered by analysisStepTrigger)
+    // Metrics of the simulation steps, computed by the simulation worker
     useEffect(() => {
-        if (!pauliArray || !latticeSize || !analysisStepTrigger) {
+        if (!stepMetrics) {
             // Clear trajectory when no active simulation
-            console.log("Clearing trajectory - pauliArray:", !!pauliArray, "latticeSize:", latticeSize, "trigger:", analysisStepTrigger);
             setCodeDistanceTrajectory([]);
             setEntanglementTrajectory([]);
             return;
         }
         
-        console.log("Simulation-step analysis triggered:", analysisStepTrigger, "for pauliArray:", pauliArray);
+        const { index, isOrthogonal, logicalQubits: k, distance, entanglement } = stepMetrics;
+        setStabilizerDetails(stabilizerConditionText(isOrthogonal, boundary));
+        setLogicalQubits(k);
+        setCodeDistance(distance);
+        setLogicalQubitsDetails(isOrthogonal ?
+            `k = ${k} logical qubits` :
+            'Cannot calculate logical qubits (non-orthogonal stabilizer)');
         
-        try {
-            // Analyze the current simulation state
-            const isOrthogonal = hasOrthogonalStabilizerPeriodic(pauliArray, latticeSize);
-            
-            // Update stabilizer details for simulation state
-            const { X, Z } = initialStateToLaurent(pauliArray);
-            const xString = X && typeof X.toString === 'function' ? X.toString() : '0';
-            const zString = Z && typeof Z.toString === 'function' ? Z.toString() : '0';
-            
-            // Simplified display for orthogonal stabilizer - condition only
-            let detailsText;
-            
-            if (isOrthogonal) {
-                detailsText = "S(z) = X(z)Z(z⁻¹) + Z(z)X(z⁻¹) mod (x^N-1) = 0";
-            } else {
-                detailsText = "S(z) = X(z)Z(z⁻¹) + Z(z)X(z⁻¹) mod (x^N-1) ≠ 0";
-            }
-            
-            setStabilizerDetails(detailsText);
-            
-            // Only update logical qubits and code distance for simulation steps
-            if (isOrthogonal && latticeSize) {
-                const k = calculateLogicalQubits(pauliArray, latticeSize);
-                console.log(`=== BINARY STABILIZER ANALYSIS Step ${analysisStepTrigger} ===`);
-                console.log(`Logical qubits k = ${k}`);
-                
-                setLogicalQubits(k);
-                setLogicalQubitsDetails(`k = ${k} logical qubits`);
-                
-                // Binary tableau analysis - always compute entanglement, even when k=0
-                let d = 0;
-                let entanglement = 0;
-                
-                try {
-                    const { X, Z } = initialStateToLaurent(pauliArray);
-                    
-                    // Generate ALL cyclic shifts of the seed stabilizer (S0, S1, ..., S_{N-1})
-                    const allStabilizers = [];
-                    for (let shift = 0; shift < latticeSize; shift++) {
-                        // Create shifted versions by multiplying by x^shift
-                        const shiftedX = X.multiply(new LaurentPolynomial({[shift]: 1}, 2));
-                        const shiftedZ = Z.multiply(new LaurentPolynomial({[shift]: 1}, 2));
-                        allStabilizers.push({ X: shiftedX, Z: shiftedZ });
-                    }
-                    
-                    const binTableau = polyToBinaryTableau(allStabilizers, latticeSize);
-                    
-                    // GUARD: Verify we have the full set of stabilizers
-                    if (binTableau.length !== latticeSize) {
-                        console.error(`CRITICAL (Step ${analysisStepTrigger}): Expected ${latticeSize} stabilizers, got ${binTableau.length}!`);
-                        console.error("This means we're not passing the full cyclic shift set S0, S1, ..., S_{N-1}");
-                    } else {
-                        console.log(`✓ CORRECT (Step ${analysisStepTrigger}): Generated all ${binTableau.length} cyclic shifts (S0, S1, ..., S${latticeSize-1})`);
-                    }
-                    
-                    // Debug: Show binary tableau for simulation step
-                    console.log(`=== BINARY STABILIZER TABLEAU Step ${analysisStepTrigger} ===`);
-                    binTableau.forEach((row, index) => {
-                        const xPart = Array.from(row.slice(0, latticeSize));
-                        const zPart = Array.from(row.slice(latticeSize));
-                        console.log(`Stabilizer ${index}: X=[${xPart.join(',')}] Z=[${zPart.join(',')}]`);
-                    });
-                    console.log("================================================");
-                    
-                    // Always compute entanglement from stabilizer tableau
-                    entanglement = computeEntanglement(binTableau, []);
-                    
-                    // Only compute distance when k > 0 (requires logical operators)
-                    if (k > 0) {
-                        const logicals = findLogicalOperators(binTableau, k);
-                        const binaryDistance = findDistance(binTableau, logicals);
-                        
-                        // Update entanglement calculation with logical operators if available
-                        entanglement = computeEntanglement(binTableau, logicals);
-                        
-                        d = binaryDistance;
-                        
-                        // Debug: Show actual logical operators
-                        console.log(`DEBUG: About to check if logicals.length (${logicals.length}) > 0`);
-                        if (logicals.length > 0) {
-                            console.log(`=== LOGICAL OPERATORS Step ${analysisStepTrigger} (Binary Stabilizer Formalism) ===`);
-                            logicals.forEach((logical, index) => {
-                                const xPart = Array.from(logical.slice(0, latticeSize));
-                                const zPart = Array.from(logical.slice(latticeSize));
-                                const weight = xPart.reduce((sum, x, i) => sum + (x || zPart[i] ? 1 : 0), 0);
-                                console.log(`Logical ${index}: X=[${xPart.join(',')}] Z=[${zPart.join(',')}] weight=${weight}`);
-                            });
-                            console.log("=======================================================");
-                        }
-                    }
-                    
-                    // Output key results immediately (regardless of k value)
-                    const logicalCount = k > 0 ? findLogicalOperators(binTableau, k).length : 0;
-                    console.log(`📊 RESULTS (Step ${analysisStepTrigger}): Distance=${d}, Entanglement=${entanglement}, Logicals=${k > 0 ? `${logicalCount}/${2*k}` : 'N/A (k=0)'}`);
-                    
-                    console.log("Simulation step - Binary analysis:", {
-                        distance: d,
-                        entanglement,
-                        logicalCount: logicalCount,
-                        k: k,
-                        tableauRows: binTableau.length
-                    });
-                    
-                    // Enhanced entanglement output
-                    console.log(`🔗 ENTANGLEMENT (Step ${analysisStepTrigger}): ${entanglement}`);
-                    
-                } catch (error) {
-                    console.error("Error in binary tableau analysis:", error);
-                }
-                setCodeDistance(d);
-                
-                // Update code distance trajectory
-                setCodeDistanceTrajectory(prev => {
-                    const newTrajectory = [...prev, { step: analysisStepTrigger, distance: d }];
-                    console.log("Updating trajectory:", newTrajectory);
-                    // Keep full trajectory from the first time step
-                    return newTrajectory;
-                });
-                
-                // Update entanglement trajectory (always update, even when k=0)
-                setEntanglementTrajectory(prev => {
-                    const newTrajectory = [...prev, { step: analysisStepTrigger, entanglement }];
-                    console.log("Updating entanglement trajectory:", newTrajectory);
-                    return newTrajectory;
-                });
-            } else {
-                setLogicalQubits(0);
-                setCodeDistance(0);
-                setLogicalQubitsDetails('Cannot calculate logical qubits (non-orthogonal stabilizer)');
-                
-                // Update trajectory with distance 0
-                setCodeDistanceTrajectory(prev => {
-                    const newTrajectory = [...prev, { step: analysisStepTrigger, distance: 0 }];
-                    return newTrajectory;
-                });
-                
-                // Update entanglement trajectory with 0
-                setEntanglementTrajectory(prev => {
-                    const newTrajectory = [...prev, { step: analysisStepTrigger, entanglement: 0 }];
-                    return newTrajectory;
-                });
-            }
-        } catch (error) {
-            console.error("Error in simulation-step analysis:", error);
-            setLogicalQubitsDetails('Error calculating logical qubits');
-        }
-    }, [analysisStepTrigger, pauliArray, latticeSize]);
+        // A metric for an earlier history index means the simulation restarted (jump or reset)
+        const append = (trajectory, point) =>
+            (trajectory.length > 0 && trajectory[trajectory.length - 1].step >= index ? [point] : [...trajectory, point]);
+        setCodeDistanceTrajectory(prev => append(prev, { step: index, distance }));
+        setEntanglementTrajectory(prev => append(prev, { step: index, entanglement }));
+    }, [stepMetrics, boundary]);
 
     // Notify parent component when properties change
     useEffect(() => {
@@ -431,6 +668,13 @@ export function MathematicalAnalysis({ ruleMatrix, pauliArray, operators, lattic
 
     return (
         <div className="mathematical-analysis">
+            {ruleOverrides.length > 0 && (
+                <PropertyDisplay 
+                    name="Translation Invariance" 
+                    isValid={false} 
+                    details={`${ruleOverrides.length} rule region${ruleOverrides.length === 1 ? '' : 's'} break translation invariance, so the Laurent polynomial description no longer holds: det(M(x)), symplecticity, the recurrence period and the stabilizer analysis below describe the default rule only`} 
+                />
+            )}
             <PropertyDisplay 
                 name="Invertibility" 
                 isValid={invertible} 
@@ -441,11 +685,52 @@ export function MathematicalAnalysis({ ruleMatrix, pauliArray, operators, lattic
                 isValid={symplectic} 
                 details={symplecticDetails} 
             />
+            <PropertyDisplay 
+                name="GNVW Index" 
+                isValid={invertible && symplectic} 
+                details={indexDetails} 
+            />
+            <PropertyDisplay 
+                name="Dynamics Class" 
+                isValid={dynamicsClass !== null} 
+                details={dynamicsDetails} 
+            />
+            {isFloquet && (
+                <PropertyDisplay 
+                    name={`Floquet Period (T = ${ruleSequence.length})`} 
+                    isValid={invertible && symplectic} 
+                    details={floquetDetails} 
+                />
+            )}
+            {cellQubits === 1 && invertible && symplectic && (
+                <CircuitDecompositionPanel 
+                    ruleSequence={effectiveSequence}
+                    modulus={modulus}
+                />
+            )}
+            <RecurrencePeriodPanel 
+                ruleSequence={effectiveSequence}
+                modulus={modulus}
+                latticeSize={latticeSize}
+            />
+            <FractalDimensionPanel 
+                history={history}
+                ruleSequence={effectiveSequence}
+                modulus={modulus}
+                boundary={boundary}
+            />
             <PropertyDisplay 
                 name="Orthogonal Stabilizer" 
                 isValid={orthogonalStabilizer} 
                 details={stabilizerDetails} 
             />
+            {globalPhase !== null && (
+                <PropertyDisplay 
+                    name="Global Phase" 
+                    isValid={globalPhase % 2 === 0} 
+                    details={`P(t) = ${formatPhase(globalPhase)} · ⊗ Pⱼ (${globalPhase % 2 === 0 ? 'Hermitian' : 'anti-Hermitian'})`} 
+                />
+            )}
         </div>
     );
 } 
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * recurrencePeriod against stepping the automaton until its states return
+ */
+import { CliffordQCA, PRESETS, getCellQubits } from '../../simulation/automaton.js';
+import { laurentMatrixPeriod, recurrencePeriod, ruleSequenceToLaurent } from '../laurentPolynomial.js';
+
+const MAX_PERIOD = 200;
+const BRICKWORK = PRESETS['Brickwork (CZ + H)'];
+
+const RULES = [
+    { name: 'Fractal', ruleMatrix: PRESETS['Fractal'].ruleMatrix, modulus: 2 },
+    { name: 'Glider', ruleMatrix: PRESETS['Glider'].ruleMatrix, modulus: 2 },
+    { name: 'Periodic', ruleMatrix: PRESETS['Periodic'].ruleMatrix, modulus: 2 },
+    { name: 'qutrits', ruleMatrix: PRESETS['Qutrit Fractal'].ruleMatrix, modulus: 3 },
+    { name: 'two-qubit cells', ruleMatrix: PRESETS['Qubit Shift'].ruleMatrix, modulus: 2 }
+];
+
+/**
+ * Smallest number of steps after which every state on the ring recurs, by stepping
+ * By linearity and translation invariance it suffices that each single Pauli
+ * component on site 0 returns; null if that takes more than MAX_PERIOD steps.
+ */
+function steppedPeriod(ruleSequence, N, modulus) {
+    const components = 2 * getCellQubits(ruleSequence[0]);
+    const automata = Array.from({ length: components }, (_, c) => {
+        const qca = new CliffordQCA(N, ruleSequence[0], { modulus, ruleSequence });
+        const state = Array.from({ length: N }, () => Array(components).fill(0));
+        state[0][c] = 1;
+        qca.setState(state);
+        return { qca, initial: qca.getState() };
+    });
+    for (let t = 1; t <= MAX_PERIOD * ruleSequence.length; t++) {
+        automata.forEach(({ qca }) => qca.step());
+        if (t % ruleSequence.length === 0 && automata.every(({ qca, initial }) => equalStates(qca.getState(), initial))) {
+            return t;
+        }
+    }
+    return null;
+}
+
+function equalStates(a, b) {
+    return a.every((cell, i) => cell.every((value, c) => value === b[i][c]));
+}
+
+describe('recurrencePeriod', () => {
+    test.each(RULES)('is the number of steps until every state recurs: $name', ({ ruleMatrix, modulus }) => {
+        for (let N = 2; N <= 12; N++) {
+            expect([N, recurrencePeriod(ruleMatrix, N, modulus, MAX_PERIOD)]).toEqual([N, steppedPeriod([ruleMatrix], N, modulus)]);
+        }
+    });
+
+    test('counts whole periods of a rule sequence', () => {
+        for (let N = 2; N <= 8; N++) {
+            const order = laurentMatrixPeriod(ruleSequenceToLaurent(BRICKWORK.ruleSequence, 2), N, MAX_PERIOD);
+            expect([N, order * BRICKWORK.ruleSequence.length]).toEqual([N, steppedPeriod(BRICKWORK.ruleSequence, N, 2)]);
+        }
+    });
+
+    test('reports rules that are not invertible on the ring', () => {
+        const ruleMatrix = PRESETS['Wolfram 150 Rule'].ruleMatrix;
+        for (let N = 2; N <= 6; N++) {
+            expect(recurrencePeriod(ruleMatrix, N)).toBe(Infinity);
+            
+            // Some nonzero state is mapped to the identity, so the step is not a bijection
+            const qca = new CliffordQCA(N, ruleMatrix);
+            const annihilated = Array.from({ length: 4 ** N - 1 }, (_, k) => k + 1).some(code => {
+                qca.setState(Array.from({ length: N }, (_, i) => [(code >> (2 * i)) & 1, (code >> (2 * i + 1)) & 1]));
+                qca.step();
+                return qca.getState().every(cell => cell.every(value => value === 0));
+            });
+            expect(annihilated).toBe(true);
+        }
+    });
+
+    test('gives up beyond maxPeriod', () => {
+        const ruleMatrix = PRESETS['Fractal'].ruleMatrix;
+        const period = recurrencePeriod(ruleMatrix, 11);
+        expect(recurrencePeriod(ruleMatrix, 11, 2, period - 1)).toBeNull();
+        expect(recurrencePeriod(ruleMatrix, 11, 2, period)).toBe(period);
+    });
+});
@@ -0,0 +1,335 @@
+/**
+ * Decomposition of Clifford QCAs into a shift and a circuit
+ *
+ * Every 1D Clifford QCA is a lattice shift times a finite-depth circuit. For
+ * one qudit per cell, decomposeRule finds such a factorisation of M(x) with a
+ * Euclidean algorithm on its first column (a, c). Symplecticity makes
+ * a(x⁻¹)c(x) symmetric, so a and c are centred on the same exponent and a
+ * symmetric shear [[1, f], [0, 1]] or [[1, 0], [g, 1]], with f(x⁻¹) = f(x),
+ * cancels both end terms of the longer entry. Once an entry vanishes, what is
+ * left is a shift x^k, a diagonal gate and one more shear.
+ *
+ * In circuit form a constant shear is a single-site gate, the rest of a lower
+ * shear is a layer of controlled-Z gates, and the rest of an upper shear is
+ * such a layer conjugated by Fourier (Hadamard) gates. The circuit found is not
+ * necessarily the shallowest one.
+ */
+
+import {
+    LaurentPolynomial,
+    determinant,
+    multiplyMatrices,
+    identityMatrix,
+    isSymplectic
+} from './laurentPolynomial.js';
+
+// Local gates found by breadth-first search, per modulus
+const gateWords = new Map();
+
+/**
+ * Reduce a coefficient into 0..p-1
+ * @param {number} value - Integer coefficient
+ * @param {number} modulus - Prime local dimension p
+ * @returns {number} - Residue mod p
+ */
+function mod(value, modulus) {
+    return ((value % modulus) + modulus) % modulus;
+}
+
+/**
+ * Multiplicative inverse of a nonzero residue mod p
+ * @param {number} value - Residue in 1..p-1
+ * @param {number} modulus - Prime local dimension p
+ * @returns {number} - Inverse residue
+ */
+function inverseMod(value, modulus) {
+    for (let inverse = 1; inverse < modulus; inverse++) {
+        if ((value * inverse) % modulus === 1) return inverse;
+    }
+    throw new Error(`${value} has no inverse mod ${modulus}`);
+}
+
+/**
+ * Lowest and highest exponent of a nonzero Laurent polynomial
+ * @param {LaurentPolynomial} poly - Laurent polynomial
+ * @returns {Object|null} - {low, high}, or null for the zero polynomial
+ */
+function exponentRange(poly) {
+    const exponents = Object.keys(poly.coeffs).map(exp => parseInt(exp, 10));
+    if (exponents.length === 0) return null;
+    return { low: Math.min(...exponents), high: Math.max(...exponents) };
+}
+
+/**
+ * Symmetric Laurent polynomial c·(x^m + x^-m), or the constant c for m = 0
+ * @param {number} coefficient - Coefficient c
+ * @param {number} m - Exponent m ≥ 0
+ * @param {number} modulus - Prime local dimension p
+ * @returns {LaurentPolynomial} - Symmetric polynomial
+ */
+function symmetricTerm(coefficient, m, modulus) {
+    return new LaurentPolynomial(m === 0 ? { 0: coefficient } : { [m]: coefficient, [-m]: coefficient }, modulus);
+}
+
+/**
+ * 2×2 Laurent matrix of a shear
+ * @param {LaurentPolynomial} poly - Off-diagonal entry
+ * @param {boolean} upper - [[1, poly], [0, 1]] if true, [[1, 0], [poly, 1]] otherwise
+ * @returns {Array} - 2×2 Laurent matrix
+ */
+function shear(poly, upper) {
+    const matrix = identityMatrix(2, poly.modulus);
+    matrix[upper ? 0 : 1][upper ? 1 : 0] = poly;
+    return matrix;
+}
+
+/**
+ * Split a symmetric shear polynomial into its constant and its couplings
+ * @param {LaurentPolynomial} poly - f with f(x⁻¹) = f(x)
+ * @returns {Object} - {constant, couplings: [{distance, power}]} with f = constant + Σ power·(x^d + x^-d)
+ */
+function splitSymmetric(poly) {
+    const couplings = [];
+    Object.entries(poly.coeffs).forEach(([exp, coeff]) => {
+        const exponent = parseInt(exp, 10);
+        if ((poly.coeffs[-exponent] || 0) !== coeff) {
+            throw new Error(`Shear ${poly.toString()} is not symmetric under x -> x⁻¹`);
+        }
+        if (exponent > 0) couplings.push({ distance: exponent, power: coeff });
+    });
+    couplings.sort((a, b) => a.distance - b.distance);
+    return { constant: poly.coeffs[0] || 0, couplings };
+}
+
+/**
+ * Add the couplings of two CZ layers, which commute
+ * @param {Array} first - Couplings [{distance, power}]
+ * @param {Array} second - Couplings [{distance, power}]
+ * @param {number} modulus - Prime local dimension p
+ * @returns {Array} - Couplings of the combined layer, without zero powers, by distance
+ */
+function addCouplings(first, second, modulus) {
+    const powers = new Map();
+    [...first, ...second].forEach(({ distance, power }) => {
+        powers.set(distance, mod((powers.get(distance) || 0) + power, modulus));
+    });
+    return [...powers]
+        .filter(([, power]) => power !== 0)
+        .map(([distance, power]) => ({ distance, power }))
+        .sort((x, y) => x.distance - y.distance);
+}
+
+/**
+ * Product of 2×2 constant matrices mod p
+ * @param {Array} A - 2×2 matrix of residues
+ * @param {Array} B - 2×2 matrix of residues
+ * @param {number} modulus - Prime local dimension p
+ * @returns {Array} - A·B
+ */
+function multiplyConstant(A, B, modulus) {
+    return [0, 1].map(i => [0, 1].map(j => mod(A[i][0] * B[0][j] + A[i][1] * B[1][j], modulus)));
+}
+
+/**
+ * Constant part of a 2×2 Laurent matrix, or null if it depends on x
+ * @param {Array} matrix - 2×2 Laurent matrix
+ * @returns {Array|null} - 2×2 matrix of residues
+ */
+function constantPart(matrix) {
+    const isConstant = matrix.every(row => row.every(poly => Object.keys(poly.coeffs).every(exp => exp === '0')));
+    return isConstant ? matrix.map(row => row.map(poly => poly.coeffs[0] || 0)) : null;
+}
+
+/**
+ * Shortest words in the Fourier gate F and the phase gates S^c for every local Clifford
+ * F = [[0, -1], [1, 0]] (the Hadamard gate for qubits) and S^c = [[1, 0], [c, 1]]
+ * generate SL(2, F_p), the single-site Clifford group up to Paulis.
+ * @param {number} modulus - Prime local dimension p
+ * @returns {Map} - Key "a,b,c,d" of the matrix -> gates [{gate: 'F' | 'S', power}] in the order they act
+ */
+function localGateWords(modulus) {
+    if (gateWords.has(modulus)) return gateWords.get(modulus);
+
+    const generators = [{ gate: 'F', power: 1, matrix: [[0, mod(-1, modulus)], [1, 0]] }];
+    for (let c = 1; c < modulus; c++) {
+        generators.push({ gate: 'S', power: c, matrix: [[1, 0], [c, 1]] });
+    }
+
+    const words = new Map([['1,0,0,1', []]]);
+    let frontier = [[[1, 0], [0, 1]]];
+    while (frontier.length > 0) {
+        const next = [];
+        frontier.forEach(matrix => {
+            const word = words.get(matrix.flat().join(','));
+            generators.forEach(({ gate, power, matrix: generator }) => {
+                // The new gate acts after the word, so it multiplies from the left
+                const product = multiplyConstant(generator, matrix, modulus);
+                const key = product.flat().join(',');
+                if (!words.has(key)) {
+                    words.set(key, [...word, { gate, power }]);
+                    next.push(product);
+                }
+            });
+        });
+        frontier = next;
+    }
+
+    gateWords.set(modulus, words);
+    return words;
+}
+
+/**
+ * Factor the Laurent matrix of a one-qudit-per-cell Clifford QCA into a shift and circuit layers
+ * @param {Array} laurentMatrix - 2×2 symplectic Laurent matrix M(x) with monomial determinant
+ * @returns {Object} - {modulus, shift, layers, depth, range}: the layers act in order, then the
+ *                     lattice shifts by shift sites to the right. A layer is {type: 'local', matrix,
+ *                     gates} (the same single-site gate on every cell, written as a word in F and S)
+ *                     or {type: 'cz', couplings: [{distance, power}]} (CZ^power between all
+ *                     pairs of sites distance apart). range is the largest distance of a CZ layer.
+ */
+export function decomposeRule(laurentMatrix) {
+    if (laurentMatrix.length !== 2) {
+        throw new Error("Circuit decomposition is only available for one qudit per cell");
+    }
+    const modulus = laurentMatrix[0][0].modulus;
+    if (!determinant(laurentMatrix).isMonomial() || !isSymplectic(laurentMatrix)) {
+        throw new Error("Only invertible symplectic rules have a circuit decomposition");
+    }
+
+    // Reduce the first column: reductions[t-1] ⋯ reductions[0] · M = N
+    const reductions = [];
+    let N = laurentMatrix;
+    const apply = factor => {
+        reductions.push(factor);
+        N = multiplyMatrices(factor, N);
+    };
+
+    for (;;) {
+        const a = exponentRange(N[0][0]);
+        const c = exponentRange(N[1][0]);
+        if (!a || !c) break;
+
+        // Both entries share their centre, so the longer one exceeds the other by m at each end
+        const upper = a.high - a.low >= c.high - c.low;
+        const [long, short] = upper ? [N[0][0], N[1][0]] : [N[1][0], N[0][0]];
+        const m = upper ? a.high - c.high : c.high - a.high;
+        const top = Math.max(a.high, c.high);
+        const alpha = mod(-long.coeffs[top] * inverseMod(short.coeffs[top - m], modulus), modulus);
+        apply(shear(symmetricTerm(alpha, m, modulus), upper));
+    }
+
+    // A vanishing a(x) is swapped into place by a Fourier gate
+    if (exponentRange(N[0][0]) === null) {
+        apply([
+            [new LaurentPolynomial({}, modulus), new LaurentPolynomial({ 0: -1 }, modulus)],
+            [new LaurentPolynomial({ 0: 1 }, modulus), new LaurentPolynomial({}, modulus)]
+        ]);
+    }
+
+    // N = x^k [[λ, f], [0, λ⁻¹]] = x^k · diag(λ, λ⁻¹) · [[1, λ⁻¹ f], [0, 1]]
+    const k = N[0][0].getMonomialDegree();
+    const lambda = N[0][0].coeffs[k];
+    const lambdaInverse = inverseMod(lambda, modulus);
+    const finalShear = N[0][1].multiply(LaurentPolynomial.monomial(-k, lambdaInverse, modulus));
+
+    // Time order: the final shear, the diagonal gate, then the inverse reductions, latest first
+    const factors = [
+        { upper: true, poly: finalShear },
+        { constant: [[lambda, 0], [0, lambdaInverse]] }
+    ];
+    for (let t = reductions.length - 1; t >= 0; t--) {
+        const factor = reductions[t];
+        const constant = constantPart(factor);
+        if (constant) {
+            // Local factors have determinant 1, so their inverse is their adjugate
+            const inverse = [[constant[1][1], mod(-constant[0][1], modulus)], [mod(-constant[1][0], modulus), constant[0][0]]];
+            factors.push({ constant: inverse });
+        } else {
+            const upper = exponentRange(factor[1][0]) === null;
+            const poly = upper ? factor[0][1] : factor[1][0];
+            factors.push({ upper, poly: poly.multiply(new LaurentPolynomial({ 0: -1 }, modulus)) });
+        }
+    }
+
+    // Expand the factors into local and CZ layers, multiplying neighbouring local gates
+    const layers = [];
+    const pushLocal = matrix => {
+        const last = layers[layers.length - 1];
+        if (last && last.type === 'local') {
+            last.matrix = multiplyConstant(matrix, last.matrix, modulus);
+        } else {
+            layers.push({ type: 'local', matrix });
+        }
+    };
+    const pushCZ = couplings => {
+        if (couplings.length > 0) layers.push({ type: 'cz', couplings });
+    };
+
+    const fourier = [[0, mod(-1, modulus)], [1, 0]];
+    const fourierInverse = [[0, 1], [mod(-1, modulus), 0]];
+    factors.forEach(factor => {
+        if (factor.constant) {
+            pushLocal(factor.constant);
+            return;
+        }
+        const { constant, couplings } = splitSymmetric(factor.poly);
+        pushLocal(factor.upper ? [[1, constant], [0, 1]] : [[1, 0], [constant, 1]]);
+        if (couplings.length === 0) return;
+        if (factor.upper) {
+            // [[1, f], [0, 1]] = F⁻¹ · [[1, 0], [-f, 1]] · F
+            pushLocal(fourier);
+            pushCZ(couplings.map(({ distance, power }) => ({ distance, power: mod(-power, modulus) })));
+            pushLocal(fourierInverse);
+        } else {
+            pushCZ(couplings);
+        }
+    });
+
+    // Identity gates drop out, which can bring two CZ layers together
+    const words = localGateWords(modulus);
+    const merged = [];
+    layers.forEach(layer => {
+        if (layer.type === 'local') {
+            const gates = words.get(layer.matrix.flat().join(','));
+            if (gates.length > 0) merged.push({ ...layer, gates });
+            return;
+        }
+        const last = merged[merged.length - 1];
+        if (last && last.type === 'cz') {
+            last.couplings = addCouplings(last.couplings, layer.couplings, modulus);
+            if (last.couplings.length === 0) merged.pop();
+        } else {
+            merged.push(layer);
+        }
+    });
+
+    return {
+        modulus,
+        shift: k === 0 ? 0 : -k,
+        layers: merged,
+        depth: merged.length,
+        range: merged.reduce((range, layer) =>
+            (layer.type === 'cz' ? Math.max(range, ...layer.couplings.map(({ distance }) => distance)) : range), 0)
+    };
+}
+
+/**
+ * Laurent matrix of a decomposition, to check it against the rule
+ * Layers act in order, so the matrix is x^(-shift) · L_m(x) ⋯ L_1(x)
+ * @param {Object} decomposition - Result of decomposeRule
+ * @returns {Array} - 2×2 Laurent matrix M(x)
+ */
+export function decompositionToLaurent({ modulus, shift, layers }) {
+    const constant = value => new LaurentPolynomial({ 0: value }, modulus);
+    let M = identityMatrix(2, modulus).map((row, i) => row.map((_, j) =>
+        (i === j ? LaurentPolynomial.monomial(-shift, 1, modulus) : new LaurentPolynomial({}, modulus))));
+    for (let l = layers.length - 1; l >= 0; l--) {
+        const layer = layers[l];
+        const factor = layer.type === 'local'
+            ? layer.matrix.map(row => row.map(constant))
+            : shear(layer.couplings.reduce((sum, { distance, power }) =>
+                sum.add(symmetricTerm(power, distance, modulus)), new LaurentPolynomial({}, modulus)), false);
+        M = multiplyMatrices(M, factor);
+    }
+    return M;
+}
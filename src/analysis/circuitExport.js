@@ -0,0 +1,275 @@
+/**
+ * Export of a Clifford QCA run as a Stim circuit or an OpenQASM 3 program
+ *
+ * Each step is written out as the gate layers of its circuit decomposition
+ * (see circuitDecomposition.js) on a ring of qubits, so external stabilizer
+ * simulators can check the evolution. The circuit prepares a +1 eigenstate of
+ * the initial Pauli string P; after the evolution U the state is an eigenstate
+ * of U P U†, so measuring the Pauli string the automaton predicts gives a
+ * deterministic outcome exactly when the two agree up to sign.
+ */
+
+import { ruleMatrixToLaurent } from './laurentPolynomial.js';
+import { decomposeRule } from './circuitDecomposition.js';
+import { getCellLabel } from '../simulation/clifford.js';
+
+/**
+ * Supported export formats
+ */
+export const CIRCUIT_FORMATS = {
+    stim: { label: 'Stim', extension: 'stim' },
+    qasm: { label: 'OpenQASM 3', extension: 'qasm' }
+};
+
+/**
+ * Split the bonds of a layer into rounds in which every qubit takes part at most once
+ * @param {Array} bonds - Qubit pairs [a, b]
+ * @returns {Array} - Rounds of qubit pairs
+ */
+function disjointRounds(bonds) {
+    const rounds = [];
+    bonds.forEach(bond => {
+        let round = rounds.find(pairs => pairs.every(pair => !pair.includes(bond[0]) && !pair.includes(bond[1])));
+        if (!round) {
+            round = [];
+            rounds.push(round);
+        }
+        round.push(bond);
+    });
+    return rounds;
+}
+
+/**
+ * Gate layers of one step on a ring of qubits
+ * A shift by s sites is the reflection i -> s - i after the reflection i -> -i,
+ * and each reflection is a layer of disjoint SWAP gates.
+ * @param {Object} decomposition - Result of decomposeRule for a qubit rule
+ * @param {number} size - Number of qubits N on the ring
+ * @returns {Array} - Layers {comment, operations: [{gate, targets}]} in the order they act;
+ *                    two-qubit gates list their pairs one after the other in targets
+ */
+function stepLayers({ layers, shift, range }, size) {
+    if (2 * range >= size) {
+        throw new Error(`CZ gates at distance ${range} need a ring of more than ${2 * range} qubits`);
+    }
+    const qubits = Array.from({ length: size }, (_, i) => i);
+
+    const result = layers.map(layer => {
+        if (layer.type === 'local') {
+            const gates = layer.gates.map(({ gate }) => (gate === 'F' ? 'H' : 'S'));
+            return {
+                comment: `${gates.join(' then ')} on every qubit`,
+                operations: gates.map(gate => ({ gate, targets: qubits }))
+            };
+        }
+        const distances = layer.couplings.map(({ distance }) => distance);
+        const bonds = distances.flatMap(distance => qubits.map(i => [i, (i + distance) % size]));
+        return {
+            comment: `CZ between qubits at distance ${distances.join(' and ')}`,
+            operations: disjointRounds(bonds).map(pairs => ({ gate: 'CZ', targets: pairs.flat() }))
+        };
+    });
+
+    const s = ((shift % size) + size) % size;
+    if (s !== 0) {
+        const reflection = a => qubits
+            .map(i => [i, ((a - i) % size + size) % size])
+            .filter(([i, j]) => i < j)
+            .flat();
+        const sites = `${Math.abs(shift)} site${Math.abs(shift) === 1 ? '' : 's'}`;
+        result.push({
+            comment: `Shift by ${sites} to the ${shift > 0 ? 'right' : 'left'}, as two reflections`,
+            operations: [reflection(0), reflection(s)].map(targets => ({ gate: 'SWAP', targets }))
+        });
+    }
+    return result;
+}
+
+/**
+ * Collect what both exporters need from the automaton
+ * @param {CliffordQCA} qca - Automaton holding the initial state
+ * @param {number} steps - Number of steps to export
+ * @returns {Object} - {size, steps, periods, remainder, stepCircuits, initial, evolved}: the steps
+ *                     are periods whole periods of stepCircuits ({rule, layers} with the number of
+ *                     the rule in the sequence), then the first remainder of them; initial and
+ *                     evolved are Pauli labels per qubit
+ */
+function planExport(qca, steps) {
+    if (qca.modulus !== 2 || qca.cellQubits !== 1) {
+        throw new Error("Circuit export is only available for single-qubit cells with p = 2");
+    }
+    if (qca.boundary !== 'periodic') {
+        throw new Error("Circuit export is only supported with periodic boundary conditions");
+    }
+    if (!qca.isTranslationInvariant()) {
+        throw new Error("Circuit export is only supported for translation-invariant rules");
+    }
+    if (!Number.isSafeInteger(steps) || steps < 0) {
+        throw new Error(`Number of steps must be a non-negative integer, got ${steps}`);
+    }
+
+    // The export continues the rule sequence from the rule the automaton applies next
+    const period = qca.ruleSequence.length;
+    const stepCircuits = Array.from({ length: period }, (_, i) => {
+        const index = (qca.sequenceIndex + i) % period;
+        const decomposition = decomposeRule(ruleMatrixToLaurent(qca.ruleSequence[index], 2));
+        return { rule: index + 1, layers: stepLayers(decomposition, qca.size) };
+    });
+
+    const initial = qca.getState().map(cell => getCellLabel(cell));
+    if (initial.every(label => label === 'I')) {
+        throw new Error("The initial state is the identity, so there is no Pauli string to follow");
+    }
+    return {
+        size: qca.size,
+        steps,
+        periods: Math.floor(steps / period),
+        remainder: steps % period,
+        stepCircuits,
+        initial,
+        evolved: qca.stateAt(qca.getTime() + steps).map(cell => getCellLabel(cell))
+    };
+}
+
+/**
+ * Header comment lines shared by both formats
+ * @param {Object} plan - Result of planExport
+ * @returns {Array} - Lines without the comment marker
+ */
+function headerLines({ size, steps, stepCircuits, initial, evolved }) {
+    const lines = [
+        `Clifford QCA on a ring of ${size} qubits, ${steps} step${steps === 1 ? '' : 's'}`,
+        `Initial Pauli string: ${initial.join('')}`,
+        `Evolved Pauli string: ${evolved.join('')} (up to sign)`,
+        'The circuit prepares a +1 eigenstate of the initial string, so measuring',
+        'the evolved string must give a deterministic outcome.'
+    ];
+    if (stepCircuits.length > 1) {
+        lines.push(`Time-periodic rule sequence of period ${stepCircuits.length}`);
+    }
+    return lines;
+}
+
+/**
+ * Sites on which a Pauli string acts nontrivially
+ * @param {Array} labels - Pauli label per qubit
+ * @returns {Array} - Qubit indices
+ */
+function supportOf(labels) {
+    return labels.flatMap((label, i) => (label === 'I' ? [] : [i]));
+}
+
+/**
+ * Stim circuit of a run: preparation, the steps and a checked product measurement
+ * @param {CliffordQCA} qca - Automaton holding the initial state
+ * @param {number} steps - Number of steps to export
+ * @returns {string} - Stim circuit
+ */
+export function exportStim(qca, steps) {
+    const plan = planExport(qca, steps);
+    const lines = headerLines(plan).map(line => `# ${line}`);
+
+    // Reset gates prepare the +1 eigenstates of Z, X and Y
+    const resets = { I: 'R', Z: 'R', X: 'RX', Y: 'RY' };
+    ['R', 'RX', 'RY'].forEach(gate => {
+        const targets = plan.initial.flatMap((label, i) => (resets[label] === gate ? [i] : []));
+        if (targets.length > 0) lines.push(`${gate} ${targets.join(' ')}`);
+    });
+    lines.push('TICK');
+
+    const stepBlock = (index, indent) => plan.stepCircuits[index].layers.flatMap(({ comment, operations }) => [
+        `${indent}# Rule ${plan.stepCircuits[index].rule}: ${comment}`,
+        ...operations.map(({ gate, targets }) => `${indent}${gate} ${targets.join(' ')}`),
+        `${indent}TICK`
+    ]);
+    const period = plan.stepCircuits.flatMap((_, index) => stepBlock(index, plan.periods > 1 ? '    ' : ''));
+    if (plan.periods > 1 && period.length > 0) {
+        lines.push(`REPEAT ${plan.periods} {`, ...period, '}');
+    } else if (plan.periods === 1) {
+        lines.push(...period);
+    }
+    for (let index = 0; index < plan.remainder; index++) {
+        lines.push(...stepBlock(index, ''));
+    }
+
+    const product = supportOf(plan.evolved).map(i => `${plan.evolved[i]}${i}`).join('*');
+    lines.push(`MPP ${product}`, 'DETECTOR rec[-1]', 'OBSERVABLE_INCLUDE(0) rec[-1]');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * OpenQASM 3 program of a run: preparation, the steps and a measurement of the evolved string
+ * The Pauli string is measured by rotating each factor to Z; the parity of the bits is its outcome.
+ * @param {CliffordQCA} qca - Automaton holding the initial state
+ * @param {number} steps - Number of steps to export
+ * @returns {string} - OpenQASM 3 program
+ */
+export function exportQasm(qca, steps) {
+    const plan = planExport(qca, steps);
+    const measured = supportOf(plan.evolved);
+    const lines = [
+        'OPENQASM 3.0;',
+        'include "stdgates.inc";',
+        '',
+        ...headerLines(plan).map(line => `// ${line}`),
+        '',
+        `qubit[${plan.size}] q;`,
+        `bit[${measured.length}] c;`,
+        '',
+        'reset q;'
+    ];
+
+    // |+> and |+i> from |0>; Z and identity factors keep |0>
+    plan.initial.forEach((label, i) => {
+        if (label === 'X' || label === 'Y') lines.push(`h q[${i}];`);
+        if (label === 'Y') lines.push(`s q[${i}];`);
+    });
+
+    const gateNames = { H: 'h', S: 's', CZ: 'cz', SWAP: 'swap' };
+    const statements = ({ gate, targets }) => {
+        if (gate === 'H' || gate === 'S') {
+            return targets.map(i => `${gateNames[gate]} q[${i}];`);
+        }
+        const pairs = [];
+        for (let k = 0; k < targets.length; k += 2) {
+            pairs.push(`${gateNames[gate]} q[${targets[k]}], q[${targets[k + 1]}];`);
+        }
+        return pairs;
+    };
+    const stepBlock = (index, indent) => plan.stepCircuits[index].layers.flatMap(({ comment, operations }) => [
+        `${indent}// Rule ${plan.stepCircuits[index].rule}: ${comment}`,
+        ...operations.flatMap(statements).map(statement => `${indent}${statement}`)
+    ]);
+    const period = plan.stepCircuits.flatMap((_, index) => stepBlock(index, plan.periods > 1 ? '    ' : ''));
+    lines.push('');
+    if (plan.periods > 1 && period.length > 0) {
+        lines.push(`for uint t in [0:${plan.periods - 1}] {`, ...period, '}');
+    } else if (plan.periods === 1) {
+        lines.push(...period);
+    }
+    for (let index = 0; index < plan.remainder; index++) {
+        lines.push(...stepBlock(index, ''));
+    }
+
+    // X = H Z H and Y = S H Z H S†, so H (after S† for Y) rotates each factor to Z
+    lines.push('', `// Measure ${measured.map(i => `${plan.evolved[i]}${i}`).join(' ')}: the parity of c is deterministic`);
+    measured.forEach((i, k) => {
+        if (plan.evolved[i] === 'Y') lines.push(`sdg q[${i}];`);
+        if (plan.evolved[i] !== 'Z') lines.push(`h q[${i}];`);
+        lines.push(`c[${k}] = measure q[${i}];`);
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Export a run in one of the CIRCUIT_FORMATS
+ * @param {CliffordQCA} qca - Automaton holding the initial state
+ * @param {number} steps - Number of steps to export
+ * @param {string} format - Key of CIRCUIT_FORMATS
+ * @returns {string} - Circuit text
+ */
+export function exportCircuit(qca, steps, format) {
+    if (format === 'stim') return exportStim(qca, steps);
+    if (format === 'qasm') return exportQasm(qca, steps);
+    throw new Error(`Unknown circuit format '${format}'`);
+}
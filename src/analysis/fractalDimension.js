@@ -0,0 +1,119 @@
+/**
+ * Fractal dimension of spacetime patterns
+ *
+ * A self-similar spacetime pattern of dimension D holds N(t) ~ t^D
+ * non-identity cells up to time t. Counting the cells of the pattern up to
+ * time t is box counting with boxes 1/t of its size, so D is the slope of
+ * log N(t) against log t. The slope is sampled at t = p^k, the scales on which
+ * the patterns of linear automata over F_p repeat.
+ */
+
+import { classifyDynamics } from './laurentPolynomial.js';
+import { supportSummary } from '../simulation/automaton.js';
+
+// Smallest number of scales a fit is made from
+const MIN_SCALES = 3;
+
+/**
+ * Count the non-identity cells of each stored state, while the pattern grows freely
+ * The count stops when the light cone of the initial support could reach
+ * around the ring, or reach the ends of the chain. The extent of the support
+ * itself is no guide, as a fractal pattern has holes as wide as the gap left
+ * on the ring.
+ * @param {PackedHistory} history - History of the run, still holding its first state
+ * @param {Object} options - {radius: neighbourhood radius of the rule, periodic: whether the lattice is a ring}
+ * @returns {Object} - {counts: weight of the states from history.start on, truncated: whether states were left out}
+ */
+export function spacetimeCounts(history, { radius = 1, periodic = true } = {}) {
+    if (history.start > 0) {
+        throw new Error("The history window no longer holds the first steps of the run");
+    }
+    const initial = history.supportAt(history.start);
+    let lastStep = Infinity;
+    if (initial.length > 0 && radius > 0) {
+        const { width } = supportSummary(initial, history.size, periodic);
+        lastStep = periodic
+            ? Math.floor((history.size - width) / (2 * radius))
+            : Math.floor(Math.min(initial[0], history.size - 1 - initial[initial.length - 1]) / radius);
+    }
+
+    const counts = [];
+    for (let index = history.start; index < history.end && counts.length <= lastStep; index++) {
+        counts.push(history.supportAt(index).length);
+    }
+    return { counts, truncated: history.start + counts.length < history.end };
+}
+
+/**
+ * Estimate the fractal dimension from the counts of non-identity cells per step
+ * @param {Array} counts - Weight of the state at t = 0, 1, 2, ...
+ * @param {number} base - Scale factor between samples (the local dimension p)
+ * @returns {Object} - {dimension, points: [{t, total}], localDimensions: [{t, dimension}], fitFrom}:
+ *                     dimension is the least-squares slope over the larger half of the scales,
+ *                     from t = fitFrom; localDimensions are the slopes between neighbouring scales
+ */
+export function estimateFractalDimension(counts, base = 2) {
+    const points = [];
+    let total = 0;
+    let next = 1;
+    counts.forEach((count, t) => {
+        total += count;
+        if (t === next) {
+            points.push({ t, total });
+            next *= base;
+        }
+    });
+    if (points.length < MIN_SCALES) {
+        throw new Error(`At least ${base ** (MIN_SCALES - 1)} steps of free growth are needed, got ${counts.length - 1}`);
+    }
+    if (points.some(point => point.total === 0)) {
+        throw new Error("The spacetime pattern is empty");
+    }
+
+    // Small scales are dominated by the initial state, so the fit keeps the larger half
+    const fitted = points.slice(Math.min(Math.floor(points.length / 2), points.length - MIN_SCALES));
+    const xs = fitted.map(point => Math.log(point.t));
+    const ys = fitted.map(point => Math.log(point.total));
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+    const variance = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+
+    return {
+        dimension: covariance / variance,
+        points,
+        localDimensions: points.slice(1).map((point, i) => ({
+            t: point.t,
+            dimension: Math.log(point.total / points[i].total) / Math.log(base)
+        })),
+        fitFrom: fitted[0].t
+    };
+}
+
+/**
+ * Analytic fractal dimension of the pattern grown from a generic finite initial state
+ * - Periodic rules keep the support bounded, so the pattern is a strip: D = 1.
+ * - For glider rules the Chebyshev polynomials U_n of tr M'(x) = αx^a + βx^-a,
+ *   which make up M'(x)^n, have all n + 1 terms, so the light cone fills up: D = 2.
+ * - For qubits with tr M'(x) = x + 1 + x^-1 the counts N(2^k) satisfy a linear
+ *   recurrence with dominant root (3 + √17)/2, so D = log2((3 + √17)/2).
+ * @param {Array} laurentMatrix - 2×2 Laurent matrix M(x)
+ * @returns {Object|null} - {dimension, formula, reason}, or null when no prediction is known
+ */
+export function predictedFractalDimension(laurentMatrix) {
+    const { dynamicsClass, trace } = classifyDynamics(laurentMatrix);
+    if (dynamicsClass === 'periodic') {
+        return { dimension: 1, formula: '1', reason: 'a periodic rule keeps the support bounded' };
+    }
+    if (dynamicsClass === 'glider') {
+        return { dimension: 2, formula: '2', reason: 'a glider rule fills its light cone' };
+    }
+    if (dynamicsClass === 'fractal' && trace.modulus === 2 && trace.toString() === 'x + 1 + x^-1') {
+        return {
+            dimension: Math.log2((3 + Math.sqrt(17)) / 2),
+            formula: 'log₂((3 + √17)/2)',
+            reason: 'N(2^k) grows by the dominant root of its recurrence, (3 + √17)/2'
+        };
+    }
+    return null;
+}
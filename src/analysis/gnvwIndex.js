@@ -0,0 +1,67 @@
+/**
+ * GNVW index of Clifford QCAs
+ *
+ * The index of Gross, Nesme, Vogts and Werner measures the net flow of quantum
+ * information through a cut of the chain: p^s for a shift of s sites to the
+ * right on cells of local dimension p, and 1 exactly for finite-depth
+ * circuits. For a Clifford QCA det M(x) = c·x^(-2s), so log_p of the index is
+ * s = -deg(det M)/2, with one qudit moving s sites contributing s.
+ */
+
+import { determinant } from './laurentPolynomial.js';
+
+/**
+ * Compute the GNVW index of a Clifford QCA
+ * @param {Array} laurentMatrix - 2n×2n Laurent matrix M(x) of an invertible symplectic rule
+ * @returns {Object} - {logIndex, modulus}: the index is modulus^logIndex
+ */
+export function gnvwIndex(laurentMatrix) {
+    const det = determinant(laurentMatrix);
+    const degree = det.getMonomialDegree();
+    if (degree === null) {
+        throw new Error(`The index needs an invertible rule, but det(M(x)) = ${det.toString()}`);
+    }
+    return { logIndex: degree === 0 ? 0 : -degree / 2, modulus: det.modulus };
+}
+
+/**
+ * Format an index p^s as an integer or a fraction
+ * @param {Object} index - {logIndex, modulus} (see gnvwIndex)
+ * @returns {string} - e.g. "1", "2" or "1/4"
+ */
+export function formatIndex({ logIndex, modulus }) {
+    const power = modulus ** Math.abs(logIndex);
+    return logIndex >= 0 ? `${power}` : `1/${power}`;
+}
+
+/**
+ * Check whether every row, or every column, of M(x) has terms of a single degree
+ * Then M(x) = D(x) C or C D(x) for a constant C and a diagonal D(x) of monomials,
+ * i.e. the rule shifts each qudit as a whole, next to a single-cell gate.
+ * @param {Array} laurentMatrix - 2n×2n Laurent matrix
+ * @returns {boolean} - True for a (partial) shift up to single-cell gates
+ */
+function isShiftTimesLocal(laurentMatrix) {
+    const singleDegree = polys => new Set(polys.flatMap(poly => Object.keys(poly.coeffs))).size <= 1;
+    const columns = laurentMatrix[0].map((_, j) => laurentMatrix.map(row => row[j]));
+    return laurentMatrix.every(singleDegree) || columns.every(singleDegree);
+}
+
+/**
+ * Classify a Clifford QCA by its index
+ * By the GNVW theorem every 1D QCA is a shift times a finite-depth circuit,
+ * and index 1 means the shift can be dropped.
+ * @param {Array} laurentMatrix - 2n×2n Laurent matrix M(x) of an invertible symplectic rule
+ * @returns {Object} - {index, kind} with kind 'circuit', 'shift' (a shift up to single-cell
+ *                     gates) or 'shift-circuit' (neither: a shift times a nontrivial circuit)
+ */
+export function classifyRule(laurentMatrix) {
+    const index = gnvwIndex(laurentMatrix);
+    let kind = 'shift-circuit';
+    if (index.logIndex === 0) {
+        kind = 'circuit';
+    } else if (isShiftTimesLocal(laurentMatrix)) {
+        kind = 'shift';
+    }
+    return { index, kind };
+}
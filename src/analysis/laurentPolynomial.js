@@ -67,17 +67,19 @@ export class LaurentPolynomial {
     multiply(other) {
         const result = new LaurentPolynomial({}, this.modulus);
         
-        Object.keys(this.coeffs).forEach(exp1 => {
-            Object.keys(other.coeffs).forEach(exp2 => {
-                const exponent1 = parseInt(exp1);
-                const exponent2 = parseInt(exp2);
+        // Parse the exponents once, as products of long polynomials are the hot path of matrix powers
+        const terms1 = Object.keys(this.coeffs).map(exp => [parseInt(exp), this.coeffs[exp]]);
+        const terms2 = Object.keys(other.coeffs).map(exp => [parseInt(exp), other.coeffs[exp]]);
+        
+        terms1.forEach(([exponent1, coeff1]) => {
+            terms2.forEach(([exponent2, coeff2]) => {
                 const resultExp = exponent1 + exponent2;
                 
                 if (!result.coeffs[resultExp]) {
                     result.coeffs[resultExp] = 0;
                 }
                 
-                result.coeffs[resultExp] += this.coeffs[exponent1] * other.coeffs[exponent2];
+                result.coeffs[resultExp] += coeff1 * coeff2;
             });
         });
         
@@ -102,6 +104,7 @@ export class LaurentPolynomial {
 
     /**
      * Check if the polynomial is a monomial of the form ±x^k
+     * Over F_p any nonzero coefficient is a unit, so c·x^k counts as a monomial
      * @returns {boolean} - True if polynomial is a monomial
      */
     isMonomial() {
@@ -112,10 +115,10 @@ export class LaurentPolynomial {
         
         const coefficient = this.coeffs[keys[0]];
         
-        // For mod 2, the coefficient must be 1
-        if (this.modulus === 2) return coefficient === 1;
+        // For mod p (including p = 2), any nonzero coefficient
+        if (this.modulus > 0) return coefficient !== 0;
         
-        // For other cases, coefficient must be ±1
+        // Over the integers, coefficient must be ±1
         return coefficient === 1 || coefficient === -1;
     }
 
@@ -169,65 +172,165 @@ export class LaurentPolynomial {
 }
 
 /**
- * Calculates the determinant of a 2x2 matrix of Laurent polynomials
- * @param {Array} matrix - 2x2 matrix of Laurent polynomials
+ * Calculates the determinant of a square matrix of Laurent polynomials
+ * Uses Laplace expansion along the rows, memoised over column subsets, so an
+ * m×m matrix needs about m·2^m polynomial products rather than m!
+ * @param {Array} matrix - m×m matrix of Laurent polynomials (2x2 for one qubit per cell)
  * @returns {LaurentPolynomial} - Determinant as a Laurent polynomial
  */
 export function determinant(matrix) {
-    return matrix[0][0].multiply(matrix[1][1]).add(
-        matrix[0][1].multiply(matrix[1][0]).multiply(
-            new LaurentPolynomial({ 0: -1 }, matrix[0][0].modulus)
+    const size = matrix.length;
+    const modulus = matrix[0][0].modulus;
+    const minusOne = new LaurentPolynomial({ 0: -1 }, modulus);
+    
+    // minors[S] = determinant of rows 0..|S|-1 restricted to the column set S (bitmask)
+    let minors = new Map([[0, new LaurentPolynomial({ 0: 1 }, modulus)]]);
+    
+    for (let row = 0; row < size; row++) {
+        const next = new Map();
+        minors.forEach((minor, columns) => {
+            for (let col = 0; col < size; col++) {
+                if (columns & (1 << col)) continue;
+                
+                // Sign of the new entry: one flip per chosen column to its right
+                let sign = 0;
+                for (let c = col + 1; c < size; c++) {
+                    if (columns & (1 << c)) sign ^= 1;
+                }
+                
+                let term = matrix[row][col].multiply(minor);
+                if (sign) term = term.multiply(minusOne);
+                
+                const key = columns | (1 << col);
+                next.set(key, next.has(key) ? next.get(key).add(term) : term);
+            }
+        });
+        minors = next;
+    }
+    
+    return minors.get((1 << size) - 1);
+}
+
+/**
+ * Classifies a Clifford QCA with one qudit per cell by the trace of M(x)
+ * Following Schlingemann, Vogts and Werner, the shift is divided out first:
+ * with det M(x) = c·x^(2k), the centred matrix M'(x) = x^(-k) M(x) satisfies
+ * M'² = tr(M')·M' - c (Cayley–Hamilton). A constant trace makes the powers of
+ * M' repeat (periodic). A trace αx^a + βx^(-a) with αβ = c and a ≠ 0 splits
+ * the characteristic polynomial into monomial eigenvalues, whose eigenvectors
+ * move a sites per step (gliders). Any other trace gives fractal patterns.
+ * @param {Array} matrix - 2×2 Laurent matrix M(x)
+ * @returns {Object} - {dynamicsClass: 'periodic' | 'glider' | 'fractal' | null, trace, justification}
+ *                     with the trace of M'(x); the class is null when the rule is not a valid
+ *                     single-qudit Clifford QCA
+ */
+export function classifyDynamics(matrix) {
+    if (matrix.length !== 2) {
+        return { dynamicsClass: null, trace: null, justification: 'The trace classification covers one qudit per cell only' };
+    }
+    
+    const modulus = matrix[0][0].modulus;
+    const det = determinant(matrix);
+    const degree = det.getMonomialDegree();
+    if (degree === null || degree % 2 !== 0 || !isSymplectic(matrix)) {
+        return { dynamicsClass: null, trace: null, justification: 'Only invertible symplectic rules are classified' };
+    }
+    
+    const k = degree / 2;
+    const c = det.coeffs[degree];
+    const centring = LaurentPolynomial.monomial(-k, 1, modulus);
+    const trace = matrix[0][0].add(matrix[1][1]).multiply(centring);
+    const name = k !== 0 ? "M'(x)" : 'M(x)';
+    const traceText = `tr ${name} = ${trace.toString()}`;
+    const centred = k !== 0 ? ` (M'(x) = ${centring.toString()}·M(x) without the shift)` : '';
+    const exponents = Object.keys(trace.coeffs).map(exp => parseInt(exp, 10));
+    
+    if (exponents.every(exp => exp === 0)) {
+        return {
+            dynamicsClass: 'periodic',
+            trace,
+            justification: `${traceText} is constant, so the powers of ${name} repeat${centred}`
+        };
+    }
+    
+    const a = Math.max(...exponents);
+    const product = (trace.coeffs[a] || 0) * (trace.coeffs[-a] || 0);
+    const isGlider = exponents.length === 2 && exponents.includes(-a) &&
+        (modulus > 0 ? (product - c) % modulus === 0 : product === c);
+    if (isGlider) {
+        return {
+            dynamicsClass: 'glider',
+            trace,
+            justification: `${traceText} gives monomial eigenvalues ∝ x^±${a}, whose eigenvectors move ${a} site${a === 1 ? '' : 's'} per step${centred}`
+        };
+    }
+    
+    return {
+        dynamicsClass: 'fractal',
+        trace,
+        justification: `${traceText} is neither constant nor of the form αx^a + βx^-a with αβ = det ${name}, so there are no gliders${centred}`
+    };
+}
+
+/**
+ * Performs matrix multiplication for square matrices of Laurent polynomials
+ * @param {Array} A - First m×m matrix
+ * @param {Array} B - Second m×m matrix
+ * @returns {Array} - Resulting m×m matrix
+ */
+export function multiplyMatrices(A, B) {
+    return A.map(row =>
+        B[0].map((_, j) =>
+            row.reduce((sum, entry, k) => sum.add(entry.multiply(B[k][j])),
+                new LaurentPolynomial({}, row[0].modulus))
         )
     );
 }
 
 /**
- * Performs matrix multiplication for 2x2 matrices of Laurent polynomials
- * @param {Array} A - First 2x2 matrix
- * @param {Array} B - Second 2x2 matrix
- * @returns {Array} - Resulting 2x2 matrix
+ * Creates the m×m identity matrix of Laurent polynomials
+ * @param {number} size - Matrix size m
+ * @param {number} modulus - Modulus for the coefficients
+ * @returns {Array} - Identity matrix
  */
-export function multiplyMatrices(A, B) {
-    return [
-        [
-            A[0][0].multiply(B[0][0]).add(A[0][1].multiply(B[1][0])),
-            A[0][0].multiply(B[0][1]).add(A[0][1].multiply(B[1][1]))
-        ],
-        [
-            A[1][0].multiply(B[0][0]).add(A[1][1].multiply(B[1][0])),
-            A[1][0].multiply(B[0][1]).add(A[1][1].multiply(B[1][1]))
-        ]
-    ];
+export function identityMatrix(size, modulus = 0) {
+    return Array.from({ length: size }, (_, i) =>
+        Array.from({ length: size }, (_, j) => new LaurentPolynomial(i === j ? { 0: 1 } : {}, modulus))
+    );
 }
 
 /**
- * Transposes a 2x2 matrix of Laurent polynomials
- * @param {Array} matrix - 2x2 matrix to transpose
+ * Transposes a square matrix of Laurent polynomials
+ * @param {Array} matrix - m×m matrix to transpose
  * @returns {Array} - Transposed matrix
  */
 export function transpose(matrix) {
-    return [
-        [matrix[0][0], matrix[1][0]],
-        [matrix[0][1], matrix[1][1]]
-    ];
+    return matrix[0].map((_, j) => matrix.map(row => row[j]));
 }
 
 /**
- * Creates the symplectic matrix Ω = [[0, 1], [-1, 0]]
+ * Creates the symplectic matrix Ω = [[0, I], [-I, 0]] for cells of n qubits
+ * (Ω = [[0, 1], [-1, 0]] for one qubit per cell)
  * @param {number} modulus - Modulus for the coefficients
- * @returns {Array} - The symplectic matrix
+ * @param {number} cellQubits - Number of qubits n per cell
+ * @returns {Array} - The 2n×2n symplectic matrix
  */
-export function symplecticMatrix(modulus = 0) {
-    return [
-        [new LaurentPolynomial({ 0: 0 }, modulus), new LaurentPolynomial({ 0: 1 }, modulus)],
-        [new LaurentPolynomial({ 0: modulus ? modulus - 1 : -1 }, modulus), new LaurentPolynomial({ 0: 0 }, modulus)]
-    ];
+export function symplecticMatrix(modulus = 0, cellQubits = 1) {
+    const n = cellQubits;
+    return Array.from({ length: 2 * n }, (_, i) =>
+        Array.from({ length: 2 * n }, (_, j) => {
+            let value = 0;
+            if (i < n && j === i + n) value = 1;
+            if (i >= n && j === i - n) value = modulus ? modulus - 1 : -1;
+            return new LaurentPolynomial({ 0: value }, modulus);
+        })
+    );
 }
 
 /**
- * Check if a 2x2 matrix of Laurent polynomials preserves the symplectic form
+ * Check if a 2n×2n matrix of Laurent polynomials preserves the symplectic form
  * Tests if M(x^-1)^T Ω M(x) = Ω
- * @param {Array} matrix - 2x2 matrix to check
+ * @param {Array} matrix - 2n×2n matrix to check
  * @returns {boolean} - True if matrix preserves the symplectic form
  */
 export function isSymplectic(matrix) {
@@ -240,15 +343,15 @@ export function isSymplectic(matrix) {
     const transposedInverse = transpose(inverseMatrix);
     
     // Create symplectic matrix
-    const omega = symplecticMatrix(matrix[0][0].modulus);
+    const omega = symplecticMatrix(matrix[0][0].modulus, matrix.length / 2);
     
     // Calculate M(x^-1)^T Ω M(x)
     const product1 = multiplyMatrices(transposedInverse, omega);
     const product2 = multiplyMatrices(product1, matrix);
     
     // Check if result equals Ω
-    for (let i = 0; i < 2; i++) {
-        for (let j = 0; j < 2; j++) {
+    for (let i = 0; i < matrix.length; i++) {
+        for (let j = 0; j < matrix.length; j++) {
             const diff = product2[i][j].add(
                 omega[i][j].multiply(new LaurentPolynomial({ 0: -1 }, matrix[0][0].modulus))
             );
@@ -263,48 +366,30 @@ export function isSymplectic(matrix) {
 
 /**
  * Converts the Clifford QCA rule matrix format to a Laurent polynomial matrix
- * @param {Array} ruleMatrix - 2x6 rule matrix in the format [A_left | A_center | A_right]
+ * @param {Array} ruleMatrix - 2n×2n(2r+1) rule matrix in the format [A_-r | ... | A_0 | ... | A_r]
+ *                             (2x(4r+2) for one qubit per cell)
  * @param {number} modulus - Modulus for coefficients (default: 2 for binary)
- * @returns {Array} - 2x2 matrix of Laurent polynomials representing M(x)
+ * @returns {Array} - 2n×2n matrix of Laurent polynomials representing M(x)
  */
 export function ruleMatrixToLaurent(ruleMatrix, modulus = 2) {
-    // Extract the components of the rule matrix
-    const A_left = [
-        [ruleMatrix[0][0], ruleMatrix[0][1]],
-        [ruleMatrix[1][0], ruleMatrix[1][1]]
-    ];
-    
-    const A_center = [
-        [ruleMatrix[0][2], ruleMatrix[0][3]],
-        [ruleMatrix[1][2], ruleMatrix[1][3]]
-    ];
-    
-    const A_right = [
-        [ruleMatrix[0][4], ruleMatrix[0][5]],
-        [ruleMatrix[1][4], ruleMatrix[1][5]]
-    ];
-    
-    // Convert to Laurent polynomials: A_left * x^-1 + A_center + A_right * x
-    const M = Array(2).fill().map(() => Array(2).fill());
-    
-    for (let i = 0; i < 2; i++) {
-        for (let j = 0; j < 2; j++) {
+    // Cell dimension 2n from the number of rows, radius r from the number of blocks
+    const dim = ruleMatrix.length;
+    const radius = (ruleMatrix[0].length / dim - 1) / 2;
+    
+    // Convert to Laurent polynomials: sum of A_k * x^k for k = -r..r
+    // (for r = 1: A_left * x^-1 + A_center + A_right * x)
+    const M = Array(dim).fill().map(() => Array(dim).fill());
+    
+    for (let i = 0; i < dim; i++) {
+        for (let j = 0; j < dim; j++) {
             // Create Laurent polynomials for each position in the matrix
             const coeffs = {};
             
-            // Add A_left coefficients (x^-1)
-            if (A_left[i][j] !== 0) {
-                coeffs[-1] = A_left[i][j];
-            }
-            
-            // Add A_center coefficients (x^0)
-            if (A_center[i][j] !== 0) {
-                coeffs[0] = A_center[i][j];
-            }
-            
-            // Add A_right coefficients (x^1)
-            if (A_right[i][j] !== 0) {
-                coeffs[1] = A_right[i][j];
+            for (let k = -radius; k <= radius; k++) {
+                const entry = ruleMatrix[i][dim * (k + radius) + j];
+                if (entry !== 0) {
+                    coeffs[k] = entry;
+                }
             }
             
             M[i][j] = new LaurentPolynomial(coeffs, modulus);
@@ -314,24 +399,195 @@ export function ruleMatrixToLaurent(ruleMatrix, modulus = 2) {
     return M;
 }
 
+/**
+ * Converts a matrix of Laurent polynomials back to the rule matrix format
+ * The radius is the largest |k| of any x^k appearing in M(x)
+ * @param {Array} laurentMatrix - 2n×2n matrix of Laurent polynomials M(x)
+ * @returns {Array} - 2n×2n(2r+1) rule matrix [A_-r | ... | A_0 | ... | A_r]
+ */
+export function laurentToRuleMatrix(laurentMatrix) {
+    const dim = laurentMatrix.length;
+    const exponents = laurentMatrix.flat().flatMap(poly => Object.keys(poly.coeffs).map(exp => parseInt(exp, 10)));
+    const radius = exponents.reduce((r, k) => Math.max(r, Math.abs(k)), 0);
+    
+    const ruleMatrix = Array.from({ length: dim }, () => Array(dim * (2 * radius + 1)).fill(0));
+    laurentMatrix.forEach((row, i) => {
+        row.forEach((poly, j) => {
+            Object.entries(poly.coeffs).forEach(([exp, coeff]) => {
+                ruleMatrix[i][dim * (parseInt(exp, 10) + radius) + j] = coeff;
+            });
+        });
+    });
+    
+    return ruleMatrix;
+}
+
+/**
+ * Multiplicative inverse of a nonzero coefficient (mod p, or ±1 over the integers)
+ * @param {number} coefficient - Coefficient to invert
+ * @param {number} modulus - Prime modulus, or 0 for integer coefficients
+ * @returns {number} - Inverse coefficient
+ */
+function inverseCoefficient(coefficient, modulus) {
+    if (modulus === 0) return coefficient;
+    
+    // Fermat: c^(p-2) is the inverse of c mod p
+    let result = 1;
+    for (let i = 0; i < modulus - 2; i++) {
+        result = (result * coefficient) % modulus;
+    }
+    return result;
+}
+
+/**
+ * Calculates the adjugate (transposed cofactor matrix) of a square matrix of Laurent polynomials
+ * @param {Array} matrix - m×m matrix of Laurent polynomials
+ * @returns {Array} - m×m adjugate, with adj(M)·M = det(M)·I
+ */
+export function adjugate(matrix) {
+    const size = matrix.length;
+    const modulus = matrix[0][0].modulus;
+    if (size === 1) return identityMatrix(1, modulus);
+    
+    const minusOne = new LaurentPolynomial({ 0: -1 }, modulus);
+    return Array.from({ length: size }, (_, i) =>
+        Array.from({ length: size }, (_, j) => {
+            // Entry (i, j) is the cofactor of entry (j, i)
+            const minor = matrix
+                .filter((_, row) => row !== j)
+                .map(row => row.filter((_, col) => col !== i));
+            const cofactor = determinant(minor);
+            return (i + j) % 2 === 0 ? cofactor : cofactor.multiply(minusOne);
+        })
+    );
+}
+
+/**
+ * Calculates the inverse of a Laurent polynomial matrix with monomial determinant c·x^k
+ * as M(x)^-1 = c^-1 x^-k adj(M(x))
+ * @param {Array} matrix - m×m matrix of Laurent polynomials
+ * @returns {Array} - m×m inverse matrix
+ */
+export function inverseMatrix(matrix) {
+    const det = determinant(matrix);
+    if (!det.isMonomial()) {
+        throw new Error(`Matrix is not invertible: det(M(x)) = ${det.toString()}`);
+    }
+    
+    const exponent = det.getMonomialDegree();
+    const modulus = det.modulus;
+    const scale = LaurentPolynomial.monomial(-exponent, inverseCoefficient(det.coeffs[exponent], modulus), modulus);
+    return adjugate(matrix).map(row => row.map(poly => poly.multiply(scale)));
+}
+
+/**
+ * Calculates the rule matrix of the inverse automaton
+ * @param {Array} ruleMatrix - 2n×2n(2r+1) rule matrix of an invertible automaton
+ * @param {number} modulus - Prime local dimension p (default: 2 for qubits)
+ * @returns {Array} - Rule matrix of the inverse, whose radius may differ from r
+ */
+export function inverseRuleMatrix(ruleMatrix, modulus = 2) {
+    return laurentToRuleMatrix(inverseMatrix(ruleMatrixToLaurent(ruleMatrix, modulus)));
+}
+
+/**
+ * Converts a time-periodic sequence of rule matrices to its one-period Laurent matrix
+ * Rule M_1 acts first, so the effective matrix is the product M_k(x) ⋯ M_2(x) M_1(x)
+ * @param {Array} sequence - Rule matrices [M_1, ..., M_k] with the same cell dimension
+ * @param {number} modulus - Modulus for coefficients (default: 2 for binary)
+ * @returns {Array} - 2n×2n matrix of Laurent polynomials for one period
+ */
+export function ruleSequenceToLaurent(sequence, modulus = 2) {
+    return sequence
+        .map(ruleMatrix => ruleMatrixToLaurent(ruleMatrix, modulus))
+        .reduce((product, M) => multiplyMatrices(M, product));
+}
+
+/**
+ * Raises a square matrix of Laurent polynomials to an integer power by repeated squaring
+ * Negative powers invert the matrix first, which needs a monomial determinant
+ * @param {Array} matrix - m×m matrix of Laurent polynomials
+ * @param {number} k - Integer exponent
+ * @returns {Array} - m×m matrix M(x)^k
+ */
+export function matrixPower(matrix, k) {
+    if (!Number.isInteger(k)) {
+        throw new Error(`Matrix power must be an integer, got ${k}`);
+    }
+    
+    let result = identityMatrix(matrix.length, matrix[0][0].modulus);
+    let base = k < 0 ? inverseMatrix(matrix) : matrix;
+    let exponent = Math.abs(k);
+    
+    while (exponent > 0) {
+        if (exponent % 2 === 1) {
+            result = multiplyMatrices(result, base);
+        }
+        exponent = Math.floor(exponent / 2);
+        if (exponent > 0) {
+            base = multiplyMatrices(base, base);
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Composes two rules applied on consecutive steps
+ * @param {Array} first - 2n×2n(2r+1) rule matrix applied first
+ * @param {Array} second - Rule matrix applied second, with the same cell dimension
+ * @param {number} modulus - Prime local dimension p (default: 2 for qubits)
+ * @returns {Array} - 2n×2n Laurent matrix M_2(x) M_1(x) of the two steps
+ */
+export function composeRules(first, second, modulus = 2) {
+    return ruleSequenceToLaurent([first, second], modulus);
+}
+
+/**
+ * Calculates the rule of k steps of an automaton (of -k inverse steps for k < 0)
+ * @param {Array} ruleMatrix - 2n×2n(2r+1) rule matrix
+ * @param {number} k - Integer number of steps
+ * @param {number} modulus - Prime local dimension p (default: 2 for qubits)
+ * @returns {Array} - 2n×2n Laurent matrix M(x)^k
+ */
+export function rulePower(ruleMatrix, k, modulus = 2) {
+    return matrixPower(ruleMatrixToLaurent(ruleMatrix, modulus), k);
+}
+
+/**
+ * Checks whether a matrix of Laurent polynomials is the identity
+ * @param {Array} matrix - m×m matrix of Laurent polynomials
+ * @returns {boolean} - True if M(x) = I
+ */
+export function isIdentityMatrix(matrix) {
+    return matrix.every((row, i) => row.every((poly, j) => {
+        const exponents = Object.keys(poly.coeffs);
+        return i === j
+            ? exponents.length === 1 && exponents[0] === '0' && poly.coeffs[0] === 1
+            : exponents.length === 0;
+    }));
+}
+
 /**
  * Checks if a rule matrix represents a valid invertible matrix
- * @param {Array} ruleMatrix - 2x6 rule matrix
+ * @param {Array} ruleMatrix - 2n×2n(2r+1) rule matrix
+ * @param {number} modulus - Prime local dimension p (default: 2 for qubits)
  * @returns {boolean} - True if the matrix is invertible
  */
-export function isInvertible(ruleMatrix) {
-    const laurentMatrix = ruleMatrixToLaurent(ruleMatrix, 2);
+export function isInvertible(ruleMatrix, modulus = 2) {
+    const laurentMatrix = ruleMatrixToLaurent(ruleMatrix, modulus);
     const det = determinant(laurentMatrix);
     return det.isMonomial();
 }
 
 /**
  * Checks if a rule matrix preserves the symplectic form
- * @param {Array} ruleMatrix - 2x6 rule matrix
+ * @param {Array} ruleMatrix - 2n×2n(2r+1) rule matrix
+ * @param {number} modulus - Prime local dimension p (default: 2 for qubits)
  * @returns {boolean} - True if the matrix preserves the symplectic form
  */
-export function isSymplecticRuleMatrix(ruleMatrix) {
-    const laurentMatrix = ruleMatrixToLaurent(ruleMatrix, 2);
+export function isSymplecticRuleMatrix(ruleMatrix, modulus = 2) {
+    const laurentMatrix = ruleMatrixToLaurent(ruleMatrix, modulus);
     return isSymplectic(laurentMatrix);
 }
 
@@ -341,25 +597,102 @@ export function isSymplecticRuleMatrix(ruleMatrix) {
  * @returns {Object} - Object with X(z) and Z(z) Laurent polynomials
  */
 export function initialStateToLaurent(initialState) {
-    const xCoeffs = {};
-    const zCoeffs = {};
+    const [X, Z] = stateToLaurentVector(initialState, 2);
+    return { X, Z };
+}
+
+/**
+ * Convert a state to its vector of Laurent polynomials v(x) = Σ_i v_i x^i
+ * @param {Array} state - Array of cells [x_1..x_n, z_1..z_n] over F_p
+ * @param {number} modulus - Prime local dimension p (default: 2 for qubits)
+ * @returns {Array} - 2n Laurent polynomials, one per cell component
+ */
+export function stateToLaurentVector(state, modulus = 2) {
+    const components = state.length > 0 ? state[0].length : 2;
+    const coeffs = Array.from({ length: components }, () => ({}));
+    
+    state.forEach((cell, index) => {
+        cell.forEach((value, c) => {
+            if (value !== 0) {
+                coeffs[c][index] = value;
+            }
+        });
+    });
+    
+    return coeffs.map(componentCoeffs => new LaurentPolynomial(componentCoeffs, modulus));
+}
+
+/**
+ * Convert a vector of Laurent polynomials back to the state of a periodic chain
+ * (exponents are folded mod N)
+ * @param {Array} vector - 2n Laurent polynomials, one per cell component
+ * @param {number} N - Chain length
+ * @returns {Array} - Array of N cells [x_1..x_n, z_1..z_n]
+ */
+export function laurentVectorToState(vector, N) {
+    const state = Array.from({ length: N }, () => Array(vector.length).fill(0));
+    
+    vector.forEach((poly, c) => {
+        Object.entries(reduceCyclic(poly, N).coeffs).forEach(([exp, coeff]) => {
+            state[parseInt(exp, 10)][c] = coeff;
+        });
+    });
+    
+    return state;
+}
+
+/**
+ * Reduce a Laurent polynomial modulo x^N − 1, folding all exponents into 0..N−1
+ * @param {LaurentPolynomial} poly - Laurent polynomial to reduce
+ * @param {number} N - Chain length
+ * @returns {LaurentPolynomial} - Reduced polynomial
+ */
+export function reduceCyclic(poly, N) {
+    const coeffs = {};
+    
+    Object.entries(poly.coeffs).forEach(([exp, coeff]) => {
+        const i = ((parseInt(exp, 10) % N) + N) % N;
+        coeffs[i] = (coeffs[i] || 0) + coeff;
+    });
     
-    initialState.forEach((pauli, index) => {
-        // Add X component if present
-        if (pauli[0] === 1) {
-            xCoeffs[index] = 1;
+    return new LaurentPolynomial(coeffs, poly.modulus);
+}
+
+/**
+ * Multiply two matrices of Laurent polynomials in the ring F_p[x]/(x^N − 1)
+ * @param {Array} A - First matrix
+ * @param {Array} B - Second matrix (may be a column vector)
+ * @param {number} N - Chain length
+ * @returns {Array} - Product with every entry reduced mod x^N − 1
+ */
+export function multiplyMatricesCyclic(A, B, N) {
+    return multiplyMatrices(A, B).map(row => row.map(poly => reduceCyclic(poly, N)));
+}
+
+/**
+ * Raise a matrix of Laurent polynomials to the power t in the ring F_p[x]/(x^N − 1)
+ * Uses repeated squaring, so only O(log t) matrix products are needed
+ * @param {Array} matrix - m×m matrix of Laurent polynomials
+ * @param {number} t - Non-negative integer exponent
+ * @param {number} N - Chain length
+ * @returns {Array} - matrix^t with every entry reduced mod x^N − 1
+ */
+export function matrixPowerCyclic(matrix, t, N) {
+    let result = identityMatrix(matrix.length, matrix[0][0].modulus);
+    let base = matrix.map(row => row.map(poly => reduceCyclic(poly, N)));
+    let exponent = t;
+    
+    while (exponent > 0) {
+        if (exponent % 2 === 1) {
+            result = multiplyMatricesCyclic(result, base, N);
         }
-        
-        // Add Z component if present
-        if (pauli[1] === 1) {
-            zCoeffs[index] = 1;
+        exponent = Math.floor(exponent / 2);
+        if (exponent > 0) {
+            base = multiplyMatricesCyclic(base, base, N);
         }
-    });
+    }
     
-    return {
-        X: new LaurentPolynomial(xCoeffs, 2),
-        Z: new LaurentPolynomial(zCoeffs, 2)
-    };
+    return result;
 }
 
 /**
@@ -386,6 +719,32 @@ export function hasOrthogonalStabilizerPeriodic(initialState, N) {
   return S_bits.every(b => b === 0);
 }
 
+/**
+ * Check orthogonality on a finite chain (open or fixed boundary conditions).
+ * The stabilizer is generated by the translates of the seed that fit inside
+ * the chain, so no exponents are folded mod N: only the coefficients of
+ * S(z) = X(z)Z(z⁻¹) + Z(z)X(z⁻¹) at shifts |e| ≤ N − w must vanish,
+ * where w is the support width of the seed.
+ *
+ * @param {Array} initialState  – Pauli string in F₂ form
+ * @param {number} N            – chain length
+ * @returns {boolean}           – true iff all translates inside the chain commute
+ */
+export function hasOrthogonalStabilizerFinite(initialState, N) {
+  const support = initialState
+    .map((pauli, index) => (pauli[0] || pauli[1]) ? index : -1)
+    .filter(index => index >= 0);
+  if (support.length === 0) return true;
+  const width = support[support.length - 1] - support[0] + 1;
+
+  // infinite-chain S(z), without folding
+  const { X, Z } = initialStateToLaurent(initialState);
+  const S_inf = X.multiply(Z.substituteInverse()).add(Z.multiply(X.substituteInverse()));
+
+  // only translates by |e| ≤ N − w exist on the finite chain
+  return Object.keys(S_inf.coeffs).every(e => Math.abs(parseInt(e, 10)) > N - width);
+}
+
 /**
  * Calculate the greatest common divisor (GCD) of two Laurent polynomials in F2[x±1]
  * @param {LaurentPolynomial} poly1 - First Laurent polynomial
@@ -493,24 +852,146 @@ export function calculateLogicalQubits(initialState, chainLength) {
 
 /**
  * Reduce a LaurentPolynomial to an N-length binary array
- * in F₂[x]/(x^N−1).
+ * in F₂[x]/(x^N−1) (or F_p[x]/(x^N−1) for a prime modulus p).
  *
  * @param {LaurentPolynomial} poly  – your Laurent polynomial
  * @param {number} N                – chain length
- * @returns {number[]}              – array [a0,…,a_{N-1}] mod 2
+ * @param {number} modulus          – prime modulus p (default 2)
+ * @returns {number[]}              – array [a0,…,a_{N-1}] mod p
  */
-export function laurentToPolynomial(poly, N) {
+export function laurentToPolynomial(poly, N, modulus = 2) {
   const arr = Array(N).fill(0);
   // For each term x^e in poly.coeffs, reduce e mod N and toggle arr[e mod N].
   Object.entries(poly.coeffs).forEach(([expStr, coeff]) => {
     const e = parseInt(expStr, 10);
     const i = ((e % N) + N) % N;
     // In F₂ we just xor the coefficient
-    arr[i] = (arr[i] + coeff) & 1;
+    arr[i] = modulus === 2 ? (arr[i] + coeff) & 1 : (((arr[i] + coeff) % modulus) + modulus) % modulus;
   });
   return arr;
 }
 
+/**
+ * Check whether a polynomial is a unit of F_p[x]/(x^N−1), i.e. coprime to x^N−1
+ *
+ * @param {number[]} coeffs – dense coefficients [a0,…,a_{N-1}] mod p
+ * @param {number} N        – ring size
+ * @param {number} modulus  – prime local dimension p
+ * @returns {boolean}       – whether gcd(a(x), x^N−1) is a nonzero constant
+ */
+function isUnitModCyclic(coeffs, N, modulus) {
+  const trim = poly => {
+    while (poly.length > 0 && poly[poly.length - 1] === 0) poly.pop();
+    return poly;
+  };
+  const inverse = c => {
+    for (let d = 1; d < modulus; d++) {
+      if ((c * d) % modulus === 1) return d;
+    }
+    throw new Error(`${c} has no inverse mod ${modulus}`);
+  };
+
+  // Euclid on x^N−1 and a(x), keeping coefficients in 0..p-1
+  let a = trim([modulus - 1, ...Array(N - 1).fill(0), 1]);
+  let b = trim([...coeffs]);
+  while (b.length > 0) {
+    const scale = inverse(b[b.length - 1]);
+    while (a.length >= b.length) {
+      const factor = (a[a.length - 1] * scale) % modulus;
+      const shift = a.length - b.length;
+      b.forEach((c, e) => {
+        a[e + shift] = (((a[e + shift] - factor * c) % modulus) + modulus) % modulus;
+      });
+      trim(a);
+    }
+    [a, b] = [b, a];
+  }
+  return a.length === 1;
+}
+
+/**
+ * Order of a Laurent matrix M(x) in GL_m(F_p[x]/(x^N−1)): the smallest
+ * t > 0 with M(x)^t = I. M(x) and M(x⁻¹) have the same order, so this is
+ * the number of steps after which every state on a ring of N cells recurs.
+ *
+ * The power is built up one factor at a time; the entries of M have at
+ * most 2r+1 terms, so each step costs O(m³·N·r) rather than O(m³·N²).
+ *
+ * If det M(x) is not a unit mod x^N−1 no power of M is the identity, which
+ * is detected up front instead of by trying maxPeriod powers.
+ *
+ * @param {Array} laurentMatrix – m×m matrix of Laurent polynomials
+ * @param {number} N            – ring size
+ * @param {number} maxPeriod    – give up after this many steps
+ * @returns {number|null}       – the period, Infinity if M is not invertible
+ *                                mod x^N−1 (states need not recur at all),
+ *                                or null if the order exceeds maxPeriod
+ */
+export function laurentMatrixPeriod(laurentMatrix, N, maxPeriod = 10000) {
+  const size = laurentMatrix.length;
+  const modulus = laurentMatrix[0][0].modulus || 2;
+  if (!isUnitModCyclic(laurentToPolynomial(determinant(laurentMatrix), N, modulus), N, modulus)) {
+    return Infinity;
+  }
+
+  // Sparse terms [shift, coeff] of each entry of M, folded mod N
+  const terms = laurentMatrix.map(row => row.map(poly =>
+    laurentToPolynomial(poly, N, modulus)
+      .map((coeff, shift) => [shift, coeff])
+      .filter(([, coeff]) => coeff !== 0)
+  ));
+
+  // P = M^t as dense coefficient arrays, starting from M itself
+  let power = laurentMatrix.map(row => row.map(poly => laurentToPolynomial(poly, N, modulus)));
+
+  const isIdentity = matrix => matrix.every((row, i) => row.every((coeffs, j) =>
+    coeffs.every((c, e) => c === (i === j && e === 0 ? 1 : 0))
+  ));
+
+  for (let t = 1; t <= maxPeriod; t++) {
+    if (isIdentity(power)) return t;
+
+    // P ← P·M, multiplying each dense entry by the sparse entries of M
+    const next = Array.from({ length: size }, () =>
+      Array.from({ length: size }, () => new Int32Array(N))
+    );
+    for (let i = 0; i < size; i++) {
+      for (let k = 0; k < size; k++) {
+        const left = power[i][k];
+        for (let j = 0; j < size; j++) {
+          const out = next[i][j];
+          for (const [shift, coeff] of terms[k][j]) {
+            for (let e = 0; e < N; e++) {
+              if (left[e] !== 0) {
+                const target = e + shift < N ? e + shift : e + shift - N;
+                out[target] = (out[target] + left[e] * coeff) % modulus;
+              }
+            }
+          }
+        }
+      }
+    }
+    power = next.map(row => row.map(coeffs => Array.from(coeffs)));
+  }
+
+  return null;
+}
+
+/**
+ * Recurrence period of a Clifford QCA on a ring of N cells
+ * (the order of M(x) in GL₂(F₂[x]/(x^N−1)) for one qubit per cell).
+ *
+ * @param {Array} ruleMatrix  – 2n×2n(2r+1) rule matrix
+ * @param {number} N          – ring size
+ * @param {number} modulus    – prime local dimension p (default 2)
+ * @param {number} maxPeriod  – give up after this many steps
+ * @returns {number|null}     – the period, Infinity if the rule is not invertible
+ *                              on N cells, or null if there is none up to maxPeriod
+ */
+export function recurrencePeriod(ruleMatrix, N, modulus = 2, maxPeriod = 10000) {
+  return laurentMatrixPeriod(ruleMatrixToLaurent(ruleMatrix, modulus), N, maxPeriod);
+}
+
 /**
  * Compute Hamming weight of a binary array.
  *
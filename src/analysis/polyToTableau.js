@@ -5,7 +5,36 @@
  * for use with GF(2) stabilizer analysis algorithms.
  */
 
-import { laurentToPolynomial } from './laurentPolynomial.js';
+import { LaurentPolynomial, laurentToPolynomial } from './laurentPolynomial.js';
+
+/**
+ * Generate the translates of a seed stabilizer on a chain of N sites
+ * Periodic chains use all N cyclic shifts (S0, S1, ..., S_{N-1}); open and fixed
+ * chains only use the translates that fit inside the chain without wrapping
+ * @param {Object} seed - Seed generator {X: LaurentPolynomial, Z: LaurentPolynomial}
+ * @param {number} N - Chain length
+ * @param {string} boundary - Boundary mode ('periodic', 'open' or 'fixed')
+ * @returns {Array} - Array of generators [{X, Z}, ...]
+ */
+export function seedTranslates(seed, N, boundary = 'periodic') {
+    let first = 0;
+    let last = N - 1;
+    if (boundary !== 'periodic') {
+        const exponents = [...Object.keys(seed.X.coeffs), ...Object.keys(seed.Z.coeffs)]
+            .map(e => parseInt(e, 10));
+        if (exponents.length === 0) return [];
+        first = -Math.min(...exponents);
+        last = N - 1 - Math.max(...exponents);
+    }
+    
+    const gens = [];
+    for (let shift = first; shift <= last; shift++) {
+        // Create shifted versions by multiplying by x^shift
+        const monomial = new LaurentPolynomial({ [shift]: 1 }, seed.X.modulus);
+        gens.push({ X: seed.X.multiply(monomial), Z: seed.Z.multiply(monomial) });
+    }
+    return gens;
+}
 
 /**
  * Convert an array of Pauli generators to a binary stabilizer tableau
@@ -30,4 +59,29 @@ export function polyToBinaryTableau(gens, N) {
     }
     
     return tableau;
-} 
\ No newline at end of file
+} 
+
+/**
+ * Convert generators on a finite chain (open or fixed boundary) to a binary tableau
+ * Unlike polyToBinaryTableau no exponents are folded mod N; terms outside
+ * the chain [0, N) are dropped
+ * @param {Array} gens - Array of generators in format [{X: LaurentPolynomial, Z: LaurentPolynomial}, ...]
+ * @param {number} N - Chain length (number of qubits)
+ * @returns {Array} - M×2N binary stabilizer tableau (array of Uint8Array rows)
+ */
+export function polyToFiniteTableau(gens, N) {
+    return gens.map(gen => {
+        const row = new Uint8Array(2 * N);
+        
+        Object.entries(gen.X.coeffs).forEach(([exp, coeff]) => {
+            const i = parseInt(exp, 10);
+            if (i >= 0 && i < N) row[i] = coeff & 1;       // X part
+        });
+        Object.entries(gen.Z.coeffs).forEach(([exp, coeff]) => {
+            const i = parseInt(exp, 10);
+            if (i >= 0 && i < N) row[N + i] = coeff & 1;   // Z part
+        });
+        
+        return row;
+    });
+}
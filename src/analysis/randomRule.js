@@ -0,0 +1,155 @@
+/**
+ * Random valid Clifford QCA rules
+ *
+ * Random bits in a rule matrix almost never give an invertible symplectic
+ * rule. Instead, M(x) is sampled here as a product of elementary symplectic
+ * Laurent matrices: local Clifford gates (Hadamard, phase and, for cells of
+ * several qubits, CNOT) alternating with nonlocal shears
+ * [[1, f(x)], [0, 1]] whose f(x) = f(x⁻¹) has degree 1, or with shifts.
+ * Each nonlocal factor raises the radius by at most 1, so a product with r of
+ * them has radius at most r; products that cancel down to a smaller radius
+ * are rejected. The rules are not drawn uniformly, but for r = 1 on qubits
+ * every valid rule of radius exactly 1 can come up.
+ */
+
+import {
+    LaurentPolynomial,
+    identityMatrix,
+    multiplyMatrices,
+    laurentToRuleMatrix,
+    isInvertible,
+    isSymplecticRuleMatrix
+} from './laurentPolynomial.js';
+import { getRuleRadius } from '../simulation/automaton.js';
+import { mulberry32, randomSeed } from '../simulation/random.js';
+
+/**
+ * Draw an integer uniformly from 0..n-1
+ * @param {Function} rng - Generator of floats in [0, 1)
+ * @param {number} n - Number of values
+ * @returns {number} - Random integer
+ */
+function randomInt(rng, n) {
+    return Math.floor(rng() * n);
+}
+
+/**
+ * Identity matrix with some entries replaced
+ * @param {number} dim - Matrix size 2n
+ * @param {number} modulus - Prime local dimension p
+ * @param {Array} entries - [row, col, LaurentPolynomial] triples
+ * @returns {Array} - dim×dim matrix of Laurent polynomials
+ */
+function elementary(dim, modulus, entries) {
+    const matrix = identityMatrix(dim, modulus);
+    entries.forEach(([row, col, poly]) => {
+        matrix[row][col] = poly;
+    });
+    return matrix;
+}
+
+/**
+ * Random local Clifford gate on a cell of n qubits (rows x_1..x_n, z_1..z_n)
+ * @param {number} n - Qubits per cell
+ * @param {number} modulus - Prime local dimension p
+ * @param {Function} rng - Generator of floats in [0, 1)
+ * @returns {Array} - 2n×2n constant symplectic matrix
+ */
+function randomLocalGate(n, modulus, rng) {
+    const constant = c => new LaurentPolynomial({ 0: c }, modulus);
+    const zero = new LaurentPolynomial({}, modulus);
+    const gates = n > 1 ? 3 : 2;
+    const q = randomInt(rng, n);
+
+    switch (randomInt(rng, gates)) {
+        case 0:
+            // Hadamard (Fourier gate for qudits): X -> Z, Z -> X⁻¹
+            return elementary(2 * n, modulus, [
+                [q, q, zero], [n + q, n + q, zero],
+                [q, n + q, constant(1)], [n + q, q, constant(-1)]
+            ]);
+        case 1:
+            // Phase gate: a shear by a random nonzero constant
+            return elementary(2 * n, modulus, [[n + q, q, constant(1 + randomInt(rng, modulus - 1))]]);
+        default: {
+            // CNOT from qubit a to qubit b: x_b += x_a, z_a -= z_b
+            const a = q;
+            const b = (a + 1 + randomInt(rng, n - 1)) % n;
+            return elementary(2 * n, modulus, [[b, a, constant(1)], [n + a, n + b, constant(-1)]]);
+        }
+    }
+}
+
+/**
+ * Random nonlocal factor of radius 1: a shear by c₀ + c₁(x + x⁻¹) with c₁ ≠ 0
+ * on one qubit, or (less often) a shift of all qubits by one site
+ * @param {number} n - Qubits per cell
+ * @param {number} modulus - Prime local dimension p
+ * @param {Function} rng - Generator of floats in [0, 1)
+ * @returns {Array} - 2n×2n symplectic Laurent matrix
+ */
+function randomNonlocalFactor(n, modulus, rng) {
+    const dim = 2 * n;
+    if (randomInt(rng, 2 * n + 2) === 0) {
+        const shift = randomInt(rng, 2) === 0 ? 1 : -1;
+        return elementary(dim, modulus, Array.from({ length: dim }, (_, i) =>
+            [i, i, LaurentPolynomial.monomial(shift, 1, modulus)]));
+    }
+
+    const c0 = randomInt(rng, modulus);
+    const c1 = 1 + randomInt(rng, modulus - 1);
+    const f = new LaurentPolynomial({ [-1]: c1, 0: c0, 1: c1 }, modulus);
+    const q = randomInt(rng, n);
+    return randomInt(rng, 2) === 0
+        ? elementary(dim, modulus, [[q, n + q, f]])
+        : elementary(dim, modulus, [[n + q, q, f]]);
+}
+
+/**
+ * Sample a random valid Clifford QCA rule of the given radius
+ * @param {Object} options - Sampling options
+ * @param {number} options.radius - Neighbourhood radius r of the rule
+ * @param {number} options.cellQubits - Qubits n per cell
+ * @param {number} options.modulus - Prime local dimension p
+ * @param {number} options.seed - Seed of the random numbers
+ * @param {Function} options.rng - Generator of floats in [0, 1), e.g. to draw many rules from one seed
+ * @param {number} options.maxAttempts - Products to try before giving up
+ * @returns {Array} - 2n×2n(2r+1) rule matrix that is invertible and symplectic
+ */
+export function randomRuleMatrix({
+    radius = 1,
+    cellQubits = 1,
+    modulus = 2,
+    seed = randomSeed(),
+    rng = mulberry32(seed),
+    maxAttempts = 1000
+} = {}) {
+    if (!Number.isInteger(radius) || radius < 0) {
+        throw new Error(`Radius must be a non-negative integer, got ${radius}`);
+    }
+
+    // The number of gates varies: over F2, Hadamard and phase gates are both odd
+    // permutations of X, Y, Z, so layers of fixed length would miss half the local Cliffords
+    const localLayer = () => {
+        let layer = identityMatrix(2 * cellQubits, modulus);
+        const gates = 1 + randomInt(rng, 2 * cellQubits + 1);
+        for (let g = 0; g < gates; g++) {
+            layer = multiplyMatrices(randomLocalGate(cellQubits, modulus, rng), layer);
+        }
+        return layer;
+    };
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        let M = localLayer();
+        for (let k = 0; k < radius; k++) {
+            M = multiplyMatrices(localLayer(), multiplyMatrices(randomNonlocalFactor(cellQubits, modulus, rng), M));
+        }
+
+        const ruleMatrix = laurentToRuleMatrix(M);
+        if (getRuleRadius(ruleMatrix) !== radius) continue;
+        if (isInvertible(ruleMatrix, modulus) && isSymplecticRuleMatrix(ruleMatrix, modulus)) {
+            return ruleMatrix;
+        }
+    }
+    throw new Error(`No valid rule of radius ${radius} found in ${maxAttempts} attempts`);
+}
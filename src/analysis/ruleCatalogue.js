@@ -0,0 +1,115 @@
+/**
+ * Catalogue of all nearest-neighbour Clifford QCAs on qubits
+ *
+ * A nearest-neighbour rule on one qubit per cell is a 2×6 binary matrix, so
+ * there are only 2^12 of them. This module enumerates them all, keeps those
+ * that are invertible and symplectic (valid Clifford QCAs), and groups them by
+ * invariants of their Laurent matrix M(x): the determinant monomial, the trace
+ * polynomial and the shift. Each rule is identified by its code, the integer
+ * whose bit 6r+c is entry (r, c) of the matrix.
+ */
+
+import {
+    ruleMatrixToLaurent,
+    determinant,
+    isInvertible,
+    isSymplecticRuleMatrix
+} from './laurentPolynomial.js';
+import { gnvwIndex } from './gnvwIndex.js';
+import { PRESETS } from '../simulation/automaton.js';
+
+// Number of entries of a 2×6 rule matrix
+const RULE_BITS = 12;
+
+// Valid rules, enumerated on first use
+let catalogue = null;
+
+/**
+ * Build the 2×6 rule matrix with the given code
+ * @param {number} code - Integer in 0..4095
+ * @returns {Array} - 2×6 binary rule matrix
+ */
+export function ruleFromCode(code) {
+    if (!Number.isInteger(code) || code < 0 || code >= 1 << RULE_BITS) {
+        throw new Error(`Rule code must be an integer in 0..${(1 << RULE_BITS) - 1}, got ${code}`);
+    }
+    return [0, 1].map(row => Array.from({ length: 6 }, (_, col) => (code >> (6 * row + col)) & 1));
+}
+
+/**
+ * Get the code of a 2×6 rule matrix (see ruleFromCode)
+ * @param {Array} ruleMatrix - 2×6 binary rule matrix
+ * @returns {number} - Integer in 0..4095
+ */
+export function ruleCode(ruleMatrix) {
+    if (ruleMatrix.length !== 2 || ruleMatrix.some(row => row.length !== 6)) {
+        throw new Error("Only 2×6 (single-qubit, nearest-neighbour) rule matrices have a code");
+    }
+    return ruleMatrix.reduce((code, row, r) =>
+        row.reduce((sum, entry, c) => sum | ((entry & 1) << (6 * r + c)), code), 0);
+}
+
+/**
+ * Compute the invariants of a rule
+ * The shift is the displacement per step of the rule, in sites to the right,
+ * i.e. log2 of its GNVW index (see gnvwIndex).
+ * @param {Array} ruleMatrix - 2×6 binary rule matrix of a valid Clifford QCA
+ * @returns {Object} - {determinant, trace, shift} with the polynomials as strings
+ */
+export function ruleInvariants(ruleMatrix) {
+    const M = ruleMatrixToLaurent(ruleMatrix, 2);
+    return {
+        determinant: determinant(M).toString(),
+        trace: M[0][0].add(M[1][1]).toString(),
+        shift: gnvwIndex(M).logIndex
+    };
+}
+
+/**
+ * Enumerate every valid nearest-neighbour rule on qubits
+ * @returns {Array} - Entries {code, ruleMatrix, determinant, trace, shift, preset} sorted by code;
+ *                    preset names the preset with the same rule matrix, if any
+ */
+export function catalogueRules() {
+    if (catalogue) return catalogue;
+
+    // Presets are matched by code, so each catalogue entry can name its preset
+    const presetCodes = new Map();
+    Object.entries(PRESETS).forEach(([name, preset]) => {
+        if (preset.ruleSequence || (preset.modulus || 2) !== 2) return;
+        const matrix = preset.ruleMatrix;
+        if (matrix.length === 2 && matrix[0].length === 6 && !presetCodes.has(ruleCode(matrix))) {
+            presetCodes.set(ruleCode(matrix), name);
+        }
+    });
+
+    catalogue = [];
+    for (let code = 0; code < 1 << RULE_BITS; code++) {
+        const ruleMatrix = ruleFromCode(code);
+        if (!isInvertible(ruleMatrix) || !isSymplecticRuleMatrix(ruleMatrix)) continue;
+        catalogue.push({
+            code,
+            ruleMatrix,
+            ...ruleInvariants(ruleMatrix),
+            preset: presetCodes.get(code) || null
+        });
+    }
+    return catalogue;
+}
+
+/**
+ * Group catalogue entries that share their invariants
+ * @param {Array} entries - Catalogue entries (see catalogueRules)
+ * @returns {Array} - Groups {determinant, trace, shift, rules}, ordered by shift, then trace
+ */
+export function groupByInvariants(entries = catalogueRules()) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const key = `${entry.determinant}|${entry.trace}`;
+        if (!groups.has(key)) {
+            groups.set(key, { determinant: entry.determinant, trace: entry.trace, shift: entry.shift, rules: [] });
+        }
+        groups.get(key).rules.push(entry);
+    });
+    return [...groups.values()].sort((a, b) => a.shift - b.shift || a.trace.localeCompare(b.trace));
+}
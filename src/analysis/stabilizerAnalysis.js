@@ -0,0 +1,88 @@
+/**
+ * Stabilizer analysis of a single Pauli string
+ *
+ * This module bundles the orthogonal stabilizer check, the logical qubit count,
+ * the code distance and the bipartite entanglement of the stabilizer group
+ * generated by the translates of a Pauli string. It has no UI dependencies, so
+ * it runs both in the analysis panel and in the simulation worker.
+ */
+
+import {
+    hasOrthogonalStabilizerPeriodic,
+    hasOrthogonalStabilizerFinite,
+    initialStateToLaurent,
+    calculateLogicalQubits
+} from './laurentPolynomial.js';
+import { polyToBinaryTableau, polyToFiniteTableau, seedTranslates } from './polyToTableau.js';
+import { findLogicalOperators, findDistance, computeEntanglement, rankMod2 } from './stabilizerTools.js';
+
+/**
+ * Check the orthogonal stabilizer condition for the given boundary conditions
+ * @param {Array} pauliArray - Pauli string in F2 representation
+ * @param {number} latticeSize - Chain length N
+ * @param {string} boundary - Boundary mode ('periodic', 'open' or 'fixed')
+ * @returns {boolean} - Whether the translates commute
+ */
+export function hasOrthogonalStabilizer(pauliArray, latticeSize, boundary) {
+    return boundary === 'periodic'
+        ? hasOrthogonalStabilizerPeriodic(pauliArray, latticeSize)
+        : hasOrthogonalStabilizerFinite(pauliArray, latticeSize);
+}
+
+/**
+ * Build the binary stabilizer tableau from the translates of a Pauli string.
+ * Periodic chains fold exponents mod (x^N-1), open and fixed chains use a finite-chain tableau.
+ * @param {Array} pauliArray - Pauli string in F2 representation
+ * @param {number} latticeSize - Chain length N
+ * @param {string} boundary - Boundary mode ('periodic', 'open' or 'fixed')
+ * @returns {Array} - M×2N binary stabilizer tableau
+ */
+export function buildStabilizerTableau(pauliArray, latticeSize, boundary) {
+    const seed = initialStateToLaurent(pauliArray);
+    const gens = seedTranslates(seed, latticeSize, boundary);
+    return boundary === 'periodic'
+        ? polyToBinaryTableau(gens, latticeSize)
+        : polyToFiniteTableau(gens, latticeSize);
+}
+
+/**
+ * Count logical qubits: via the Smith normal form on a ring, via the tableau rank on a finite chain
+ * @param {Array} pauliArray - Pauli string in F2 representation
+ * @param {number} latticeSize - Chain length N
+ * @param {string} boundary - Boundary mode ('periodic', 'open' or 'fixed')
+ * @returns {number} - Number of logical qubits k
+ */
+export function countLogicalQubits(pauliArray, latticeSize, boundary) {
+    if (boundary === 'periodic') {
+        return calculateLogicalQubits(pauliArray, latticeSize);
+    }
+    return latticeSize - rankMod2(buildStabilizerTableau(pauliArray, latticeSize, boundary));
+}
+
+/**
+ * Analyse the stabilizer group generated by the translates of a Pauli string
+ * (single-qubit cells over F2 only). Distance and entanglement are 0 when the
+ * translates do not commute; the distance is also 0 without logical qubits.
+ * @param {Array} pauliArray - Pauli string in F2 representation
+ * @param {number} latticeSize - Chain length N
+ * @param {string} boundary - Boundary mode ('periodic', 'open' or 'fixed')
+ * @returns {Object} - {isOrthogonal, logicalQubits, distance, entanglement}
+ */
+export function analyzeStabilizerState(pauliArray, latticeSize, boundary = 'periodic') {
+    const isOrthogonal = hasOrthogonalStabilizer(pauliArray, latticeSize, boundary);
+    if (!isOrthogonal) {
+        return { isOrthogonal, logicalQubits: 0, distance: 0, entanglement: 0 };
+    }
+
+    const k = countLogicalQubits(pauliArray, latticeSize, boundary);
+    const tableau = buildStabilizerTableau(pauliArray, latticeSize, boundary);
+
+    // Logical operators are only needed (and only exist) when k > 0
+    const logicals = k > 0 ? findLogicalOperators(tableau, k) : [];
+    return {
+        isOrthogonal,
+        logicalQubits: k,
+        distance: k > 0 ? findDistance(tableau, logicals) : 0,
+        entanglement: computeEntanglement(tableau, logicals)
+    };
+}
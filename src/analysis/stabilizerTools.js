@@ -140,7 +140,7 @@ function mulMod2(matrix, vector) {
  * @param {Array} matrix - Array of Uint8Array rows
  * @returns {number} - Rank of the matrix
  */
-function rankMod2(matrix) {
+export function rankMod2(matrix) {
     if (matrix.length === 0) return 0;
     
     // Make a copy to avoid modifying the original
@@ -2,47 +2,68 @@
  * Main application component for 1D Clifford QCA Simulator
  */
 import React from 'react';
-import { CliffordQCA, PRESETS, DEFAULT_RULE_MATRIX } from './simulation/automaton.js';
-import { pauliStringToF2 } from './simulation/clifford.js';
-import { SimulationControls } from './ui/controls.js';
+import { PRESETS, DEFAULT_RULE_MATRIX } from './simulation/automaton.js';
+import { pauliStringToF2, formatPhase } from './simulation/clifford.js';
+import { createSimulation } from './simulation/setup.js';
+import { SimulationControls, JumpToStepControl, BackwardControls, ExportCircuitControl } from './ui/controls.js';
 import { MainLayout, Section, ThreeColumnLayout } from './ui/layout.js';
+import { downloadTextFile } from './ui/download.js';
 import { renderSpacetimeDiagram, renderCurrentState } from './visualization/spacetime.js';
 import { MathematicalAnalysis } from './analysis/MathematicalAnalysis.js';
+import { exportCircuit, CIRCUIT_FORMATS } from './analysis/circuitExport.js';
 
 // Import custom hooks
 import { useSimulationState } from './hooks/useSimulationState.js';
-import { useQCAInitialization } from './hooks/useQCAInitialization.js';
 import { useSimulationSetup } from './hooks/useSimulationSetup.js';
 import { useSimulationAnimation } from './hooks/useSimulationAnimation.js';
 import { useVisualization } from './hooks/useVisualization.js';
 
 export function App() {
     const {
-        qca, setQca,
+        engine,
         ruleMatrix, setRuleMatrix,
-        history, setHistory,
+        historyVersion, setHistoryVersion,
+        globalPhase, setGlobalPhase,
         simulationParams, setSimulationParams,
         currentStep, setCurrentStep,
         isRunning, setIsRunning,
         stepTime, setStepTime,
+        stepMetrics, setStepMetrics,
         currentStateRef,
         spacetimeDiagramRef,
-        timeoutRef,
         renderTimeRef
     } = useSimulationState();
     
     // Track whether a simulation has been started (and not yet reset)
     const [hasSimulationStarted, setHasSimulationStarted] = React.useState(false);
+    
+    // Why the worker refused to set up the last simulation, shown under the run button
+    const [setupError, setSetupError] = React.useState(null);
+    const handleSetupError = React.useCallback((message) => {
+        setSetupError(message);
+        setHasSimulationStarted(false); // Re-enable the controls to fix the settings
+    }, []);
+    
+    // Direction of the running animation; backward runs stop at their own step limit
+    const [runDirection, setRunDirection] = React.useState('forward');
+    const [stepLimit, setStepLimit] = React.useState(null);
+    
+    // Packed history mirrored from the simulation worker, read in place by the renderer
+    const history = engine.getHistory();
+    
+    // Time step of the current state (differs from the history index after jumps and backward steps)
+    const simulationTime = engine.getTime();
 
     // new state to drive your MathematicalAnalysis panel
     const [analysisOperators, setAnalysisOperators] = React.useState([{ type:'X', position:50 }]);
     const [analysisLatticeSize, setAnalysisLatticeSize] = React.useState(100);
+    const [analysisBoundary, setAnalysisBoundary] = React.useState('periodic');
+    const [analysisModulus, setAnalysisModulus] = React.useState(2);
     const [analysisRuleMatrix, setAnalysisRuleMatrix] = React.useState(() => 
         ruleMatrix ? ruleMatrix.map(row => [...row]) : DEFAULT_RULE_MATRIX.map(row => [...row])
     );
-    
-    // Add explicit analysis step trigger
-    const [analysisStepTrigger, setAnalysisStepTrigger] = React.useState(0);
+    const [analysisRuleSequence, setAnalysisRuleSequence] = React.useState(null);
+    const [analysisRuleOverrides, setAnalysisRuleOverrides] = React.useState([]);
     
     // Track mathematical properties for Quantum Pane
     const [mathProperties, setMathProperties] = React.useState({
@@ -55,44 +76,39 @@ export function App() {
         entanglementTrajectory: []
     });
 
-    // Initialize QCA when rule matrix changes
-    useQCAInitialization({ 
-        ruleMatrix, 
-        simulationParams, 
-        setQca 
-    });
-    
     // Set up simulation when parameters change
     useSimulationSetup({
         simulationParams,
         ruleMatrix,
-        setQca,
-        setHistory,
-        setCurrentStep,
-        setStepTime,
+        engine,
+        setStepMetrics,
         setIsRunning,
-        timeoutRef,
         spacetimeDiagramRef,
-        renderTimeRef
+        renderTimeRef,
+        onSetupError: handleSetupError
     });
     
     // Incremental animation effect
     useSimulationAnimation({
         isRunning,
-        currentStep,
-        qca,
+        engine,
         simulationParams,
-        setHistory,
+        runDirection,
+        stepLimit,
+        setHistoryVersion,
+        setGlobalPhase,
         setCurrentStep,
         setStepTime,
-        timeoutRef,
+        setStepMetrics,
         setIsRunning,
-        setAnalysisStepTrigger
+        spacetimeDiagramRef
     });
     
     // Render visualization when history changes
     useVisualization({
         history,
+        historyVersion,
+        modulus: simulationParams?.modulus || 2,
         currentStateRef,
         spacetimeDiagramRef,
         renderTimeRef
@@ -100,10 +116,15 @@ export function App() {
     
     const handleRunSimulation = (params) => {
         // If we're resuming a paused simulation, just turn isRunning back on
-        if (history.length > 1 && currentStep > 0 && !isRunning) {
+        if (((history && history.length > 1 && currentStep > 0) || simulationTime !== 0) && !isRunning) {
+            // After a backward run, continue forward for another run of time steps
+            if (stepLimit !== null) setStepLimit(currentStep + simulationParams.timeSteps);
+            setRunDirection('forward');
             setIsRunning(true);
             return;
         }
+        setRunDirection('forward');
+        setStepLimit(null);
         
         // If params includes a ruleMatrix, update our state
         if (params.ruleMatrix) {
@@ -113,25 +134,26 @@ export function App() {
             // Also update the analysis rule matrix to stay in sync
             setAnalysisRuleMatrix(params.ruleMatrix.map(row => [...row]));
         }
+        if (params.ruleSequence) setAnalysisRuleSequence(params.ruleSequence);
+        setAnalysisRuleOverrides(params.ruleOverrides || []);
         
         // Also update analysis state when simulation runs
         if (params.operators) setAnalysisOperators(params.operators);
         if (params.latticeSize) setAnalysisLatticeSize(params.latticeSize);
+        if (params.boundary) setAnalysisBoundary(params.boundary);
+        if (params.modulus) setAnalysisModulus(params.modulus);
         
         // Mark that a simulation has started
         setHasSimulationStarted(true);
+        setSetupError(null);
         
         // Start the simulation
         setSimulationParams(params);
     };
     
     const handleStopSimulation = () => {
-        // Stop the running animation
+        // Stop the running animation (the worker stops when isRunning turns false)
         setIsRunning(false);
-        if (timeoutRef.current) {
-            clearTimeout(timeoutRef.current);
-            timeoutRef.current = null;
-        }
         
         // Note: Controls remain disabled because hasSimulationStarted is still true
     };
@@ -139,30 +161,26 @@ export function App() {
     const handleResetSimulation = () => {
         // Stop any running animation
         setIsRunning(false);
-        if (timeoutRef.current) {
-            clearTimeout(timeoutRef.current);
-            timeoutRef.current = null;
-        }
         
-        // Reset visualization by clearing the container
-        if (spacetimeDiagramRef.current) {
-            spacetimeDiagramRef.current.innerHTML = '';
+        // Reset QCA to all identity operators; the worker streams back the new diagram
+        if (history) {
+            engine.reset().catch(error => console.error("Error resetting the simulation:", error));
         }
-        
-        // Reset QCA to initial state
-        qca.reset();
-        setHistory([qca.getState()]);
-        setCurrentStep(0);
+        setRunDirection('forward');
+        setStepLimit(null);
         setStepTime(0);
         renderTimeRef.current = 0;
         
         // Reset analysis state to match current simulation state
         setAnalysisRuleMatrix(ruleMatrix.map(row => [...row]));
+        setAnalysisRuleSequence(simulationParams?.ruleSequence || null);
+        setAnalysisRuleOverrides(simulationParams?.ruleOverrides || []);
         setAnalysisOperators([{ type: 'X', position: 50 }]);
         setAnalysisLatticeSize(100);
         
-        // Reset the analysis step trigger to clear simulation-step details
-        setAnalysisStepTrigger(0);
+        // Clear the simulation-step metrics (and drop the analysis still queued in the worker)
+        engine.cancelAnalysis();
+        setStepMetrics(null);
         
         // Reset math properties including trajectory
         setMathProperties(prev => ({
@@ -173,14 +191,66 @@ export function App() {
         
         // Mark that the simulation has been reset, re-enabling controls
         setHasSimulationStarted(false);
+        setSetupError(null);
+    };
+    
+    // Fast-forward the paused simulation; the spacetime diagram restarts at step t
+    const handleJumpToStep = async (t) => {
+        try {
+            await engine.jumpTo(t);
+            setStepLimit(null);
+            return null;
+        } catch (error) {
+            console.error("Error jumping to step:", error);
+            return error.message;
+        }
+    };
+    
+    // Take one step into the past with the inverse rule, appending it to the diagram
+    const handleStepBackward = async () => {
+        try {
+            await engine.stepBackward();
+            return null;
+        } catch (error) {
+            console.error("Error stepping backward:", error);
+            return error.message;
+        }
+    };
+    
+    // Download the run from its initial state as a Stim circuit or OpenQASM program
+    const handleExportCircuit = (format, steps) => {
+        try {
+            const qca = createSimulation(simulationParams, ruleMatrix);
+            const text = exportCircuit(qca, steps, format);
+            downloadTextFile(`clifford-qca-${steps}-steps.${CIRCUIT_FORMATS[format].extension}`, text);
+            return null;
+        } catch (error) {
+            console.error("Error exporting circuit:", error);
+            return error.message;
+        }
+    };
+    
+    // Run backwards for the configured number of time steps
+    const handleRunBackward = async () => {
+        // The first step surfaces errors such as a non-invertible rule
+        const error = await handleStepBackward();
+        if (error) return error;
+        setRunDirection('backward');
+        setStepLimit(currentStep + simulationParams.timeSteps);
+        setIsRunning(true);
+        return null;
     };
     
     // Handle analysis-only updates (no simulation start)
-    const handleAnalysisUpdate = ({ ruleMatrix, operators, latticeSize }) => {
+    const handleAnalysisUpdate = ({ ruleMatrix, ruleSequence, ruleOverrides, operators, latticeSize, boundary, modulus }) => {
         // Update analysis-specific state variables only, not the simulation state
         if (ruleMatrix) setAnalysisRuleMatrix(ruleMatrix.map(r=>[...r]));
+        if (ruleSequence) setAnalysisRuleSequence(ruleSequence);
+        if (ruleOverrides) setAnalysisRuleOverrides(ruleOverrides);
         if (operators) setAnalysisOperators(operators);
         if (latticeSize) setAnalysisLatticeSize(latticeSize);
+        if (boundary) setAnalysisBoundary(boundary);
+        if (modulus) setAnalysisModulus(modulus);
     };
     
     return (
@@ -196,13 +266,21 @@ export function App() {
                                 onAnalysisUpdate={handleAnalysisUpdate}
                                 isRunning={isRunning}
                                 isDisabled={hasSimulationStarted}
+                                runError={setupError}
                             />
                         </Section>
                     </>
                 }
                 centerColumn={
                     <div style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
-                        <Section title="Current State" style={{ marginBottom: '10px' }}>
+                        <Section 
+                            title={[
+                                'Current State',
+                                simulationTime !== currentStep ? `(t = ${simulationTime})` : null,
+                                globalPhase !== null ? `(phase ${formatPhase(globalPhase)})` : null
+                            ].filter(Boolean).join(' ')} 
+                            style={{ marginBottom: '10px' }}
+                        >
                             <div style={{ width: '100%', display: 'flex', justifyContent: 'center' }}>
                             <canvas 
                                 id="current-state" 
@@ -218,6 +296,21 @@ export function App() {
                                 }}
                             ></canvas>
                             </div>
+                            <JumpToStepControl 
+                                currentTime={simulationTime}
+                                onJump={handleJumpToStep}
+                                disabled={!hasSimulationStarted || isRunning}
+                            />
+                            <BackwardControls 
+                                onStepBackward={handleStepBackward}
+                                onRunBackward={handleRunBackward}
+                                disabled={!hasSimulationStarted || isRunning}
+                            />
+                            <ExportCircuitControl 
+                                currentTime={simulationTime}
+                                onExport={handleExportCircuit}
+                                disabled={!hasSimulationStarted || isRunning}
+                            />
                         </Section>
                         
                         <Section title="Spacetime Diagram" 
@@ -254,10 +347,15 @@ export function App() {
                                     {analysisRuleMatrix && (
                                         <MathematicalAnalysis 
                                             ruleMatrix={analysisRuleMatrix}
-                                            pauliArray={hasSimulationStarted && history && history.length > 0 && currentStep < history.length ? history[currentStep] : null}
+                                            ruleSequence={analysisRuleSequence}
+                                            ruleOverrides={analysisRuleOverrides}
+                                            stepMetrics={hasSimulationStarted ? stepMetrics : null}
+                                            history={hasSimulationStarted ? history : null}
                                             operators={analysisOperators}
                                             latticeSize={analysisLatticeSize}
-                                            analysisStepTrigger={analysisStepTrigger}
+                                            boundary={analysisBoundary}
+                                            modulus={analysisModulus}
+                                            globalPhase={hasSimulationStarted ? globalPhase : null}
                                             onPropertiesChange={setMathProperties}
                                         />
                                     )}
@@ -2,61 +2,59 @@ import { useEffect } from 'react';
 
 export function useSimulationAnimation({
     isRunning,
-    currentStep,
-    qca,
+    engine,
     simulationParams,
-    setHistory,
+    runDirection = 'forward',
+    stepLimit = null,
+    setHistoryVersion,
+    setGlobalPhase,
     setCurrentStep,
     setStepTime,
-    timeoutRef,
+    setStepMetrics,
     setIsRunning,
-    setAnalysisStepTrigger
+    spacetimeDiagramRef
 }) {
-    // Incremental animation effect
+    // Follow the states and metrics streamed by the simulation worker
+    useEffect(() => engine.subscribe(message => {
+        if (message.type === 'metrics') {
+            setStepMetrics(message);
+            return;
+        }
+        
+        // A restarted history (new run, jump or reset) starts a new diagram
+        if (message.restart && spacetimeDiagramRef.current) {
+            spacetimeDiagramRef.current.innerHTML = '';
+        }
+        setHistoryVersion(version => version + 1);
+        setGlobalPhase(engine.trackPhase ? engine.getPhase() : null);
+        setCurrentStep(engine.getHistory().end - 1);
+        setStepTime(message.stepTime);
+    }), [engine, setHistoryVersion, setGlobalPhase, setCurrentStep, setStepTime, setStepMetrics, spacetimeDiagramRef]);
+    
+    // Incremental animation: the worker takes one step every 10ms until the run ends or is stopped
     useEffect(() => {
         if (!isRunning || !simulationParams) return;
         
-        // If we've reached the target number of steps, stop
-        if (currentStep >= simulationParams.timeSteps) {
+        // Run up to the target number of steps
+        // (backward runs set their own limit on the history length)
+        const history = engine.getHistory();
+        const remaining = (stepLimit ?? simulationParams.timeSteps) - (history ? history.end - 1 : 0);
+        if (remaining <= 0) {
             setIsRunning(false);
             return;
         }
         
-        // Schedule the next step with increased delay (50ms instead of 10ms)
-        timeoutRef.current = setTimeout(() => {
-            // Measure time for the step
-            const startTime = performance.now();
-            
-            // Take one step in the simulation
-            const newState = qca.step();
-            
-            // Calculate time taken
-            const endTime = performance.now();
-            const timeTaken = endTime - startTime;
-            
-            // Store the raw millisecond value without formatting
-            if (typeof setStepTime === 'function') {
-                setStepTime(timeTaken);
-            }
-            
-            // Update history with the new state (using functional update to avoid dependency)
-            setHistory(prevHistory => [...prevHistory, newState]);
-            setCurrentStep(prevStep => prevStep + 1);
-            
-            // Trigger analysis for this simulation step
-            if (typeof setAnalysisStepTrigger === 'function') {
-                setAnalysisStepTrigger(prev => prev + 1);
-            }
-            
-        }, 10); // Changed back to 10ms since rendering is now around 5ms
+        let active = true;
+        engine.run(remaining, { direction: runDirection, batchSteps: 1, interval: 10 })
+            .catch(error => console.error("Error stepping the simulation:", error))
+            .finally(() => {
+                if (active) setIsRunning(false);
+            });
         
         // Cleanup on unmount or when running state changes
         return () => {
-            if (timeoutRef.current) {
-                clearTimeout(timeoutRef.current);
-                timeoutRef.current = null;
-            }
+            active = false;
+            engine.stop();
         };
-    }, [isRunning, currentStep, qca, simulationParams, 
-        setHistory, setCurrentStep, setStepTime, timeoutRef, setIsRunning, setAnalysisStepTrigger]);
-} 
\ No newline at end of file
+    }, [isRunning, engine, simulationParams, runDirection, stepLimit, setIsRunning]);
+} 
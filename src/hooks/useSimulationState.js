@@ -1,34 +1,40 @@
-import { useState, useRef } from 'react';
-import { CliffordQCA } from '../simulation/automaton.js';
+import { useState, useRef, useEffect } from 'react';
+import { DEFAULT_RULE_MATRIX } from '../simulation/automaton.js';
+import { WorkerEngine } from '../worker/workerEngine.js';
 
 export function useSimulationState() {
-    const [qca, setQca] = useState(new CliffordQCA());
-    const [ruleMatrix, setRuleMatrix] = useState(qca.ruleMatrix);
-    const [history, setHistory] = useState([]);
+    const [engine] = useState(() => new WorkerEngine()); // Runs the QCA in a Web Worker
+    const [ruleMatrix, setRuleMatrix] = useState(DEFAULT_RULE_MATRIX);
+    const [historyVersion, setHistoryVersion] = useState(0); // Bumped when the mirrored history changes
+    const [globalPhase, setGlobalPhase] = useState(null); // null when phases are not tracked
     const [simulationParams, setSimulationParams] = useState(null);
     const [currentStep, setCurrentStep] = useState(0);
     const [isRunning, setIsRunning] = useState(false);
     const [stepTime, setStepTime] = useState(0);
+    const [stepMetrics, setStepMetrics] = useState(null); // Stabilizer metrics of the newest analysed state
     
     const currentStateRef = useRef(null);
     const spacetimeDiagramRef = useRef(null);
-    const timeoutRef = useRef(null);
     const renderTimeRef = useRef(0); // Keep this for visualization hooks
+    
+    // Stop the worker with the app
+    useEffect(() => () => engine.terminate(), [engine]);
 
     return {
         // State variables
-        qca, setQca,
+        engine,
         ruleMatrix, setRuleMatrix,
-        history, setHistory,
+        historyVersion, setHistoryVersion,
+        globalPhase, setGlobalPhase,
         simulationParams, setSimulationParams,
         currentStep, setCurrentStep,
         isRunning, setIsRunning,
         stepTime, setStepTime,
+        stepMetrics, setStepMetrics,
         
         // Refs
         currentStateRef,
         spacetimeDiagramRef,
-        timeoutRef,
         renderTimeRef
     };
-} 
\ No newline at end of file
+} 
@@ -3,25 +3,27 @@ import { renderSpacetimeDiagram, renderCurrentState } from '../visualization/spa
 
 export function useVisualization({
     history,
+    historyVersion,
+    modulus = 2,
     currentStateRef,
     spacetimeDiagramRef,
     renderTimeRef
 }) {
     // Render visualization when history changes
     useEffect(() => {
-        if (history.length > 0 && currentStateRef.current && spacetimeDiagramRef.current) {
+        if (history && history.length > 0 && currentStateRef.current && spacetimeDiagramRef.current) {
             // Measure rendering time
             const renderStartTime = performance.now();
             
             // Render spacetime diagram first to calculate the cell size
-            const usedCellSize = renderSpacetimeDiagram('spacetime-diagram', history);
+            const usedCellSize = renderSpacetimeDiagram('spacetime-diagram', history, null, modulus);
             
             // Render current state using the same cell size
-            renderCurrentState('current-state', history[history.length - 1], usedCellSize);
+            renderCurrentState('current-state', history.last(), usedCellSize, modulus);
             
             // Calculate rendering time and store in ref (avoiding re-render)
             const renderEndTime = performance.now();
             renderTimeRef.current = renderEndTime - renderStartTime;
         }
-    }, [history, currentStateRef, spacetimeDiagramRef, renderTimeRef]);
+    }, [history, historyVersion, modulus, currentStateRef, spacetimeDiagramRef, renderTimeRef]);
 } 
\ No newline at end of file
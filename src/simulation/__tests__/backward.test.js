@@ -0,0 +1,99 @@
+/**
+ * inverseRuleMatrix and stepBackward against the forward evolution
+ */
+import { CliffordQCA, PRESETS } from '../automaton.js';
+import { composeRules, inverseRuleMatrix, isIdentityMatrix, laurentToRuleMatrix } from '../../analysis/laurentPolynomial.js';
+
+const SIZE = 29;
+const FRACTAL = PRESETS['Fractal'].ruleMatrix;
+const GLIDER = PRESETS['Glider'].ruleMatrix;
+const WOLFRAM = PRESETS['Wolfram 150 Rule'].ruleMatrix;
+const BRICKWORK = PRESETS['Brickwork (CZ + H)'];
+const RADIUS_TWO = laurentToRuleMatrix(composeRules(FRACTAL, FRACTAL));
+
+const RULES = [
+    { name: 'Fractal', ruleMatrix: FRACTAL, modulus: 2 },
+    { name: 'Glider', ruleMatrix: GLIDER, modulus: 2 },
+    { name: 'radius 2', ruleMatrix: RADIUS_TWO, modulus: 2 },
+    { name: 'qutrits', ruleMatrix: PRESETS['Qutrit Fractal'].ruleMatrix, modulus: 3 },
+    { name: 'two-qubit cells', ruleMatrix: PRESETS['Qubit Shift'].ruleMatrix, modulus: 2 }
+];
+
+const CASES = [
+    ...RULES.map(({ name, ruleMatrix, modulus }) => ({ name, ruleMatrix, options: { modulus } })),
+    { name: 'period 2', ruleMatrix: BRICKWORK.ruleMatrix, options: { ruleSequence: BRICKWORK.ruleSequence } },
+    { name: 'period 3', ruleMatrix: FRACTAL, options: { ruleSequence: [FRACTAL, GLIDER, RADIUS_TWO] } },
+    { name: 'packed engine', ruleMatrix: FRACTAL, options: { engine: 'packed', ruleSequence: [GLIDER, RADIUS_TWO] } }
+];
+
+/**
+ * Build the automaton of a case from a seeded random state
+ */
+function build({ ruleMatrix, options = {} }) {
+    const qca = new CliffordQCA(SIZE, ruleMatrix, { seed: 5, ...options });
+    qca.setRandomState();
+    return qca;
+}
+
+describe('inverseRuleMatrix', () => {
+    test.each(RULES)('undoes the rule on either side: $name', ({ ruleMatrix, modulus }) => {
+        const inverse = inverseRuleMatrix(ruleMatrix, modulus);
+        expect(isIdentityMatrix(composeRules(ruleMatrix, inverse, modulus))).toBe(true);
+        expect(isIdentityMatrix(composeRules(inverse, ruleMatrix, modulus))).toBe(true);
+    });
+
+    test('rejects a rule whose determinant is not a monomial', () => {
+        expect(() => inverseRuleMatrix(WOLFRAM)).toThrow(/not invertible/);
+    });
+});
+
+describe('stepBackward', () => {
+    test.each(CASES)('retraces a forward run: $name', (testCase) => {
+        const qca = build(testCase);
+        qca.run(2); // Start the backward steps in the middle of the rule sequence
+        const forward = build(testCase);
+        forward.run(2);
+        const states = [forward.getState()];
+        for (let t = 0; t < 12; t++) {
+            forward.step();
+            states.push(forward.getState());
+        }
+        qca.run(12);
+        
+        for (let t = 11; t >= 0; t--) {
+            expect(qca.stepBackward()).toEqual(states[t]);
+            expect(qca.getTime()).toBe(t + 2);
+        }
+        
+        // Going forward again applies the rules in the original order
+        qca.run(12);
+        expect(qca.getState()).toEqual(states[12]);
+        
+        // Every backward step is appended to the history
+        expect(qca.getHistory().length).toBe(1 + 2 + 12 + 12 + 12);
+    });
+
+    test.each(CASES)('goes past the initial state like stateAt: $name', (testCase) => {
+        const qca = build(testCase);
+        const predicted = Array.from({ length: 10 }, (_, k) => qca.stateAt(-1 - k));
+        predicted.forEach(state => expect(qca.stepBackward()).toEqual(state));
+    });
+
+    test('streams backward with evolve', () => {
+        const qca = build({ ruleMatrix: FRACTAL });
+        const initial = qca.getState();
+        qca.run(8);
+        const reports = [...qca.evolve({ steps: 8, direction: 'backward' })];
+        
+        expect(reports.map(({ time }) => time)).toEqual([7, 6, 5, 4, 3, 2, 1, 0]);
+        expect(reports[reports.length - 1].state).toEqual(initial);
+    });
+
+    test('rejects what it cannot invert', () => {
+        expect(() => build({ ruleMatrix: WOLFRAM }).stepBackward()).toThrow(/not invertible/);
+        expect(() => build({ ruleMatrix: FRACTAL, options: { boundary: 'open' } }).stepBackward()).toThrow(/periodic/);
+        expect(() => build({ ruleMatrix: FRACTAL, options: { ruleOverrides: [{ from: 0, to: 3, ruleMatrix: GLIDER }] } }).stepBackward())
+            .toThrow(/translation-invariant/);
+        expect(() => build({ ruleMatrix: FRACTAL, options: { trackPhase: true } }).stepBackward()).toThrow(/forward steps/);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * The dense and packed engines must evolve every configuration identically
+ */
+import { CliffordQCA, PRESETS, getRuleRadius } from '../automaton.js';
+import { composeRules, laurentToRuleMatrix } from '../../analysis/laurentPolynomial.js';
+
+const STEPS = 40;
+const SIZE = 37; // Not a multiple of 32, so the last packed word is partly used
+
+const FRACTAL = PRESETS['Fractal'].ruleMatrix;
+const GLIDER = PRESETS['Glider'].ruleMatrix;
+
+// Two steps of the fractal rule as one rule of radius 2
+const RADIUS_TWO = laurentToRuleMatrix(composeRules(FRACTAL, FRACTAL));
+
+const CASES = [
+    { name: 'Fractal', ruleMatrix: FRACTAL },
+    { name: 'Glider', ruleMatrix: GLIDER },
+    { name: 'Wolfram 150', ruleMatrix: PRESETS['Wolfram 150 Rule'].ruleMatrix },
+    { name: 'radius 2', ruleMatrix: RADIUS_TWO },
+    { name: 'two-qubit cells', ruleMatrix: PRESETS['Qubit Shift'].ruleMatrix },
+    { name: 'rule sequence', ruleMatrix: FRACTAL, options: { ruleSequence: [FRACTAL, GLIDER, RADIUS_TWO] } },
+    { name: 'two-qubit rule sequence', ruleMatrix: PRESETS['Brickwork (CZ + H)'].ruleMatrix,
+        options: { ruleSequence: PRESETS['Brickwork (CZ + H)'].ruleSequence } },
+    { name: 'open boundary', ruleMatrix: FRACTAL, options: { boundary: 'open' } },
+    { name: 'open boundary, radius 2', ruleMatrix: RADIUS_TWO, options: { boundary: 'open' } },
+    { name: 'fixed boundary', ruleMatrix: GLIDER,
+        options: { boundary: 'fixed', boundaryPaulis: { left: [1, 0], right: [1, 1] } } },
+    { name: 'rule overrides', ruleMatrix: FRACTAL,
+        options: { ruleOverrides: [{ from: 3, to: 9, ruleMatrix: GLIDER }, { from: 30, to: 36, ruleMatrix: RADIUS_TWO }] } },
+    { name: 'overrides on an open chain', ruleMatrix: GLIDER,
+        options: { boundary: 'open', ruleOverrides: [{ from: 0, to: 4, ruleMatrix: FRACTAL }] } },
+    { name: 'noise', ruleMatrix: FRACTAL, options: { noise: { x: 0.02, y: 0.01, z: 0.02 }, seed: 7 } }
+];
+
+/**
+ * Build the automaton of a case with the given engine, starting from a seeded random state
+ */
+function build({ ruleMatrix, options = {} }, engine) {
+    const qca = new CliffordQCA(SIZE, ruleMatrix, { seed: 1, ...options, engine });
+    qca.setRandomState();
+    return qca;
+}
+
+describe('dense and packed engines', () => {
+    test('cover a rule of radius 2', () => {
+        expect(getRuleRadius(RADIUS_TWO)).toBe(2);
+    });
+
+    test.each(CASES)('agree step by step: $name', (testCase) => {
+        const dense = build(testCase, 'dense');
+        const packed = build(testCase, 'packed');
+        expect(packed.getHistory().toArray()).toEqual(dense.getHistory().toArray());
+        
+        for (let t = 1; t <= STEPS; t++) {
+            dense.step();
+            packed.step();
+            expect(packed.getState()).toEqual(dense.getState());
+            expect(packed.getHistory().toArray()).toEqual(dense.getHistory().toArray());
+        }
+        expect(packed.getFlipHistory()).toEqual(dense.getFlipHistory());
+    });
+
+    test.each(CASES)('agree over run and evolve: $name', (testCase) => {
+        const dense = build(testCase, 'dense');
+        const packed = build(testCase, 'packed');
+        dense.run(10);
+        packed.run(10);
+        const denseReports = [...dense.evolve({ steps: 15, every: 5 })];
+        const packedReports = [...packed.evolve({ steps: 15, every: 5 })];
+        
+        expect(packedReports).toEqual(denseReports);
+        expect(packed.getHistory().toArray()).toEqual(dense.getHistory().toArray());
+        expect(packed.getState()).toEqual(dense.getState());
+    });
+
+    test('agree with a history window', () => {
+        const testCase = { ruleMatrix: FRACTAL, options: { historyLimit: 5 } };
+        const dense = build(testCase, 'dense');
+        const packed = build(testCase, 'packed');
+        dense.run(12);
+        packed.run(12);
+        
+        expect(dense.getHistory().length).toBe(5);
+        expect(packed.getHistory().start).toBe(dense.getHistory().start);
+        expect(packed.getHistory().toArray()).toEqual(dense.getHistory().toArray());
+    });
+});
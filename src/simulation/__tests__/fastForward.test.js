@@ -0,0 +1,95 @@
+/**
+ * stateAt and jumpTo against the plain step-by-step evolution
+ */
+import { CliffordQCA, PRESETS } from '../automaton.js';
+
+const SIZE = 23;
+const FRACTAL = PRESETS['Fractal'].ruleMatrix;
+const GLIDER = PRESETS['Glider'].ruleMatrix;
+const PERIODIC = PRESETS['Periodic'].ruleMatrix;
+const BRICKWORK = PRESETS['Brickwork (CZ + H)'];
+
+const CASES = [
+    { name: 'Fractal', ruleMatrix: FRACTAL },
+    { name: 'Wolfram 150', ruleMatrix: PRESETS['Wolfram 150 Rule'].ruleMatrix },
+    { name: 'qutrits', ruleMatrix: PRESETS['Qutrit Fractal'].ruleMatrix, options: { modulus: 3 } },
+    { name: 'two-qubit cells', ruleMatrix: PRESETS['Qubit Shift'].ruleMatrix },
+    { name: 'period 2', ruleMatrix: BRICKWORK.ruleMatrix, options: { ruleSequence: BRICKWORK.ruleSequence } },
+    { name: 'period 3', ruleMatrix: FRACTAL, options: { ruleSequence: [FRACTAL, GLIDER, PERIODIC] } },
+    { name: 'packed engine, period 3', ruleMatrix: FRACTAL,
+        options: { engine: 'packed', ruleSequence: [GLIDER, FRACTAL, FRACTAL] } }
+];
+
+/**
+ * Build the automaton of a case from a seeded random state
+ */
+function build({ ruleMatrix, options = {} }) {
+    const qca = new CliffordQCA(SIZE, ruleMatrix, { seed: 3, ...options });
+    qca.setRandomState();
+    return qca;
+}
+
+describe('stateAt', () => {
+    test.each(CASES)('matches stepping from every phase of the sequence: $name', (testCase) => {
+        // Start from each position in the rule sequence, so the remainder steps
+        // before and after the whole periods fall differently
+        for (let offset = 0; offset < 4; offset++) {
+            const qca = build(testCase);
+            qca.run(offset);
+            const predicted = Array.from({ length: 30 }, (_, k) => qca.stateAt(offset + k));
+            
+            const reference = build(testCase);
+            reference.run(offset);
+            predicted.forEach((state, k) => {
+                expect(state).toEqual(reference.getState());
+                reference.step();
+            });
+            expect(qca.getTime()).toBe(offset);
+        }
+    });
+
+    test.each(CASES.filter(({ name }) => name !== 'Wolfram 150'))('retraces the past of invertible rules: $name', (testCase) => {
+        const qca = build(testCase);
+        qca.run(25);
+        const history = qca.getHistory().toArray();
+        
+        for (let t = 0; t <= 25; t++) {
+            expect(qca.stateAt(t)).toEqual(history[t]);
+        }
+    });
+
+    test('rejects what it cannot fast-forward', () => {
+        expect(() => build({ ruleMatrix: FRACTAL, options: { boundary: 'open' } }).stateAt(5)).toThrow(/periodic/);
+        expect(() => build({ ruleMatrix: FRACTAL, options: { ruleOverrides: [{ from: 0, to: 3, ruleMatrix: GLIDER }] } }).stateAt(5))
+            .toThrow(/translation-invariant/);
+        expect(() => build({ ruleMatrix: FRACTAL }).stateAt(2.5)).toThrow(/integer/);
+    });
+});
+
+describe('jumpTo', () => {
+    test.each(CASES)('continues with the rule due at the new time: $name', (testCase) => {
+        for (const target of [7, 8, 9, 1e9, 1e9 + 1]) {
+            const qca = build(testCase);
+            qca.run(2);
+            qca.jumpTo(target);
+            expect(qca.getTime()).toBe(target);
+            expect(qca.getHistory().toArray()).toEqual([qca.getState()]);
+            
+            // A few steps after the jump must land where a single longer jump lands
+            qca.run(5);
+            const reference = build(testCase);
+            reference.run(2);
+            expect(qca.getState()).toEqual(reference.stateAt(target + 5));
+            
+            if (target < 100) {
+                reference.run(target + 5 - 2);
+                expect(qca.getState()).toEqual(reference.getState());
+            }
+        }
+    });
+
+    test('refuses noisy and phase-tracked runs', () => {
+        expect(() => build({ ruleMatrix: FRACTAL, options: { noise: { x: 0.1 } } }).jumpTo(5)).toThrow(/Noisy/);
+        expect(() => build({ ruleMatrix: FRACTAL, options: { trackPhase: true } }).jumpTo(5)).toThrow(/Phase tracking/);
+    });
+});
@@ -4,7 +4,22 @@
  * This module provides the core logic for simulating a 1D Clifford QCA
  * with customizable rule matrices and initial states.
  */
-import { PAULI, multiplyPauli } from './clifford.js';
+import { PAULI, allPaulis, identityCell, parseCellLabel, multiplyPauli, pauliProductPhase } from './clifford.js';
+import { PackedEngine } from './packedEngine.js';
+import { PackedHistory } from './history.js';
+import { mulberry32, randomSeed } from './random.js';
+import {
+    identityMatrix,
+    inverseMatrix,
+    inverseRuleMatrix,
+    laurentToRuleMatrix,
+    laurentVectorToState,
+    matrixPowerCyclic,
+    multiplyMatricesCyclic,
+    ruleMatrixToLaurent,
+    ruleSequenceToLaurent,
+    stateToLaurentVector
+} from '../analysis/laurentPolynomial.js';
 import { mat2, vec2 } from 'gl-matrix';
 
 /**
@@ -59,15 +74,251 @@ export const PRESETS = {
                 { type: 'X', position: 50 }
             ]
         }
+    },
+    "Qutrit Fractal": {
+        description: "Qutrit (p = 3) analogue of the fractal rule, generating Pascal's triangle mod 3",
+        modulus: 3,
+        ruleMatrix: [
+            [1, 0, 1, 2, 1, 0], // [Left 1,0,0,0 | Center 1,2,1,0 | Right 1,0,0,0] over F_3
+            [0, 0, 1, 0, 0, 0]
+        ],
+        initialState: {
+            operators: [
+                { type: 'X', position: 50 }
+            ]
+        }
+    },
+    "Qubit Shift": {
+        description: "Two qubits per cell: the first qubit moves one cell to the right, the second stays put",
+        ruleMatrix: [
+            // Rows/columns ordered (x_1, x_2, z_1, z_2) in each 4x4 block [A_left | A_center | A_right]
+            [1, 0, 0, 0,  0, 0, 0, 0,  0, 0, 0, 0],
+            [0, 0, 0, 0,  0, 1, 0, 0,  0, 0, 0, 0],
+            [0, 0, 1, 0,  0, 0, 0, 0,  0, 0, 0, 0],
+            [0, 0, 0, 0,  0, 0, 0, 1,  0, 0, 0, 0]
+        ],
+        initialState: {
+            operators: [
+                { type: 'X⊗Z', position: 50 }
+            ]
+        }
+    },
+    "Brickwork (CZ + H)": {
+        description: "Period-2 drive on two-qubit cells: CZ·H inside each cell on even steps, CZ·H across cell borders on odd steps",
+        ruleMatrix: [
+            [0, 0, 0, 0,  0, 1, 1, 0,  0, 0, 0, 0],
+            [0, 0, 0, 0,  1, 0, 0, 1,  0, 0, 0, 0],
+            [0, 0, 0, 0,  1, 0, 0, 0,  0, 0, 0, 0],
+            [0, 0, 0, 0,  0, 1, 0, 0,  0, 0, 0, 0]
+        ],
+        ruleSequence: [
+            // Even steps: couple the two qubits of each cell
+            [
+                [0, 0, 0, 0,  0, 1, 1, 0,  0, 0, 0, 0],
+                [0, 0, 0, 0,  1, 0, 0, 1,  0, 0, 0, 0],
+                [0, 0, 0, 0,  1, 0, 0, 0,  0, 0, 0, 0],
+                [0, 0, 0, 0,  0, 1, 0, 0,  0, 0, 0, 0]
+            ],
+            // Odd steps: couple the second qubit of a cell to the first of the next
+            [
+                [0, 1, 0, 0,  0, 0, 1, 0,  0, 0, 0, 0],
+                [0, 0, 0, 0,  0, 0, 0, 1,  1, 0, 0, 0],
+                [0, 0, 0, 0,  1, 0, 0, 0,  0, 0, 0, 0],
+                [0, 0, 0, 0,  0, 1, 0, 0,  0, 0, 0, 0]
+            ]
+        ],
+        initialState: {
+            operators: [
+                { type: 'Z⊗I', position: 50 }
+            ]
+        }
     }
 };
 
 /**
- * Default rule matrix for the simulation (2x6 over F2)
+ * Get the rule sequence of a preset
+ * Presets with a time-periodic drive store a `ruleSequence`, all others a single `ruleMatrix`
+ * 
+ * @param {Object} preset - Preset configuration
+ * @returns {Array} - List of rule matrices applied in turn
+ */
+export function presetRuleSequence(preset) {
+    return preset.ruleSequence || [preset.ruleMatrix];
+}
+
+/**
+ * Default rule matrix for the simulation (2x6 over F2, radius 1)
  * Format: [A_left | A_center | A_right]
  */
 export const DEFAULT_RULE_MATRIX = PRESETS.Fractal.ruleMatrix;
 
+/**
+ * Get the neighbourhood radius r of a 2x(4r+2) rule matrix
+ * The matrix consists of 2x2 blocks [A_-r | ... | A_0 | ... | A_r]; for cells of
+ * n qubits it is 2n×2n(2r+1) with 2n×2n blocks
+ * 
+ * @param {Array} ruleMatrix - Rule matrix over F2
+ * @returns {number} - Neighbourhood radius r
+ */
+export function getRuleRadius(ruleMatrix) {
+    const dim = ruleMatrix.length;
+    const cols = ruleMatrix[0] ? ruleMatrix[0].length : 0;
+    const blocks = dim > 0 ? cols / dim : 0;
+    if (dim === 0 || dim % 2 !== 0 || ruleMatrix.some(row => row.length !== cols) ||
+        !Number.isInteger(blocks) || blocks % 2 !== 1) {
+        throw new Error("Rule matrix must be 2x(4r+2), or 2n×2n(2r+1) for cells of n qubits");
+    }
+    return (blocks - 1) / 2;
+}
+
+/**
+ * Get the number of qubits n per cell of a 2n×2n(2r+1) rule matrix
+ * 
+ * @param {Array} ruleMatrix - Rule matrix over F2
+ * @returns {number} - Number of qubits per cell (1 for a 2x(4r+2) matrix)
+ */
+export function getCellQubits(ruleMatrix) {
+    getRuleRadius(ruleMatrix);
+    return ruleMatrix.length / 2;
+}
+
+/**
+ * Resize a rule matrix to a new neighbourhood radius
+ * Outer blocks are dropped when shrinking and zero blocks added when growing
+ * 
+ * @param {Array} ruleMatrix - 2x(4r+2) rule matrix over F2
+ * @param {number} radius - New neighbourhood radius
+ * @returns {Array} - 2x(4*radius+2) rule matrix
+ */
+export function resizeRuleMatrix(ruleMatrix, radius) {
+    const dim = ruleMatrix.length;
+    const shift = dim * (radius - getRuleRadius(ruleMatrix));
+    return ruleMatrix.map(row =>
+        Array(dim * (2 * radius + 1)).fill(0).map((_, col) => row[col - shift] || 0)
+    );
+}
+
+/**
+ * Convert a Laurent matrix, such as a composed rule, to a rule matrix to load
+ * The radius is at least 1, as in the rule matrix editor, and the neighbourhood
+ * of 2r+1 cells must fit into the lattice.
+ * 
+ * @param {Array} laurentMatrix - 2n×2n matrix of Laurent polynomials M(x)
+ * @param {number} latticeSize - Number of cells of the lattice it will run on
+ * @returns {Array|null} - 2n×2n(2r+1) rule matrix, or null when its radius is too large
+ */
+export function loadableRuleMatrix(laurentMatrix, latticeSize = Infinity) {
+    const ruleMatrix = laurentToRuleMatrix(laurentMatrix);
+    const radius = getRuleRadius(ruleMatrix);
+    if (2 * radius + 1 > latticeSize) return null;
+    return radius < 1 ? resizeRuleMatrix(ruleMatrix, 1) : ruleMatrix;
+}
+
+/**
+ * Change the number of qubits per cell of a rule matrix
+ * Every qubit of the new cell follows the single-qubit rule of the first qubit
+ * of the old cell, giving n uncoupled copies of that rule
+ * 
+ * @param {Array} ruleMatrix - 2n×2n(2r+1) rule matrix over F2
+ * @param {number} cellQubits - New number of qubits per cell
+ * @returns {Array} - Rule matrix with 2*cellQubits rows
+ */
+export function resizeCellQubits(ruleMatrix, cellQubits) {
+    const radius = getRuleRadius(ruleMatrix);
+    const oldQubits = getCellQubits(ruleMatrix);
+    const dim = 2 * cellQubits;
+    const matrix = Array(dim).fill().map(() => Array(dim * (2 * radius + 1)).fill(0));
+    
+    for (let block = 0; block < 2 * radius + 1; block++) {
+        for (let q = 0; q < cellQubits; q++) {
+            // Rows and columns (x_q, z_q) of the new block copy (x_1, z_1) of the old one
+            for (let a = 0; a < 2; a++) {
+                for (let b = 0; b < 2; b++) {
+                    matrix[a * cellQubits + q][block * dim + b * cellQubits + q] =
+                        ruleMatrix[a * oldQubits][block * 2 * oldQubits + b * oldQubits];
+                }
+            }
+        }
+    }
+    
+    return matrix;
+}
+
+/**
+ * Available simulation engines
+ * - dense: array of [x,z] pairs per cell with cached transformations
+ * - packed: X and Z layers stored as packed Uint32 words
+ */
+export const ENGINES = ['dense', 'packed'];
+
+/**
+ * Available boundary conditions
+ * - periodic: the lattice is a ring, indices wrap modulo the size
+ * - open: missing neighbours beyond the edges count as identity
+ * - fixed: missing neighbours are user-chosen boundary Paulis
+ */
+export const BOUNDARIES = ['periodic', 'open', 'fixed'];
+
+/**
+ * Check whether fixed boundary Paulis feed non-identity operators into the lattice
+ * One step is then an affine map of the Pauli string, not the conjugation by a
+ * Clifford unitary, so the evolved string has no well-defined sign.
+ * 
+ * @param {string} boundary - Boundary mode
+ * @param {Object} boundaryPaulis - Pauli operators {left, right} beyond the edges
+ * @returns {boolean} - True for a fixed boundary with a non-identity Pauli
+ */
+function hasBoundarySources(boundary, boundaryPaulis) {
+    return boundary === 'fixed' && [...boundaryPaulis.left, ...boundaryPaulis.right].some(Boolean);
+}
+
+/**
+ * Check whether a local dimension is prime (so that F_p is a field)
+ * 
+ * @param {number} n - Candidate local dimension
+ * @returns {boolean} - True if n is prime
+ */
+export function isPrime(n) {
+    if (!Number.isInteger(n) || n < 2) return false;
+    for (let d = 2; d * d <= n; d++) {
+        if (n % d === 0) return false;
+    }
+    return true;
+}
+
+/**
+ * What the evolution stream yields for each reported step (see CliffordQCA.evolve)
+ * - state: the Pauli string
+ * - summary: its weight and support width
+ * - time: only the time step, phase and error sites
+ */
+export const EVOLVE_OUTPUTS = ['state', 'summary', 'time'];
+
+/**
+ * Weight and support width of a Pauli string
+ * The width is the length of the shortest run of sites covering the support;
+ * on a ring the run may wrap around.
+ * 
+ * @param {Array} support - Sorted sites where the string is not the identity
+ * @param {number} size - Number of cells
+ * @param {boolean} periodic - Whether the lattice is a ring
+ * @returns {Object} - {weight, width}
+ */
+export function supportSummary(support, size, periodic) {
+    if (support.length === 0) return { weight: 0, width: 0 };
+    
+    let width = support[support.length - 1] - support[0] + 1;
+    if (periodic) {
+        // Leave out the largest identity gap, which may be the one across the seam
+        let gap = size - width;
+        for (let k = 1; k < support.length; k++) {
+            gap = Math.max(gap, support[k] - support[k - 1] - 1);
+        }
+        width = size - gap;
+    }
+    return { weight: support.length, width };
+}
+
 /**
  * CliffordQCA class for simulating 1D Clifford Quantum Cellular Automata
  */
@@ -76,16 +327,75 @@ export class CliffordQCA {
      * Create a new CliffordQCA instance
      * 
      * @param {number} size - Number of cells in the lattice
-     * @param {Array} ruleMatrix - 2x6 rule matrix over F2
+     * @param {Array} ruleMatrix - 2x(4r+2) rule matrix over F2 (over F_p for qudits)
+     * @param {Object} options - Additional options
+     * @param {number} options.modulus - Prime local dimension p (2 for qubits)
+     * @param {string} options.engine - Simulation engine ('dense' or 'packed')
+     * @param {string} options.boundary - Boundary conditions ('periodic', 'open' or 'fixed')
+     * @param {Object} options.boundaryPaulis - Pauli operators {left, right} beyond the edges (fixed mode)
+     * @param {Array} options.ruleSequence - Rule matrices applied in turn, one per step (replaces ruleMatrix)
+     * @param {Array} options.ruleOverrides - Rules replacing the default on chosen sites (see setRuleOverrides)
+     * @param {boolean} options.trackPhase - Track the global phase of the Pauli string
+     * @param {Array} options.phaseCorrection - Per-site phase correction [c_X, c_Z] (see setPhaseTracking)
+     * @param {Object} options.noise - Pauli error probabilities {x, y, z} per qubit and step (see setNoise)
+     * @param {number} options.seed - Seed of the random number generator (random when omitted)
+     * @param {number} options.historyLimit - Number of most recent states kept in the history (all by default)
      */
-    constructor(size = 100, ruleMatrix = DEFAULT_RULE_MATRIX) {
+    constructor(size = 100, ruleMatrix = DEFAULT_RULE_MATRIX, options = {}) {
+        const {
+            modulus = 2,
+            engine = 'dense',
+            boundary = 'periodic',
+            boundaryPaulis,
+            ruleSequence = [ruleMatrix],
+            ruleOverrides = [],
+            trackPhase = false,
+            phaseCorrection = [0, 0],
+            noise = {},
+            seed = randomSeed(),
+            historyLimit = Infinity
+        } = options;
+        if (!ENGINES.includes(engine)) {
+            throw new Error(`Unknown engine '${engine}'`);
+        }
+        if (!isPrime(modulus)) {
+            throw new Error(`Local dimension must be prime, got ${modulus}`);
+        }
+        if (engine === 'packed' && modulus !== 2) {
+            throw new Error("The packed engine only supports qubits (p = 2)");
+        }
+        
         this.size = size;
-        this.ruleMatrix = ruleMatrix;
-        this.state = Array(size).fill(PAULI.I); // Initialize with identity
-        this.history = []; // Store the evolution history
+        this.modulus = modulus;
+        this.ruleMatrix = ruleSequence[0];
+        this.cellQubits = getCellQubits(this.ruleMatrix);
+        this.engine = engine;
+        this.state = Array(size).fill(identityCell(this.cellQubits)); // Initialize with identity
+        this.historyLimit = historyLimit;
+        this.clearHistory(); // Store the evolution history
+        this.time = 0; // Time step of the current state
+        this.ruleOverrides = []; // Rules replacing the default on chosen sites
+        this.siteRules = null; // Compiled rule of each site, null when translation-invariant
         
-        // Create optimized matrices for the rule
-        this.setupOptimizedMatrices();
+        // The packed engine keeps its own state
+        if (engine === 'packed') {
+            this.packed = new PackedEngine(size, this.ruleMatrix);
+        }
+        
+        this.setBoundary(boundary, boundaryPaulis);
+        
+        // Global phase i^phase of the Pauli string (only updated with phase tracking)
+        this.phase = 0;
+        this.phaseHistory = [];
+        this.setPhaseTracking(trackPhase, phaseCorrection);
+        
+        // Stochastic Pauli errors applied after every step
+        this.setSeed(seed);
+        this.setNoise(noise);
+        
+        // Create optimized matrices for each rule of the sequence
+        this.setRuleSequence(ruleSequence);
+        this.setRuleOverrides(ruleOverrides);
         
         // Pre-allocate memory for computation
         this.leftVec = vec2.create();
@@ -99,75 +409,323 @@ export class CliffordQCA {
      * Setup optimized matrices using gl-matrix
      */
     setupOptimizedMatrices() {
-        // Extract the A_left, A_center, and A_right matrices (each is 2x2)
-        this.A_left = mat2.fromValues(
-            this.ruleMatrix[0][0], this.ruleMatrix[1][0],
-            this.ruleMatrix[0][1], this.ruleMatrix[1][1]
-        );
-        
-        this.A_center = mat2.fromValues(
-            this.ruleMatrix[0][2], this.ruleMatrix[1][2],
-            this.ruleMatrix[0][3], this.ruleMatrix[1][3]
-        );
-        
-        this.A_right = mat2.fromValues(
-            this.ruleMatrix[0][4], this.ruleMatrix[1][4],
-            this.ruleMatrix[0][5], this.ruleMatrix[1][5]
-        );
+        this.radius = getRuleRadius(this.ruleMatrix);
+        const dim = 2 * this.cellQubits;
+        
+        // Extract the 2x2 block for each neighbour offset -r..r
+        // (for r = 1 these are A_left, A_center and A_right); cells of several
+        // qubits keep their 2n×2n blocks as arrays of rows
+        this.blocks = [];
+        for (let offset = -this.radius; offset <= this.radius; offset++) {
+            const col = dim * (offset + this.radius);
+            this.blocks.push({
+                offset,
+                matrix: this.cellQubits === 1
+                    ? mat2.fromValues(
+                        this.ruleMatrix[0][col], this.ruleMatrix[1][col],
+                        this.ruleMatrix[0][col + 1], this.ruleMatrix[1][col + 1]
+                    )
+                    : this.ruleMatrix.map(row => row.slice(col, col + dim))
+            });
+        }
         
         // Pre-compute all possible transformation results for each operator
         // This is a significant optimization since there are only 4 possible inputs
-        // for each of the 3 matrices (I, X, Z, Y)
+        // for each block matrix (I, X, Z, Y), or p^2 for qudits. Multi-qubit cells
+        // have p^(2n) inputs, so their results are cached on first use instead
         this.transformCache = new Map();
+        if (this.cellQubits !== 1) return;
         
-        const pauliValues = [PAULI.I, PAULI.X, PAULI.Z, PAULI.Y];
+        const pauliValues = allPaulis(this.modulus);
         
-        for (const p of pauliValues) {
-            // Compute and cache A_left * p
-            const leftKey = `left_${p[0]}_${p[1]}`;
-            this.transformCache.set(leftKey, this.transformSinglePauli(this.A_left, p));
-            
-            // Compute and cache A_center * p
-            const centerKey = `center_${p[0]}_${p[1]}`;
-            this.transformCache.set(centerKey, this.transformSinglePauli(this.A_center, p));
-            
-            // Compute and cache A_right * p
-            const rightKey = `right_${p[0]}_${p[1]}`;
-            this.transformCache.set(rightKey, this.transformSinglePauli(this.A_right, p));
+        for (const { offset, matrix } of this.blocks) {
+            for (const p of pauliValues) {
+                // Compute and cache A_offset * p
+                const key = `${offset}_${p[0]}_${p[1]}`;
+                this.transformCache.set(key, this.transformSinglePauli(matrix, p));
+            }
         }
     }
     
     /**
      * Helper function to transform a single Pauli operator using a matrix
      * 
-     * @param {mat2} matrix - 2x2 matrix
-     * @param {Array} pauli - Pauli operator as [x,z]
+     * @param {mat2|Array} matrix - 2x2 matrix (2n×2n array of rows for multi-qubit cells)
+     * @param {Array} pauli - Pauli operator as [x,z] (cell state of length 2n)
      * @returns {Array} - Transformed Pauli operator
      */
     transformSinglePauli(matrix, pauli) {
+        if (this.cellQubits !== 1) {
+            return matrix.map(row =>
+                row.reduce((sum, entry, j) => sum + entry * pauli[j], 0) % this.modulus
+            );
+        }
+        
         const v = vec2.fromValues(pauli[0], pauli[1]);
         const result = vec2.create();
         
         vec2.transformMat2(result, v, matrix);
         
-        // Apply modulo 2 to result
-        return [result[0] % 2, result[1] % 2];
+        // Apply modulo p (2 for qubits) to result
+        return [result[0] % this.modulus, result[1] % this.modulus];
     }
 
     /**
      * Set the rule matrix for the automaton
+     * A matrix with a different number of qubits per cell resets the state to identity
      * 
-     * @param {Array} matrix - 2x6 matrix over F2
+     * @param {Array} matrix - 2x(4r+2) matrix over F2 (2n×2n(2r+1) for n-qubit cells)
      */
     setRuleMatrix(matrix) {
+        this.setRuleSequence([matrix]);
+    }
+
+    /**
+     * Set a time-periodic (Floquet) sequence of rule matrices
+     * Step t applies rule t mod k, so one period of k steps evolves by M_k(x) ⋯ M_1(x).
+     * All rules must share the number of qubits per cell; their radii may differ.
+     * 
+     * @param {Array} sequence - Non-empty list of rule matrices
+     */
+    setRuleSequence(sequence) {
+        if (!sequence || sequence.length === 0) {
+            throw new Error("Rule sequence must contain at least one rule matrix");
+        }
+        
         // Validate matrix dimensions
-        if (matrix.length !== 2 || matrix[0].length !== 6 || matrix[1].length !== 6) {
-            throw new Error("Rule matrix must be 2x6");
+        const cellQubits = getCellQubits(sequence[0]);
+        if (sequence.some(matrix => getCellQubits(matrix) !== cellQubits)) {
+            throw new Error("All rules in a sequence must have the same number of qubits per cell");
         }
-        this.ruleMatrix = matrix;
+        if (cellQubits !== 1 && this.trackPhase) {
+            throw new Error("Phase tracking is only supported for single-qubit cells");
+        }
+        const cellsChanged = cellQubits !== this.cellQubits;
+        this.cellQubits = cellQubits;
         
-        // Update optimized matrices
+        // Update optimized matrices, keeping one set per rule of the sequence
+        // (the inverse rules for backward steps are compiled when first needed)
+        this.ruleSequence = sequence;
+        this.compiledRules = sequence.map(matrix => this.compileRule(matrix));
+        this.inverseRules = null;
+        this.selectRule(0);
+        
+        if (cellsChanged) {
+            this.setBoundary(this.boundary);
+            this.setRuleOverrides([]);
+            this.reset();
+        }
+    }
+
+    /**
+     * Replace the rule on chosen sites or intervals (impurities, domain walls)
+     * 
+     * Each override {from, to, ruleMatrix} applies its rule matrix on the sites
+     * from..to at every step, in place of the default rule or rule sequence; later
+     * overrides take precedence where intervals overlap. Without translation
+     * invariance the Laurent-polynomial tools (stateAt, stepBackward) do not apply.
+     * 
+     * @param {Array} overrides - Overrides {from, to, ruleMatrix}, empty for a homogeneous rule
+     */
+    setRuleOverrides(overrides) {
+        overrides.forEach(({ from, to, ruleMatrix }) => {
+            if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to >= this.size || from > to) {
+                throw new Error(`Invalid override interval ${from}..${to} for ${this.size} sites`);
+            }
+            if (getCellQubits(ruleMatrix) !== this.cellQubits) {
+                throw new Error("Override rules must have the same number of qubits per cell as the default rule");
+            }
+        });
+        if (overrides.length > 0 && this.trackPhase) {
+            throw new Error("Phase tracking is only supported for translation-invariant rules");
+        }
+        
+        // Resolve the rule of every site; each override keeps its own transformation cache
+        this.ruleOverrides = overrides.map(override => ({ ...override }));
+        const assignment = Array(this.size).fill(-1);
+        overrides.forEach(({ from, to }, k) => assignment.fill(k, from, to + 1));
+        const compiled = overrides.map(({ ruleMatrix }) => this.compileRule(ruleMatrix));
+        this.siteRules = overrides.length > 0 ? assignment.map(k => (k < 0 ? null : compiled[k])) : null;
+        this.loadRule(this.compiledRules[this.sequenceIndex]);
+        
+        if (this.packed) {
+            this.packed.setRuleOverrides(overrides
+                .map(({ ruleMatrix }, k) => ({
+                    ruleMatrix,
+                    sites: assignment.flatMap((owner, i) => (owner === k ? [i] : []))
+                }))
+                .filter(({ sites }) => sites.length > 0));
+        }
+    }
+
+    /**
+     * Check whether the same rule applies on every site
+     * 
+     * @returns {boolean} - True without rule overrides
+     */
+    isTranslationInvariant() {
+        return this.siteRules === null;
+    }
+
+    /**
+     * Build the optimized matrices of a rule matrix
+     * 
+     * @param {Array} matrix - Rule matrix
+     * @returns {Object} - {ruleMatrix, radius, blocks, transformCache}
+     */
+    compileRule(matrix) {
+        this.ruleMatrix = matrix;
         this.setupOptimizedMatrices();
+        return {
+            ruleMatrix: matrix,
+            radius: this.radius,
+            blocks: this.blocks,
+            transformCache: this.transformCache
+        };
+    }
+
+    /**
+     * Make rule `index` of the sequence the one applied by the next step
+     * 
+     * @param {number} index - Position in the rule sequence
+     */
+    selectRule(index) {
+        this.sequenceIndex = index;
+        this.loadRule(this.compiledRules[index]);
+    }
+
+    /**
+     * Load a compiled rule into the dense and packed engines
+     * 
+     * @param {Object} compiled - Compiled rule (see compileRule)
+     */
+    loadRule(compiled) {
+        const { ruleMatrix, radius, blocks, transformCache } = compiled;
+        this.ruleMatrix = ruleMatrix;
+        this.radius = radius;
+        this.blocks = blocks;
+        this.transformCache = transformCache;
+        
+        if (this.packed) {
+            this.packed.setRuleMatrix(ruleMatrix);
+        }
+    }
+
+    /**
+     * Move on to the next rule of the sequence after a step
+     */
+    advanceRule() {
+        if (this.compiledRules.length > 1) {
+            this.selectRule((this.sequenceIndex + 1) % this.compiledRules.length);
+        }
+    }
+
+    /**
+     * Start the rule sequence over, so the next step applies its first rule
+     */
+    restartSequence() {
+        if (this.compiledRules && this.sequenceIndex !== 0) {
+            this.selectRule(0);
+        }
+    }
+    
+    /**
+     * Set the boundary conditions of the lattice
+     * 
+     * @param {string} boundary - Boundary mode ('periodic', 'open' or 'fixed')
+     * @param {Object} boundaryPaulis - Pauli operators {left, right} in F2 representation
+     *                                  placed beyond the edges in fixed mode (identity by default)
+     */
+    setBoundary(boundary, boundaryPaulis = null) {
+        if (!BOUNDARIES.includes(boundary)) {
+            throw new Error(`Unknown boundary mode '${boundary}'`);
+        }
+        if (!boundaryPaulis) {
+            const identity = identityCell(this.cellQubits);
+            boundaryPaulis = { left: identity, right: identity };
+        }
+        if (this.trackPhase && hasBoundarySources(boundary, boundaryPaulis)) {
+            throw new Error("Phase tracking is only supported with identity Paulis beyond a fixed boundary");
+        }
+        this.boundary = boundary;
+        this.boundaryPaulis = {
+            left: [...boundaryPaulis.left],
+            right: [...boundaryPaulis.right]
+        };
+        
+        if (this.packed) {
+            this.packed.setBoundary(boundary, this.boundaryPaulis);
+        }
+    }
+    
+    /**
+     * Enable or disable phase tracking
+     * 
+     * With phase tracking the state is the exact signed Pauli string i^phase P_0 ⊗ ... ⊗ P_{N-1}.
+     * One step maps X_j and Z_j to (-1)^c_X and (-1)^c_Z times the Hermitian Pauli
+     * strings given by the rule matrix, where [c_X, c_Z] is the per-site Clifford
+     * phase correction of the rule (shared by every rule of a sequence).
+     * Non-identity Paulis beyond a fixed boundary are not supported: they make the
+     * step affine, and the sign of the result is then not defined.
+     * 
+     * @param {boolean} enabled - Whether to track the global phase
+     * @param {Array} phaseCorrection - Phase correction bits [c_X, c_Z]
+     */
+    setPhaseTracking(enabled, phaseCorrection = [0, 0]) {
+        if (enabled && this.packed) {
+            throw new Error("Phase tracking is not supported by the packed engine");
+        }
+        if (enabled && this.modulus !== 2) {
+            throw new Error("Phase tracking is only supported for qubits (p = 2)");
+        }
+        if (enabled && this.siteRules) {
+            throw new Error("Phase tracking is only supported for translation-invariant rules");
+        }
+        if (enabled && this.cellQubits !== 1) {
+            throw new Error("Phase tracking is only supported for single-qubit cells");
+        }
+        if (enabled && hasBoundarySources(this.boundary, this.boundaryPaulis)) {
+            throw new Error("Phase tracking is only supported with identity Paulis beyond a fixed boundary");
+        }
+        this.trackPhase = enabled;
+        this.phaseCorrection = [phaseCorrection[0] % 2, phaseCorrection[1] % 2];
+    }
+    
+    /**
+     * Set the seed of the random number generator behind random states and noise
+     * The same seed reproduces the same random run
+     * 
+     * @param {number} seed - Unsigned 32-bit seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.rng = mulberry32(this.seed);
+    }
+    
+    /**
+     * Set the stochastic Pauli noise
+     * After every forward step each qubit independently suffers an X, Y or Z error
+     * with the given probabilities (X^1, X^1Z^1 or Z^1 for qudits)
+     * 
+     * @param {Object} noise - Error probabilities {x, y, z}, summing to at most 1
+     */
+    setNoise({ x = 0, y = 0, z = 0 } = {}) {
+        if ([x, y, z].some(p => !Number.isFinite(p) || p < 0)) {
+            throw new Error("Noise probabilities must be non-negative numbers");
+        }
+        if (x + y + z > 1 + 1e-12) {
+            throw new Error(`Noise probabilities must sum to at most 1, got ${x + y + z}`);
+        }
+        this.noise = { x, y, z };
+    }
+    
+    /**
+     * Check whether Pauli errors are applied during the evolution
+     * 
+     * @returns {boolean} - Whether any error probability is non-zero
+     */
+    isNoisy() {
+        return this.noise.x + this.noise.y + this.noise.z > 0;
     }
     
     /**
@@ -181,18 +739,21 @@ export class CliffordQCA {
             throw new Error(`Preset '${presetName}' not found`);
         }
         
-        // Set the rule matrix
-        this.setRuleMatrix(PRESETS[presetName].ruleMatrix);
+        // Set the rule matrix (or sequence of rule matrices)
+        this.setRuleSequence(presetRuleSequence(PRESETS[presetName]));
         
         // Create the initial state based on the preset configuration
         const preset = PRESETS[presetName];
+        if (preset.phaseCorrection) {
+            this.phaseCorrection = [...preset.phaseCorrection];
+        }
         const operators = preset.operators || [];
         
         // Adjust positions based on lattice size
         const centerOffset = Math.floor(latticeSize / 2) - 50; // Center the pattern regardless of lattice size
         
         // Initialize with identity operators
-        const newState = Array(latticeSize).fill().map(() => [...PAULI.I]);
+        const newState = Array(latticeSize).fill().map(() => identityCell(this.cellQubits));
         
         // Place the operators according to the preset
         operators.forEach(op => {
@@ -203,13 +764,7 @@ export class CliffordQCA {
             const position = (adjustedPosition + latticeSize) % latticeSize;
             
             // Set the operator
-            if (op.type === 'X') {
-                newState[position] = [...PAULI.X];
-            } else if (op.type === 'Y') {
-                newState[position] = [...PAULI.Y];
-            } else if (op.type === 'Z') {
-                newState[position] = [...PAULI.Z];
-            }
+            newState[position] = parseCellLabel(op.type, this.cellQubits, this.modulus);
         });
         
         // Set the state
@@ -220,17 +775,32 @@ export class CliffordQCA {
      * Set the initial state of the automaton
      * 
      * @param {Array} state - Array of Pauli operators in F2 representation
+     * @param {number} phase - Global phase i^phase of the Pauli string
      */
-    setState(state) {
+    setState(state, phase = 0) {
         if (state.length !== this.size) {
             throw new Error(`State must have ${this.size} elements`);
         }
+        if (state.some(cell => cell.length !== 2 * this.cellQubits)) {
+            throw new Error(`Each cell must have ${2 * this.cellQubits} components`);
+        }
+        this.phase = ((phase % 4) + 4) % 4;
+        this.phaseHistory = [this.phase];
+        this.time = 0;
+        this.restartSequence();
+        this.clearHistory();
+        if (this.packed) {
+            this.packed.setState(state);
+            this.history.pushLayers(this.packed.layers);
+            return;
+        }
         this.state = state.map(pauli => [...pauli]); // Deep copy the state
-        this.history = [this.state.map(pauli => [...pauli])]; // Reset history with new initial state
+        this.history.push(this.state); // Reset history with new initial state
     }
 
     /**
      * Set a single X at the specified position, identity elsewhere
+     * (on the first qubit of the cell for multi-qubit cells)
      * 
      * @param {number} position - Position to place the X operator
      */
@@ -239,28 +809,23 @@ export class CliffordQCA {
             throw new Error(`Position must be between 0 and ${this.size - 1}`);
         }
         
-        const newState = Array(this.size).fill().map(() => [...PAULI.I]);
-        newState[position] = [...PAULI.X];
+        const newState = Array(this.size).fill().map(() => identityCell(this.cellQubits));
+        newState[position][0] = 1;
         this.setState(newState);
     }
     
     /**
      * Set multiple operators at specific positions
      * 
-     * @param {Array} operators - Array of {type, position} objects
+     * @param {Array} operators - Array of {type, position} objects, with type a Pauli
+     *                           label (a cell label such as "X⊗I" for multi-qubit cells)
      */
     setMultipleOperators(operators) {
-        const newState = Array(this.size).fill().map(() => [...PAULI.I]);
+        const newState = Array(this.size).fill().map(() => identityCell(this.cellQubits));
         
         operators.forEach(op => {
             if (op.position >= 0 && op.position < this.size) {
-                if (op.type === 'X') {
-                    newState[op.position] = [...PAULI.X];
-                } else if (op.type === 'Y') {
-                    newState[op.position] = [...PAULI.Y];
-                } else if (op.type === 'Z') {
-                    newState[op.position] = [...PAULI.Z];
-                }
+                newState[op.position] = parseCellLabel(op.type, this.cellQubits, this.modulus);
             }
         });
         
@@ -268,75 +833,516 @@ export class CliffordQCA {
     }
     
     /**
-     * Set a random initial state
+     * Set a random initial state, drawn from the seeded generator (see setSeed)
      */
     setRandomState() {
-        const pauliValues = [PAULI.I, PAULI.X, PAULI.Z, PAULI.Y];
         const newState = Array(this.size).fill().map(() => {
-            return [...pauliValues[Math.floor(Math.random() * 4)]];
+            return identityCell(this.cellQubits).map(() => Math.floor(this.rng() * this.modulus));
         });
         this.setState(newState);
     }
 
+    /**
+     * Get the Pauli operator at a (possibly out-of-range) neighbour index
+     * 
+     * @param {number} index - Neighbour index, may lie beyond the edges
+     * @param {Array} currentState - Current state of the automaton
+     * @returns {Array|null} - Pauli operator, or null for an identity neighbour
+     */
+    getNeighbour(index, currentState) {
+        if (index >= 0 && index < this.size) {
+            return currentState[index];
+        }
+        
+        if (this.boundary === 'periodic') {
+            return currentState[((index % this.size) + this.size) % this.size];
+        }
+        if (this.boundary === 'fixed') {
+            return index < 0 ? this.boundaryPaulis.left : this.boundaryPaulis.right;
+        }
+        return null; // Open boundary: missing neighbours count as identity
+    }
+
     /**
      * Apply the rule to calculate the next state for a cell
      * Uses pre-computed transformation cache for speed
      * 
      * @param {number} index - Cell index to update
      * @param {Array} currentState - Current state of the automaton
+     * @param {Object} rule - Compiled rule of the cell (defaults to the current rule)
      * @returns {Array} - New Pauli operator for the cell
      */
-    applyRule(index, currentState) {
-        // Get left, center, and right cells (with periodic boundary conditions)
-        const left = currentState[(index - 1 + this.size) % this.size];
-        const center = currentState[index];
-        const right = currentState[(index + 1) % this.size];
+    applyRule(index, currentState, rule = this) {
+        if (this.cellQubits !== 1) {
+            return this.applyCellRule(index, currentState, rule);
+        }
         
-        // Use cached transformations for faster computation
-        const leftKey = `left_${left[0]}_${left[1]}`;
-        const centerKey = `center_${center[0]}_${center[1]}`;
-        const rightKey = `right_${right[0]}_${right[1]}`;
+        const { radius, transformCache } = rule;
+        let x = 0;
+        let z = 0;
         
-        const leftContrib = this.transformCache.get(leftKey);
-        const centerContrib = this.transformCache.get(centerKey);
-        const rightContrib = this.transformCache.get(rightKey);
+        for (let offset = -radius; offset <= radius; offset++) {
+            // Get the neighbour cell according to the boundary conditions
+            const neighbour = this.getNeighbour(index + offset, currentState);
+            if (!neighbour) continue;
+            
+            // Use cached transformations for faster computation
+            const contrib = transformCache.get(`${offset}_${neighbour[0]}_${neighbour[1]}`);
+            x += contrib[0];
+            z += contrib[1];
+        }
         
-        // Sum the contributions (XOR in F2)
-        return [
-            (leftContrib[0] + centerContrib[0] + rightContrib[0]) % 2,
-            (leftContrib[1] + centerContrib[1] + rightContrib[1]) % 2
-        ];
+        // Sum the contributions (XOR in F2, addition mod p for qudits)
+        return [x % this.modulus, z % this.modulus];
+    }
+
+    /**
+     * Apply the rule to a cell of several qubits
+     * Block results are cached per neighbour state the first time they occur
+     * 
+     * @param {number} index - Cell index to update
+     * @param {Array} currentState - Current state of the automaton
+     * @param {Object} rule - Compiled rule of the cell (defaults to the current rule)
+     * @returns {Array} - New cell state [x_1..x_n, z_1..z_n]
+     */
+    applyCellRule(index, currentState, rule = this) {
+        const { blocks, transformCache } = rule;
+        const result = identityCell(this.cellQubits);
+        
+        for (const { offset, matrix } of blocks) {
+            const neighbour = this.getNeighbour(index + offset, currentState);
+            if (!neighbour) continue;
+            
+            const key = `${offset}_${neighbour.join('_')}`;
+            let contrib = transformCache.get(key);
+            if (!contrib) {
+                contrib = this.transformSinglePauli(matrix, neighbour);
+                transformCache.set(key, contrib);
+            }
+            for (let c = 0; c < result.length; c++) {
+                result[c] += contrib[c];
+            }
+        }
+        
+        return result.map(value => value % this.modulus);
     }
 
     /**
      * Evolve the automaton for one time step
-     * Optimized implementation using typed arrays
+     * Optimized implementation using typed arrays; read the new state with getState
+     * (the packed engine then unpacks its layers only when asked)
+     * 
+     * @param {PackedHistory} history - History that receives the new state (a stream
+     *                                  without keepHistory passes its own, see evolve)
      */
-    step() {
+    step(history = this.history) {
+        if (this.packed) {
+            this.stepPacked(history);
+            return;
+        }
+        
         // Create a buffer for the new state
         const newState = Array(this.size);
         
         // Use preallocated typed arrays for better performance
+        // (sites with a rule override use their own compiled rule)
         for (let i = 0; i < this.size; i++) {
-            newState[i] = this.applyRule(i, this.state);
+            newState[i] = this.applyRule(i, this.state, (this.siteRules && this.siteRules[i]) || this);
+        }
+        
+        if (this.trackPhase) {
+            this.phase = this.computeStepPhase(this.state, newState);
         }
+        const flips = this.applyNoise(newState);
         
         this.state = newState;
-        this.history.push(newState.map(pauli => [...pauli])); // Deep copy to history
+        history.push(newState, flips); // Packed copy to history
+        if (this.trackPhase && history === this.history) {
+            // Keep the phases of the states in the history window
+            this.phaseHistory.push(this.phase);
+            if (this.phaseHistory.length > this.history.length) this.phaseHistory.shift();
+        }
+        this.time++;
+        this.advanceRule();
+    }
+
+    /**
+     * Compute the global phase after one step
+     * 
+     * The new Pauli string is the ordered product over all sites j of the images of
+     * P_j = i^(xz) X_j^x Z_j^z, i.e. i^(xz) ((-1)^c_X P(a_j))^x ((-1)^c_Z P(b_j))^z
+     * where a_j and b_j are the images of X_j and Z_j under the rule matrix.
+     * 
+     * @param {Array} currentState - State before the step
+     * @param {Array} newState - State after the step (from applyRule)
+     * @returns {number} - New phase exponent of i, in 0..3
+     */
+    computeStepPhase(currentState, newState) {
+        const [cX, cZ] = this.phaseCorrection;
+        const product = Array(this.size).fill().map(() => [0, 0]);
+        let phase = this.phase;
+        
+        // Multiply a Pauli at one site into the running product (from the right)
+        const multiplyInto = (target, pauli) => {
+            phase += pauliProductPhase(product[target], pauli);
+            product[target] = multiplyPauli(product[target], pauli);
+        };
+        
+        currentState.forEach((pauli, j) => {
+            const [x, z] = pauli;
+            if (!x && !z) return;
+            
+            // Images of X_j and Z_j as Hermitian Pauli strings, keyed by target site
+            const imageX = new Map();
+            const imageZ = new Map();
+            for (const { offset } of this.blocks) {
+                // Cell i reads its neighbour i + offset, so site j reaches target j - offset
+                let target = j - offset;
+                if (target < 0 || target >= this.size) {
+                    if (this.boundary !== 'periodic') continue;
+                    target = ((target % this.size) + this.size) % this.size;
+                }
+                if (x) {
+                    imageX.set(target, multiplyPauli(imageX.get(target) || PAULI.I, this.transformCache.get(`${offset}_1_0`)));
+                }
+                if (z) {
+                    imageZ.set(target, multiplyPauli(imageZ.get(target) || PAULI.I, this.transformCache.get(`${offset}_0_1`)));
+                }
+            }
+            
+            // i^(xz) from the Hermitian convention and the signs of the images
+            phase += x * z + 2 * (x * cX + z * cZ);
+            
+            imageX.forEach((p, target) => multiplyInto(target, p));
+            imageZ.forEach((p, target) => multiplyInto(target, p));
+        });
+        
+        return ((phase % 4) + 4) % 4;
+    }
+
+    /**
+     * Evolve the packed layers for one time step without unpacking them
+     * 
+     * @param {PackedHistory} history - History that receives the new state (see step)
+     */
+    stepPacked(history = this.history) {
+        this.packed.step();
+        const flips = this.applyNoise();
+        history.pushLayers(this.packed.layers, flips);
+        this.time++;
+        this.advanceRule();
+    }
+
+    /**
+     * Apply independent Pauli errors to the state after a step (see setNoise)
+     * Each qubit is hit with probability p = p_X + p_Y + p_Z, so the gap to the
+     * next hit is geometric and weak noise costs little even on large lattices.
+     * An error E multiplies the operator at its site from the left, which changes
+     * the global phase when phase tracking is on.
+     * 
+     * @param {Array} state - New dense state, modified in place (unused by the packed engine)
+     * @returns {Array} - Sorted indices of the sites hit by an error
+     */
+    applyNoise(state) {
+        const { x, y, z } = this.noise;
+        const total = x + y + z;
+        const flips = [];
+        if (total === 0) return flips;
+        
+        const n = this.cellQubits;
+        const slots = this.size * n;
+        const logMiss = Math.log1p(-total);
+        for (let k = -1; ;) {
+            // Skip the qubits left untouched (none when p = 1)
+            k += total >= 1 ? 1 : 1 + Math.floor(Math.log(1 - this.rng()) / logMiss);
+            if (k >= slots) break;
+            
+            const site = Math.floor(k / n);
+            const qubit = k % n;
+            const r = this.rng() * total;
+            const error = r < x ? PAULI.X : (r < x + y ? PAULI.Y : PAULI.Z);
+            
+            if (this.packed) {
+                this.packed.applyPauli(site, qubit, error);
+            } else {
+                const cell = [...state[site]];
+                if (this.trackPhase) {
+                    this.phase = (this.phase + pauliProductPhase(error, cell)) % 4;
+                }
+                cell[qubit] = (cell[qubit] + error[0]) % this.modulus;
+                cell[n + qubit] = (cell[n + qubit] + error[1]) % this.modulus;
+                state[site] = cell;
+            }
+            
+            if (flips[flips.length - 1] !== site) flips.push(site);
+        }
+        
+        return flips;
+    }
+
+    /**
+     * Evolve the automaton one time step into the past
+     * 
+     * The previous state follows from the inverse rule M(x)^-1 = adj(M(x)) / det(M(x)),
+     * which exists whenever the determinant is a monomial. The inverse is exact on
+     * periodic lattices only, as open and fixed boundaries break translation invariance.
+     * The new state is appended to the history, so a forward run followed by as
+     * many backward steps retraces the diagram back to the initial state.
+     * No noise is applied to backward steps.
+     * 
+     * @param {PackedHistory} history - History that receives the new state (see step)
+     * @returns {Array} - Previous state
+     */
+    stepBackward(history = this.history) {
+        if (this.trackPhase) {
+            throw new Error("Phase tracking only supports forward steps");
+        }
+        if (this.boundary !== 'periodic') {
+            throw new Error("Backward evolution is only supported with periodic boundary conditions");
+        }
+        if (this.siteRules) {
+            throw new Error("Backward evolution is only supported for translation-invariant rules");
+        }
+        if (!this.inverseRules) {
+            // Throws when one of the rules is not invertible
+            const inverses = this.ruleSequence.map(matrix => inverseRuleMatrix(matrix, this.modulus));
+            this.inverseRules = inverses.map(matrix => this.compileRule(matrix));
+        }
+        
+        // Undo the rule applied by the last step
+        const period = this.ruleSequence.length;
+        const index = (this.sequenceIndex + period - 1) % period;
+        this.loadRule(this.inverseRules[index]);
+        
+        if (this.packed) {
+            this.packed.step();
+            history.pushLayers(this.packed.layers);
+        } else {
+            const newState = Array(this.size);
+            for (let i = 0; i < this.size; i++) {
+                newState[i] = this.applyRule(i, this.state);
+            }
+            this.state = newState;
+            history.push(newState);
+        }
+        
+        this.time--;
+        this.selectRule(index);
+        return this.getState();
+    }
+
+    /**
+     * Compute the state at time t without stepping through every time step
+     * 
+     * With v(x) = Σ_i v_i x^i one step maps v(x) to M(x⁻¹) v(x) mod (x^N − 1), as
+     * cell i reads its neighbour i + o. Starting from the current state, whole
+     * periods of the rule sequence are applied as a power of the one-period matrix
+     * by repeated squaring, so t = 10^9 needs about 60 matrix products. Times before
+     * the current one use the inverse matrices (invertible rules only). Only periodic
+     * boundary conditions give this ring structure.
+     * The result is the noiseless evolution of the current state.
+     * 
+     * @param {number} t - Time step
+     * @returns {Array} - State at time t
+     */
+    stateAt(t) {
+        if (this.boundary !== 'periodic') {
+            throw new Error("Fast-forwarding is only supported with periodic boundary conditions");
+        }
+        if (this.siteRules) {
+            throw new Error("Fast-forwarding is only supported for translation-invariant rules");
+        }
+        if (!Number.isSafeInteger(t)) {
+            throw new Error(`Time step must be an integer, got ${t}`);
+        }
         
-        return [...this.state]; // Return a copy of the new state
+        // Laurent matrices of the steps, M_k(x⁻¹) in the convention v(x) = Σ_i v_i x^i
+        const backward = t < this.time;
+        const invert = matrix => {
+            const substituted = matrix.map(row => row.map(poly => poly.substituteInverse()));
+            return backward ? inverseMatrix(substituted) : substituted;
+        };
+        const period = this.ruleSequence.length;
+        const stepMatrices = this.ruleSequence.map(matrix => invert(ruleMatrixToLaurent(matrix, this.modulus)));
+        const ruleAt = time => ((this.sequenceIndex - (this.time - time)) % period + period) % period;
+        
+        let matrix = identityMatrix(2 * this.cellQubits, this.modulus);
+        let time = this.time;
+        const applyStep = () => {
+            // Backward steps undo the rule of the step that led to the current time
+            const index = backward ? ruleAt(time - 1) : ruleAt(time);
+            matrix = multiplyMatricesCyclic(stepMatrices[index], matrix, this.size);
+            time += backward ? -1 : 1;
+        };
+        
+        // Single steps up to the start of a period, whole periods, then the remainder
+        while (time !== t && ruleAt(time) !== 0) {
+            applyStep();
+        }
+        const periods = Math.floor(Math.abs(t - time) / period);
+        if (periods > 0) {
+            const onePeriod = invert(ruleSequenceToLaurent(this.ruleSequence, this.modulus));
+            matrix = multiplyMatricesCyclic(matrixPowerCyclic(onePeriod, periods, this.size), matrix, this.size);
+            time += (backward ? -1 : 1) * periods * period;
+        }
+        while (time !== t) {
+            applyStep();
+        }
+        
+        const vector = stateToLaurentVector(this.getState(), this.modulus).map(poly => [poly]);
+        const result = multiplyMatricesCyclic(matrix, vector, this.size);
+        return laurentVectorToState(result.map(([poly]) => poly), this.size);
+    }
+
+    /**
+     * Fast-forward the automaton to time t (see stateAt)
+     * The history restarts at the new state; the global phase cannot be fast-forwarded
+     * 
+     * @param {number} t - Time step to jump to
+     * @returns {Array} - State at time t
+     */
+    jumpTo(t) {
+        if (this.trackPhase) {
+            throw new Error("Phase tracking requires stepping through every time step");
+        }
+        if (this.isNoisy()) {
+            throw new Error("Noisy evolution requires stepping through every time step");
+        }
+        const state = this.stateAt(t);
+        const period = this.ruleSequence.length;
+        const index = ((this.sequenceIndex + t - this.time) % period + period) % period;
+        
+        this.setState(state);
+        this.time = t;
+        this.selectRule(index);
+        return this.getState();
+    }
+
+    /**
+     * Get the time step of the current state
+     * 
+     * @returns {number} - Number of steps since the initial state
+     */
+    getTime() {
+        return this.time;
     }
 
     /**
      * Run the automaton for multiple time steps
+     * (evolve streams long runs without storing every state)
      * 
      * @param {number} steps - Number of time steps to evolve
+     * @returns {PackedHistory} - History of states (see getHistory)
      */
     run(steps) {
         for (let i = 0; i < steps; i++) {
             this.step();
         }
-        return this.history;
+        return this.getHistory();
+    }
+
+    /**
+     * Evolve as a stream, for scripts and loops that follow long runs step by step
+     * Nothing is evolved until the stream is consumed, and breaking out of a
+     * for...of loop stops the evolution. Unless keepHistory is set, the streamed
+     * states are not recorded, so memory stays constant: the history keeps the
+     * states recorded before the stream, followed by the newest state once the
+     * stream ends.
+     * 
+     * @param {Object} options - Stream options
+     * @param {number} options.steps - Number of time steps (Infinity to stream until the consumer stops)
+     * @param {number} options.every - Report every this many steps (and after the last one)
+     * @param {string} options.output - What to report for each step (see EVOLVE_OUTPUTS)
+     * @param {string} options.direction - 'forward', or 'backward' to evolve with the inverse rule
+     * @param {boolean} options.keepHistory - Whether to record every state in the history
+     * @yields {Object} - {time, phase, flips} plus the state or {weight, width} (see output)
+     */
+    *evolve(options = {}) {
+        for (const report of this.evolveSteps(options)) {
+            if (report) yield report;
+        }
+    }
+
+    /**
+     * Evolve as an asynchronous stream that yields control to the event loop
+     * between chunks, so long runs in a page or worker leave room for other work
+     * 
+     * @param {Object} options - Stream options (see evolve)
+     * @param {number} options.chunkTime - Milliseconds of evolution before yielding control
+     * @yields {Object} - Same reports as evolve
+     */
+    async *evolveAsync({ chunkTime = 16, ...options } = {}) {
+        let chunkStart = performance.now();
+        for (const report of this.evolveSteps(options)) {
+            if (report) yield report;
+            if (performance.now() - chunkStart >= chunkTime) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                chunkStart = performance.now();
+            }
+        }
+    }
+
+    /**
+     * Take the steps of a stream, yielding a report for the reported steps and
+     * null for the others (see evolve)
+     * 
+     * @param {Object} options - Stream options (see evolve)
+     * @yields {Object|null} - Report of the step
+     */
+    *evolveSteps({ steps = Infinity, every = 1, output = 'state', direction = 'forward', keepHistory = false } = {}) {
+        if (!Number.isInteger(every) || every < 1) {
+            throw new Error(`Steps between reports must be a positive integer, got ${every}`);
+        }
+        if (!EVOLVE_OUTPUTS.includes(output)) {
+            throw new Error(`Unknown stream output '${output}'`);
+        }
+        if (direction !== 'forward' && direction !== 'backward') {
+            throw new Error(`Unknown direction '${direction}'`);
+        }
+        
+        // Without keepHistory the steps go to a scratch history of the stream holding
+        // only the newest state, and the recorded history is left as it is
+        const history = keepHistory ? this.history : new PackedHistory(this.size, 2 * this.cellQubits, this.modulus, 1);
+        let taken = 0;
+        try {
+            while (taken < steps) {
+                if (direction === 'backward') {
+                    this.stepBackward(history);
+                } else {
+                    this.step(history);
+                }
+                taken++;
+                yield taken % every === 0 || taken === steps ? this.report(output, history) : null;
+            }
+        } finally {
+            // Append the state the stream ended on
+            if (!keepHistory && taken > 0) {
+                const index = history.end - 1;
+                this.history.pushEntry(history.entryAt(index), history.flipsAt(index));
+                if (this.trackPhase) {
+                    this.phaseHistory.push(this.phase);
+                    if (this.phaseHistory.length > this.history.length) this.phaseHistory.shift();
+                }
+            }
+        }
+    }
+
+    /**
+     * Describe the newest state for the evolution stream
+     * 
+     * @param {string} output - What to report (see EVOLVE_OUTPUTS)
+     * @param {PackedHistory} history - History holding the newest state
+     * @returns {Object} - {time, phase, flips} plus the state or {weight, width}
+     */
+    report(output, history = this.history) {
+        const index = history.end - 1;
+        const report = { time: this.time, phase: this.phase, flips: history.flipsAt(index) };
+        if (output === 'state') {
+            report.state = this.getState();
+        } else if (output === 'summary') {
+            Object.assign(report, supportSummary(history.supportAt(index), this.size, this.boundary === 'periodic'));
+        }
+        return report;
     }
 
     /**
@@ -345,23 +1351,85 @@ export class CliffordQCA {
      * @returns {Array} - Current state
      */
     getState() {
+        if (this.packed) {
+            return this.packed.getState();
+        }
         return this.state.map(pauli => [...pauli]);
     }
 
+    /**
+     * Get the current state together with its global phase
+     * 
+     * @returns {Object} - {phase, state} where the Pauli string is i^phase times the state
+     */
+    getSignedState() {
+        return { phase: this.phase, state: this.getState() };
+    }
+
+    /**
+     * Get the global phase of the current Pauli string
+     * 
+     * @returns {number} - Exponent k of the phase i^k, in 0..3
+     */
+    getPhase() {
+        return this.phase;
+    }
+
+    /**
+     * Get the history of global phases (one entry per state in the history)
+     * 
+     * @returns {Array} - Phase exponents of i
+     */
+    getPhaseHistory() {
+        return [...this.phaseHistory];
+    }
+
+    /**
+     * Get the sites hit by a Pauli error (one list per state in the history,
+     * empty for the initial state and for backward steps)
+     * 
+     * @returns {Array} - Sorted site indices per time step
+     */
+    getFlipHistory() {
+        const flips = [];
+        for (let index = this.history.start; index < this.history.end; index++) {
+            flips.push([...this.history.flipsAt(index)]);
+        }
+        return flips;
+    }
+
     /**
      * Get the evolution history of the automaton
+     * States are stored packed; read them with get(index) or value(index, site, component),
+     * or unpack all of them with toArray(). Only the last historyLimit states are kept.
      * 
-     * @returns {Array} - History of states
+     * @returns {PackedHistory} - History of states (not a copy: it grows with the evolution)
      */
     getHistory() {
-        return this.history.map(state => state.map(pauli => [...pauli]));
+        return this.history;
+    }
+
+    /**
+     * Start a new, empty history for the current lattice and cell size
+     */
+    clearHistory() {
+        this.history = new PackedHistory(this.size, 2 * this.cellQubits, this.modulus, this.historyLimit);
     }
 
     /**
      * Reset the automaton to all identity operators
      */
     reset() {
-        this.state = Array(this.size).fill().map(() => [...PAULI.I]);
-        this.history = [this.state.map(pauli => [...pauli])];
+        if (this.packed) {
+            this.setState(Array(this.size).fill().map(() => identityCell(this.cellQubits)));
+            return;
+        }
+        this.phase = 0;
+        this.phaseHistory = [0];
+        this.time = 0;
+        this.restartSequence();
+        this.state = Array(this.size).fill().map(() => identityCell(this.cellQubits));
+        this.clearHistory();
+        this.history.push(this.state);
     }
 } 
\ No newline at end of file
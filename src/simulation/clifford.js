@@ -4,6 +4,9 @@
  * This module provides the basic operations to work with Pauli operators in F2
  * representation, where each operator is represented as a pair of bits:
  * I = [0,0], X = [1,0], Z = [0,1], Y = [1,1]
+ * 
+ * For qudits of prime dimension p a pair [a,b] over F_p stands for the
+ * generalised Pauli X^a Z^b; the modulus p defaults to 2 everywhere.
  */
 
 // Constants for Pauli operators in F2 representation
@@ -31,47 +34,174 @@ export const PAULI_COLORS = {
 };
 
 /**
- * Multiply two Pauli operators in F2 representation
+ * List all Pauli operators for a given local dimension
+ * 
+ * @param {number} modulus - Prime local dimension p
+ * @returns {Array} - All p^2 operators [a,b], identity first
+ */
+export function allPaulis(modulus = 2) {
+    if (modulus === 2) {
+        return [PAULI.I, PAULI.X, PAULI.Z, PAULI.Y];
+    }
+    const paulis = [];
+    for (let a = 0; a < modulus; a++) {
+        for (let b = 0; b < modulus; b++) {
+            paulis.push([a, b]);
+        }
+    }
+    return paulis;
+}
+
+/**
+ * Multiply two Pauli operators in F2 representation (or F_p for qudits)
  * 
  * @param {Array} a - First Pauli operator as [x,z]
  * @param {Array} b - Second Pauli operator as [x,z]
+ * @param {number} modulus - Prime local dimension p
  * @returns {Array} - Result of multiplication as [x,z]
  */
-export function multiplyPauli(a, b) {
+export function multiplyPauli(a, b, modulus = 2) {
     // Multiply Pauli operators using binary arithmetic
     const [ax, az] = a;
     const [bx, bz] = b;
     
-    // XOR the bits
-    const resultX = (ax + bx) % 2;
-    const resultZ = (az + bz) % 2;
+    // XOR the bits (add the exponents mod p for qudits)
+    const resultX = (ax + bx) % modulus;
+    const resultZ = (az + bz) % modulus;
     
     return [resultX, resultZ];
 }
 
 /**
  * Get the Pauli label for an F2 representation
+ * Qudit operators are labelled X^a Z^b with unit exponents omitted, e.g. "X^2Z"
  * 
  * @param {Array} pauli - Pauli operator as [x,z]
+ * @param {number} modulus - Prime local dimension p
  * @returns {string} - Pauli label (I, X, Z, Y)
  */
-export function getPauliLabel(pauli) {
-    return PAULI_LABELS[`${pauli[0]},${pauli[1]}`];
+export function getPauliLabel(pauli, modulus = 2) {
+    if (modulus === 2) {
+        return PAULI_LABELS[`${pauli[0]},${pauli[1]}`];
+    }
+    
+    const [a, b] = pauli;
+    if (!a && !b) return 'I';
+    
+    const power = (base, exp) => exp === 0 ? '' : (exp === 1 ? base : `${base}^${exp}`);
+    return power('X', a) + power('Z', b);
+}
+
+/**
+ * Parse a Pauli label (I, X, Y, Z or a qudit label such as "X^2Z")
+ * 
+ * @param {string} label - Pauli label
+ * @param {number} modulus - Prime local dimension p
+ * @returns {Array} - Pauli operator as [x,z]
+ */
+export function parsePauliLabel(label, modulus = 2) {
+    const upper = label.toUpperCase();
+    if (upper === 'I') return [...PAULI.I];
+    if (upper === 'Y') return [...PAULI.Y];
+    
+    const match = /^(X(?:\^(\d+))?)?(Z(?:\^(\d+))?)?$/.exec(upper);
+    if (!match || upper === '') {
+        throw new Error(`Invalid Pauli operator: ${label}`);
+    }
+    
+    const exponent = (symbol, power) => {
+        if (!symbol) return 0;
+        return (power === undefined ? 1 : parseInt(power, 10)) % modulus;
+    };
+    return [exponent(match[1], match[2]), exponent(match[3], match[4])];
 }
 
 /**
  * Get the color for a Pauli operator
+ * Qubits use the fixed palette; qudit operators get evenly spaced hues
  * 
  * @param {Array} pauli - Pauli operator as [x,z]
+ * @param {number} modulus - Prime local dimension p
  * @returns {string} - Color hex code
  */
-export function getPauliColor(pauli) {
-    const label = getPauliLabel(pauli);
-    return PAULI_COLORS[label];
+export function getPauliColor(pauli, modulus = 2) {
+    const label = getPauliLabel(pauli, modulus);
+    if (modulus === 2 || label === 'I') {
+        return PAULI_COLORS[label];
+    }
+    
+    const index = pauli[0] * modulus + pauli[1];
+    const hue = Math.round(360 * (index - 1) / (modulus * modulus - 1));
+    return `hsl(${hue}, 70%, 60%)`;
+}
+
+/**
+ * Separator between the single-qubit labels of a multi-qubit cell, e.g. "X⊗I"
+ */
+export const CELL_SEPARATOR = '⊗';
+
+/**
+ * Identity state of a cell of n qubits
+ * A cell of n qubits is stored as [x_1..x_n, z_1..z_n] (just [x,z] for n = 1)
+ * 
+ * @param {number} cellQubits - Number of qubits n per cell
+ * @returns {Array} - Array of 2n zeros
+ */
+export function identityCell(cellQubits = 1) {
+    return Array(2 * cellQubits).fill(0);
+}
+
+/**
+ * Split a cell state [x_1..x_n, z_1..z_n] into its single-qubit Paulis
+ * 
+ * @param {Array} cell - Cell state of length 2n
+ * @returns {Array} - n Pauli operators as [x,z]
+ */
+export function cellToPaulis(cell) {
+    const n = cell.length / 2;
+    return Array.from({ length: n }, (_, j) => [cell[j], cell[n + j]]);
+}
+
+/**
+ * Combine single-qubit Paulis into a cell state [x_1..x_n, z_1..z_n]
+ * 
+ * @param {Array} paulis - n Pauli operators as [x,z]
+ * @returns {Array} - Cell state of length 2n
+ */
+export function paulisToCell(paulis) {
+    return [...paulis.map(pauli => pauli[0]), ...paulis.map(pauli => pauli[1])];
+}
+
+/**
+ * Get the label of a cell state, joining the labels of its qubits with ⊗
+ * 
+ * @param {Array} cell - Cell state of length 2n
+ * @param {number} modulus - Prime local dimension p
+ * @returns {string} - Cell label, e.g. "X⊗Z" (a plain Pauli label for n = 1)
+ */
+export function getCellLabel(cell, modulus = 2) {
+    return cellToPaulis(cell).map(pauli => getPauliLabel(pauli, modulus)).join(CELL_SEPARATOR);
+}
+
+/**
+ * Parse a cell label such as "X⊗Z" into a cell state
+ * 
+ * @param {string} label - Cell label with one Pauli label per qubit
+ * @param {number} cellQubits - Number of qubits n per cell
+ * @param {number} modulus - Prime local dimension p
+ * @returns {Array} - Cell state of length 2n
+ */
+export function parseCellLabel(label, cellQubits = 1, modulus = 2) {
+    const parts = label.split(CELL_SEPARATOR);
+    if (parts.length !== cellQubits) {
+        throw new Error(`Cell label '${label}' must have ${cellQubits} Pauli operator(s)`);
+    }
+    return paulisToCell(parts.map(part => parsePauliLabel(part, modulus)));
 }
 
 /**
  * Convert string representation to F2 array
+ * (qudit states use parsePauliLabel since their labels span several characters)
  * 
  * @param {string} pauliString - String of Pauli operators (e.g., "IXZY")
  * @returns {Array} - Array of Pauli operators in F2 representation
@@ -86,4 +216,45 @@ export function pauliStringToF2(pauliString) {
             default: throw new Error(`Invalid Pauli operator: ${char}`);
         }
     });
-} 
\ No newline at end of file
+}
+
+/**
+ * Labels for global phases i^k, indexed by k mod 4
+ */
+export const PHASE_LABELS = ['+1', '+i', '-1', '-i'];
+
+/**
+ * Format a global phase i^k as a string
+ * 
+ * @param {number} k - Exponent of i
+ * @returns {string} - Phase label (+1, +i, -1, -i)
+ */
+export function formatPhase(k) {
+    return PHASE_LABELS[((k % 4) + 4) % 4];
+}
+
+/**
+ * Phase of the product of two Pauli operators
+ * 
+ * Each [x,z] pair stands for the Hermitian operator i^(xz) X^x Z^z (so Y = iXZ).
+ * Returns g such that P(a) P(b) = i^g P(a + b), e.g. X Z = -i Y gives g = 3.
+ * 
+ * @param {Array} a - First Pauli operator as [x,z]
+ * @param {Array} b - Second Pauli operator as [x,z]
+ * @returns {number} - Exponent g of i, in 0..3
+ */
+export function pauliProductPhase(a, b) {
+    const [ax, az] = a;
+    const [bx, bz] = b;
+    
+    let g = 0;
+    if (ax && az) {
+        g = bz - bx;                 // Y * P
+    } else if (ax) {
+        g = bz * (2 * bx - 1);       // X * P
+    } else if (az) {
+        g = bx * (1 - 2 * bz);       // Z * P
+    }
+    
+    return ((g % 4) + 4) % 4;
+}
@@ -0,0 +1,292 @@
+/**
+ * Compact storage for the evolution history of a 1D Clifford QCA
+ *
+ * Storing every state as an array of [x,z] arrays costs tens of bytes per cell,
+ * which long runs on large lattices cannot afford. Each state is stored here as
+ * one flat typed array instead: bit-packed layers (as in packedEngine.js) for
+ * qubits and one byte per component for qudits (two or four bytes when p
+ * exceeds 256 or 65536). An optional limit keeps only
+ * the most recent states in a ring buffer whose arrays are reused, so a rolling
+ * window allocates nothing once it is full.
+ *
+ * States are addressed by their absolute index in the run: the first state
+ * pushed has index 0, and indices keep counting when old states are dropped.
+ */
+
+import { wordCount } from './packedEngine.js';
+
+// Shared by all states without Pauli errors
+const NO_FLIPS = Object.freeze([]);
+
+/**
+ * PackedHistory class storing states in compact typed arrays
+ */
+export class PackedHistory {
+    /**
+     * Create an empty history
+     *
+     * @param {number} size - Number of cells in the lattice
+     * @param {number} components - Components per cell (2n for n-qubit cells)
+     * @param {number} modulus - Prime local dimension p
+     * @param {number} limit - Maximum number of states kept (Infinity for all)
+     */
+    constructor(size, components = 2, modulus = 2, limit = Infinity) {
+        if (!(limit >= 1)) {
+            throw new Error(`History limit must be at least 1, got ${limit}`);
+        }
+        this.size = size;
+        this.components = components;
+        this.modulus = modulus;
+        this.limit = limit;
+        this.bits = modulus === 2;
+        this.words = wordCount(size);
+        // Qudit components range over 0..p-1, so the entry width follows p
+        this.quditArrayType = modulus <= 256 ? Uint8Array : (modulus <= 65536 ? Uint16Array : Uint32Array);
+        this.clear();
+    }
+
+    /**
+     * Drop all states
+     */
+    clear() {
+        this.entries = []; // Typed array per slot
+        this.flips = []; // Sites hit by a Pauli error per slot
+        this.head = 0; // Slot of the oldest state
+        this.dropped = 0; // Number of states dropped from the window
+    }
+
+    /**
+     * Number of states currently stored
+     *
+     * @returns {number} - Stored states
+     */
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * Absolute index of the oldest stored state
+     *
+     * @returns {number} - Index of the first state in the window
+     */
+    get start() {
+        return this.dropped;
+    }
+
+    /**
+     * Absolute index one past the newest stored state
+     *
+     * @returns {number} - Total number of states pushed
+     */
+    get end() {
+        return this.dropped + this.entries.length;
+    }
+
+    /**
+     * Reserve the slot for a new state, dropping the oldest one when full
+     *
+     * @param {Array} flips - Sites hit by a Pauli error in the step
+     * @returns {Uint32Array|Uint16Array|Uint8Array} - Storage of the new state, to be overwritten
+     */
+    nextEntry(flips) {
+        let slot;
+        if (this.entries.length < this.limit) {
+            slot = this.entries.length;
+            this.entries.push(this.bits
+                ? new Uint32Array(this.components * this.words)
+                : new this.quditArrayType(this.size * this.components));
+        } else {
+            slot = this.head;
+            this.head = (this.head + 1) % this.entries.length;
+            this.dropped++;
+        }
+        this.flips[slot] = flips.length > 0 ? flips : NO_FLIPS;
+        return this.entries[slot];
+    }
+
+    /**
+     * Append a state given as an array of Pauli operators
+     *
+     * @param {Array} state - Array of Pauli operators in F2 representation (F_p for qudits)
+     * @param {Array} flips - Sites hit by a Pauli error in the step
+     */
+    push(state, flips = NO_FLIPS) {
+        const entry = this.nextEntry(flips);
+        const { components, words } = this;
+
+        if (this.bits) {
+            entry.fill(0);
+            state.forEach((cell, i) => {
+                const w = i >>> 5;
+                const bit = 1 << (i & 31);
+                for (let c = 0; c < components; c++) {
+                    if (cell[c]) entry[c * words + w] |= bit;
+                }
+            });
+            return;
+        }
+
+        state.forEach((cell, i) => {
+            for (let c = 0; c < components; c++) {
+                entry[i * components + c] = cell[c];
+            }
+        });
+    }
+
+    /**
+     * Append a state given as packed layers (qubits only)
+     *
+     * @param {Array} layers - [xLayer, zLayer] as Uint32Arrays (2n layers for n-qubit cells)
+     * @param {Array} flips - Sites hit by a Pauli error in the step
+     */
+    pushLayers(layers, flips = NO_FLIPS) {
+        if (!this.bits) {
+            throw new Error("Packed layers can only be stored for qubits (p = 2)");
+        }
+        const entry = this.nextEntry(flips);
+        layers.forEach((layer, c) => entry.set(layer, c * this.words));
+    }
+
+    /**
+     * Append a state in the storage format of this history (see entryAt)
+     *
+     * @param {Uint32Array|Uint16Array|Uint8Array} entry - Packed state from a history with the same shape
+     * @param {Array} flips - Sites hit by a Pauli error in the step
+     */
+    pushEntry(entry, flips = NO_FLIPS) {
+        this.nextEntry(flips).set(entry);
+    }
+
+    /**
+     * Copy the packed storage of one state, e.g. to transfer it to another thread
+     *
+     * @param {number} index - Absolute index of the state
+     * @returns {Uint32Array|Uint16Array|Uint8Array} - Copy of the packed state
+     */
+    entryAt(index) {
+        return this.entries[this.slotOf(index)].slice();
+    }
+
+    /**
+     * Slot holding the state with the given absolute index
+     *
+     * @param {number} index - Absolute index of the state
+     * @returns {number} - Slot in the ring buffer
+     */
+    slotOf(index) {
+        if (index < this.start || index >= this.end) {
+            throw new Error(`State ${index} is not in the history window [${this.start}, ${this.end})`);
+        }
+        return (this.head + index - this.dropped) % this.entries.length;
+    }
+
+    /**
+     * Read one component of one cell without unpacking the state
+     *
+     * @param {number} index - Absolute index of the state
+     * @param {number} site - Cell index
+     * @param {number} component - Component (x_1..x_n, z_1..z_n)
+     * @returns {number} - Value of the component
+     */
+    value(index, site, component) {
+        const entry = this.entries[this.slotOf(index)];
+        if (this.bits) {
+            return (entry[component * this.words + (site >>> 5)] >>> (site & 31)) & 1;
+        }
+        return entry[site * this.components + component];
+    }
+
+    /**
+     * Unpack one state into an array of Pauli operators
+     *
+     * @param {number} index - Absolute index of the state
+     * @returns {Array} - Array of Pauli operators
+     */
+    get(index) {
+        const entry = this.entries[this.slotOf(index)];
+        const { components, words } = this;
+        const state = Array(this.size);
+
+        for (let i = 0; i < this.size; i++) {
+            const cell = Array(components);
+            for (let c = 0; c < components; c++) {
+                cell[c] = this.bits
+                    ? (entry[c * words + (i >>> 5)] >>> (i & 31)) & 1
+                    : entry[i * components + c];
+            }
+            state[i] = cell;
+        }
+
+        return state;
+    }
+
+    /**
+     * Sites where a state differs from the identity, read without unpacking it
+     *
+     * @param {number} index - Absolute index of the state
+     * @returns {Array} - Sorted site indices
+     */
+    supportAt(index) {
+        const entry = this.entries[this.slotOf(index)];
+        const { components, words } = this;
+        const sites = [];
+
+        if (this.bits) {
+            for (let w = 0; w < words; w++) {
+                let word = 0;
+                for (let c = 0; c < components; c++) {
+                    word |= entry[c * words + w];
+                }
+                // Visit the set bits from the lowest up
+                while (word !== 0) {
+                    sites.push(w * 32 + 31 - Math.clz32(word & -word));
+                    word &= word - 1;
+                }
+            }
+            return sites;
+        }
+
+        for (let i = 0; i < this.size; i++) {
+            for (let c = 0; c < components; c++) {
+                if (entry[i * components + c] !== 0) {
+                    sites.push(i);
+                    break;
+                }
+            }
+        }
+        return sites;
+    }
+
+    /**
+     * Get the newest state
+     *
+     * @returns {Array|null} - Array of Pauli operators, null when empty
+     */
+    last() {
+        return this.length > 0 ? this.get(this.end - 1) : null;
+    }
+
+    /**
+     * Get the sites hit by a Pauli error in the step leading to a state
+     *
+     * @param {number} index - Absolute index of the state
+     * @returns {Array} - Sorted site indices
+     */
+    flipsAt(index) {
+        return this.flips[this.slotOf(index)];
+    }
+
+    /**
+     * Unpack all stored states, oldest first
+     * Meant for small runs and scripts; long runs should read single states
+     *
+     * @returns {Array} - Array of states
+     */
+    toArray() {
+        const states = [];
+        for (let index = this.start; index < this.end; index++) {
+            states.push(this.get(index));
+        }
+        return states;
+    }
+}
@@ -0,0 +1,402 @@
+/**
+ * Bit-packed simulation engine for 1D Clifford QCA
+ *
+ * This module stores the X and Z layers of the lattice as packed Uint32 words
+ * (bit i of a layer is the x or z bit of cell i) and applies the rule blocks
+ * A_-r..A_r with word-wide shifts and XORs. It makes lattices of 10^5 to 10^6
+ * sites practical. Cells of n qubits use 2n layers, ordered x_1..x_n, z_1..z_n.
+ */
+
+const WORD_BITS = 32;
+
+/**
+ * Number of 32-bit words needed to store one layer of the lattice
+ *
+ * @param {number} size - Number of cells in the lattice
+ * @returns {number} - Number of words per layer
+ */
+export function wordCount(size) {
+    return Math.ceil(size / WORD_BITS);
+}
+
+/**
+ * Mask for the valid bits of the last word of a layer
+ *
+ * @param {number} size - Number of cells in the lattice
+ * @returns {number} - Bit mask for the last word
+ */
+function lastWordMask(size) {
+    const rem = size % WORD_BITS;
+    return rem === 0 ? 0xFFFFFFFF : ((1 << rem) - 1) >>> 0;
+}
+
+/**
+ * Shift a layer towards higher cell indices, filling with zeros
+ * out[i] = src[i - k]
+ *
+ * @param {Uint32Array} out - Destination layer (must not alias src)
+ * @param {Uint32Array} src - Source layer
+ * @param {number} k - Shift distance in bits (k >= 0)
+ */
+function shiftUp(out, src, k) {
+    const words = src.length;
+    const q = k >>> 5;
+    const r = k & 31;
+
+    for (let w = words - 1; w >= 0; w--) {
+        const s = w - q;
+        let v = 0;
+        if (s >= 0) {
+            v = src[s] << r;
+            if (r !== 0 && s > 0) {
+                v |= src[s - 1] >>> (WORD_BITS - r);
+            }
+        }
+        out[w] = v;
+    }
+}
+
+/**
+ * Shift a layer towards lower cell indices, filling with zeros
+ * out[i] = src[i + k]
+ *
+ * @param {Uint32Array} out - Destination layer (must not alias src)
+ * @param {Uint32Array} src - Source layer
+ * @param {number} k - Shift distance in bits (k >= 0)
+ */
+function shiftDown(out, src, k) {
+    const words = src.length;
+    const q = k >>> 5;
+    const r = k & 31;
+
+    for (let w = 0; w < words; w++) {
+        const s = w + q;
+        let v = 0;
+        if (s < words) {
+            v = src[s] >>> r;
+            if (r !== 0 && s + 1 < words) {
+                v |= src[s + 1] << (WORD_BITS - r);
+            }
+        }
+        out[w] = v;
+    }
+}
+
+/**
+ * Rotate a layer cyclically (periodic boundary conditions)
+ * out[i] = src[(i - shift) mod size]
+ *
+ * @param {Uint32Array} out - Destination layer (must not alias src or scratch)
+ * @param {Uint32Array} src - Source layer, with zero padding bits
+ * @param {number} size - Number of cells in the lattice
+ * @param {number} shift - Rotation distance, may be negative
+ * @param {Uint32Array} scratch - Scratch layer of the same length
+ */
+export function rotateBits(out, src, size, shift, scratch) {
+    const k = ((shift % size) + size) % size;
+
+    if (k === 0) {
+        out.set(src);
+        return;
+    }
+
+    // Bits moved past the end wrap around to the start
+    shiftUp(out, src, k);
+    shiftDown(scratch, src, size - k);
+    for (let w = 0; w < out.length; w++) {
+        out[w] |= scratch[w];
+    }
+
+    // Keep padding bits of the last word cleared
+    out[out.length - 1] &= lastWordMask(size);
+}
+
+/**
+ * Shift a layer without wrapping (open and fixed boundary conditions)
+ * out[i] = src[i - shift], with cells shifted in from outside the chain
+ * taking the given boundary bit
+ *
+ * @param {Uint32Array} out - Destination layer (must not alias src)
+ * @param {Uint32Array} src - Source layer, with zero padding bits
+ * @param {number} size - Number of cells in the lattice
+ * @param {number} shift - Shift distance, may be negative
+ * @param {number} leftBit - Bit of the cells beyond the left edge
+ * @param {number} rightBit - Bit of the cells beyond the right edge
+ */
+export function shiftBits(out, src, size, shift, leftBit = 0, rightBit = 0) {
+    const k = Math.min(Math.abs(shift), size);
+
+    if (shift >= 0) {
+        shiftUp(out, src, k);
+    } else {
+        shiftDown(out, src, k);
+    }
+
+    // Fill the cells that were shifted in from beyond the edge
+    const fill = shift >= 0 ? leftBit : rightBit;
+    if (fill) {
+        const from = shift >= 0 ? 0 : size - k;
+        for (let i = from; i < from + k; i++) {
+            out[i >>> 5] |= 1 << (i & 31);
+        }
+    }
+
+    // Keep padding bits of the last word cleared
+    out[out.length - 1] &= lastWordMask(size);
+}
+
+/**
+ * Pack an array of [x,z] Pauli operators into X and Z layers
+ * (one layer per component for cells of several qubits)
+ *
+ * @param {Array} state - Array of Pauli operators in F2 representation
+ * @returns {Array} - [xLayer, zLayer] as Uint32Arrays
+ */
+export function packState(state) {
+    const words = wordCount(state.length);
+    const components = state.length > 0 ? state[0].length : 2;
+    const layers = Array.from({ length: components }, () => new Uint32Array(words));
+
+    state.forEach((cell, i) => {
+        const w = i >>> 5;
+        const bit = 1 << (i & 31);
+        for (let c = 0; c < components; c++) {
+            if (cell[c]) layers[c][w] |= bit;
+        }
+    });
+
+    return layers;
+}
+
+/**
+ * Unpack X and Z layers into an array of [x,z] Pauli operators
+ *
+ * @param {Array} layers - [xLayer, zLayer] as Uint32Arrays (2n layers for n-qubit cells)
+ * @param {number} size - Number of cells in the lattice
+ * @returns {Array} - Array of Pauli operators in F2 representation
+ */
+export function unpackState(layers, size) {
+    const state = Array(size);
+
+    for (let i = 0; i < size; i++) {
+        const w = i >>> 5;
+        const b = i & 31;
+        state[i] = layers.map(layer => (layer[w] >>> b) & 1);
+    }
+
+    return state;
+}
+
+/**
+ * Precompute which layer terms a rule matrix contains
+ * Each term XORs input layer `from`, taken from the neighbour at `offset`,
+ * into the output layers `targets`
+ *
+ * @param {Array} ruleMatrix - 2x(4r+2) matrix over F2 (2n×2n(2r+1) for n-qubit cells)
+ * @returns {Array} - Terms {offset, from, targets}
+ */
+function ruleTerms(ruleMatrix) {
+    const dim = ruleMatrix.length;
+    const radius = (ruleMatrix[0].length / dim - 1) / 2;
+    const terms = [];
+
+    for (let offset = -radius; offset <= radius; offset++) {
+        const col = dim * (offset + radius);
+        for (let from = 0; from < dim; from++) {
+            const targets = [];
+            for (let to = 0; to < dim; to++) {
+                if (ruleMatrix[to][col + from] % 2 !== 0) {
+                    targets.push(to);
+                }
+            }
+            if (targets.length > 0) {
+                terms.push({ offset, from, targets });
+            }
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Build a layer mask with the bits of the given cells set
+ *
+ * @param {number} size - Number of cells in the lattice
+ * @param {Array} sites - Cell indices to set
+ * @returns {Uint32Array} - Mask layer
+ */
+function siteMask(size, sites) {
+    const mask = new Uint32Array(wordCount(size));
+    for (const i of sites) {
+        mask[i >>> 5] |= 1 << (i & 31);
+    }
+    return mask;
+}
+
+/**
+ * PackedEngine class evolving the X and Z layers of a 1D Clifford QCA
+ */
+export class PackedEngine {
+    /**
+     * Create a new PackedEngine instance
+     *
+     * @param {number} size - Number of cells in the lattice
+     * @param {Array} ruleMatrix - 2x(4r+2) rule matrix over F2 (2n×2n(2r+1) for n-qubit cells)
+     */
+    constructor(size, ruleMatrix) {
+        this.size = size;
+        this.words = wordCount(size);
+
+        // Pre-allocate buffers for the shifted layers
+        this.shifted = new Uint32Array(this.words);
+        this.scratch = new Uint32Array(this.words);
+
+        this.setRuleMatrix(ruleMatrix);
+        this.setRuleOverrides([]);
+        this.setBoundary('periodic');
+    }
+
+    /**
+     * Allocate zeroed current and next layers for the given number of components
+     *
+     * @param {number} components - Number of layers (2n for n-qubit cells)
+     */
+    allocateLayers(components) {
+        this.layers = Array.from({ length: components }, () => new Uint32Array(this.words));
+        this.nextLayers = Array.from({ length: components }, () => new Uint32Array(this.words));
+    }
+
+    /**
+     * Set the boundary conditions
+     *
+     * @param {string} boundary - Boundary mode ('periodic', 'open' or 'fixed')
+     * @param {Object} boundaryPaulis - Pauli operators {left, right} beyond the edges (fixed mode)
+     */
+    setBoundary(boundary, boundaryPaulis = null) {
+        const identity = Array(this.layers.length).fill(0);
+        this.boundary = boundary;
+        this.boundaryPaulis = boundary === 'fixed' && boundaryPaulis ? boundaryPaulis : { left: identity, right: identity };
+    }
+
+    /**
+     * Set the rule matrix and precompute which layer terms it contains
+     * Changing the number of qubits per cell clears the layers
+     *
+     * @param {Array} ruleMatrix - 2x(4r+2) matrix over F2 (2n×2n(2r+1) for n-qubit cells)
+     */
+    setRuleMatrix(ruleMatrix) {
+        const dim = ruleMatrix.length;
+        if (!this.layers || this.layers.length !== dim) {
+            this.allocateLayers(dim);
+        }
+
+        this.terms = ruleTerms(ruleMatrix);
+    }
+
+    /**
+     * Replace the rule on chosen cells (inhomogeneous rules)
+     * Each group's terms only write to the cells of its mask; the rule set by
+     * setRuleMatrix applies to all remaining cells
+     *
+     * @param {Array} overrides - Groups {ruleMatrix, sites} with disjoint site lists
+     */
+    setRuleOverrides(overrides) {
+        this.overrideGroups = overrides.map(({ ruleMatrix, sites }) => ({
+            terms: ruleTerms(ruleMatrix),
+            mask: siteMask(this.size, sites)
+        }));
+
+        // The default rule keeps the cells not covered by any override
+        this.defaultMask = null;
+        if (this.overrideGroups.length > 0) {
+            this.defaultMask = new Uint32Array(this.words);
+            for (let w = 0; w < this.words; w++) {
+                let covered = 0;
+                for (const { mask } of this.overrideGroups) covered |= mask[w];
+                this.defaultMask[w] = ~covered;
+            }
+            this.defaultMask[this.words - 1] &= lastWordMask(this.size);
+        }
+    }
+
+    /**
+     * Set the state from an array of [x,z] Pauli operators
+     *
+     * @param {Array} state - Array of Pauli operators in F2 representation
+     */
+    setState(state) {
+        this.layers = packState(state);
+    }
+
+    /**
+     * Get the state as an array of [x,z] Pauli operators
+     *
+     * @returns {Array} - Array of Pauli operators in F2 representation
+     */
+    getState() {
+        return unpackState(this.layers, this.size);
+    }
+
+    /**
+     * Copy the current X and Z layers
+     *
+     * @returns {Array} - [xLayer, zLayer] as new Uint32Arrays
+     */
+    snapshot() {
+        return this.layers.map(layer => layer.slice());
+    }
+
+    /**
+     * Multiply a single-qubit Pauli into one cell of the current layers
+     *
+     * @param {number} site - Cell index
+     * @param {number} qubit - Qubit of the cell (0 for single-qubit cells)
+     * @param {Array} pauli - Pauli operator as [x,z]
+     */
+    applyPauli(site, qubit, pauli) {
+        const w = site >>> 5;
+        const bit = 1 << (site & 31);
+        const n = this.layers.length / 2;
+        if (pauli[0]) this.layers[qubit][w] ^= bit;
+        if (pauli[1]) this.layers[n + qubit][w] ^= bit;
+    }
+
+    /**
+     * Evolve the layers for one time step
+     */
+    step() {
+        this.nextLayers.forEach(layer => layer.fill(0));
+
+        const groups = [{ terms: this.terms, mask: this.defaultMask }, ...this.overrideGroups];
+        for (const { terms, mask } of groups) {
+            for (const { offset, from, targets } of terms) {
+                // Cell i reads its neighbour i + offset
+                if (this.boundary === 'periodic') {
+                    rotateBits(this.shifted, this.layers[from], this.size, -offset, this.scratch);
+                } else {
+                    const { left, right } = this.boundaryPaulis;
+                    shiftBits(this.shifted, this.layers[from], this.size, -offset, left[from], right[from]);
+                }
+
+                // Restrict the term to the cells governed by this rule
+                if (mask) {
+                    for (let w = 0; w < this.words; w++) {
+                        this.shifted[w] &= mask[w];
+                    }
+                }
+
+                for (const to of targets) {
+                    const out = this.nextLayers[to];
+                    for (let w = 0; w < this.words; w++) {
+                        out[w] ^= this.shifted[w];
+                    }
+                }
+            }
+        }
+
+        // Swap current and next buffers
+        const current = this.layers;
+        this.layers = this.nextLayers;
+        this.nextLayers = current;
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Seedable pseudo-random numbers for stochastic features
+ *
+ * Math.random cannot be seeded, so runs that draw random numbers through it
+ * cannot be reproduced. This module provides the small mulberry32 generator,
+ * whose whole state is one 32-bit integer: the same seed always yields the
+ * same sequence.
+ */
+
+/**
+ * Create a mulberry32 generator
+ *
+ * @param {number} seed - Seed, reduced to an unsigned 32-bit integer
+ * @returns {Function} - Generator returning floats uniformly distributed in [0, 1)
+ */
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a fresh seed for runs where none was given
+ *
+ * @returns {number} - Unsigned 32-bit seed
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,186 @@
+/**
+ * Session files: the complete configuration of a simulation as JSON
+ *
+ * A session holds what SimulationControls needs to set up a run again: the
+ * rule sequence, initial state, lattice size, boundary, noise, phase tracking,
+ * painted rule regions and the seed of the random numbers. Files carry a
+ * format tag and a version number, so that later versions of the schema can
+ * still read (or clearly reject) older files.
+ */
+import { PRESETS, BOUNDARIES, getCellQubits, getRuleRadius, isPrime } from './automaton.js';
+import { parseCellLabel } from './clifford.js';
+
+/**
+ * Format tag of session files
+ */
+export const SESSION_FORMAT = 'clifford-qca-session';
+
+/**
+ * Version of the session schema written by this simulator
+ */
+export const SESSION_VERSION = 1;
+
+/**
+ * Build a session file from the settings of the simulation controls
+ *
+ * @param {Object} settings - {preset, modulus, ruleSequence, latticeSize, timeSteps, operators,
+ *                            randomInitialState, seed, boundary, boundaryPaulis, trackPhase,
+ *                            phaseCorrection, noise, historyLimit, ruleRegions}; historyLimit is
+ *                            null to keep the whole history, ruleRegions are {from, to, brush}
+ * @returns {Object} - Session object, ready for JSON.stringify
+ */
+export function createSession(settings) {
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        preset: settings.preset,
+        modulus: settings.modulus,
+        ruleSequence: settings.ruleSequence,
+        latticeSize: settings.latticeSize,
+        timeSteps: settings.timeSteps,
+        operators: settings.operators.map(({ type, position }) => ({ type, position })),
+        randomInitialState: settings.randomInitialState,
+        seed: settings.seed,
+        boundary: settings.boundary,
+        boundaryPaulis: { left: settings.boundaryPaulis.left, right: settings.boundaryPaulis.right },
+        trackPhase: settings.trackPhase,
+        phaseCorrection: settings.phaseCorrection,
+        noise: { x: settings.noise.x, y: settings.noise.y, z: settings.noise.z },
+        historyLimit: settings.historyLimit,
+        ruleRegions: settings.ruleRegions.map(({ from, to, brush }) => ({ from, to, brush }))
+    };
+}
+
+/**
+ * Read and validate a session file
+ * Every problem found is reported, each with the field it concerns.
+ *
+ * @param {string} text - Contents of the file
+ * @returns {Object} - Settings in the form taken by createSession
+ */
+export function parseSession(text) {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON (${error.message})`);
+    }
+    if (!session || typeof session !== 'object' || session.format !== SESSION_FORMAT) {
+        throw new Error(`The file is not a session file (expected "format": "${SESSION_FORMAT}")`);
+    }
+    if (!Number.isInteger(session.version) || session.version < 1) {
+        throw new Error(`Invalid session version ${JSON.stringify(session.version)}`);
+    }
+    if (session.version > SESSION_VERSION) {
+        throw new Error(`The session was saved with schema version ${session.version}, but this simulator reads up to version ${SESSION_VERSION}`);
+    }
+
+    const errors = [];
+    const check = (condition, field, message) => {
+        if (!condition) errors.push(`${field}: ${message}`);
+        return condition;
+    };
+    const isCount = value => Number.isInteger(value) && value > 0;
+    const isProbability = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+    const { modulus, ruleSequence, latticeSize, operators, boundaryPaulis, noise, phaseCorrection, ruleRegions } = session;
+    check(session.preset === undefined || (typeof session.preset === 'string' && PRESETS[session.preset] !== undefined), 'preset',
+        `unknown preset ${JSON.stringify(session.preset)}`);
+    const validModulus = check(isPrime(modulus), 'modulus', `local dimension must be a prime, got ${JSON.stringify(modulus)}`);
+    check(isCount(latticeSize), 'latticeSize', `must be a positive integer, got ${JSON.stringify(latticeSize)}`);
+    check(isCount(session.timeSteps), 'timeSteps', `must be a positive integer, got ${JSON.stringify(session.timeSteps)}`);
+    check(typeof session.randomInitialState === 'boolean', 'randomInitialState', 'must be true or false');
+    check(Number.isInteger(session.seed) && session.seed >= 0 && session.seed < 2 ** 32, 'seed',
+        `must be an unsigned 32-bit integer, got ${JSON.stringify(session.seed)}`);
+    check(BOUNDARIES.includes(session.boundary), 'boundary',
+        `must be one of ${BOUNDARIES.join(', ')}, got ${JSON.stringify(session.boundary)}`);
+    check(typeof session.trackPhase === 'boolean', 'trackPhase', 'must be true or false');
+    check(Array.isArray(phaseCorrection) && phaseCorrection.length === 2 && phaseCorrection.every(bit => bit === 0 || bit === 1),
+        'phaseCorrection', 'must be two bits [c_X, c_Z]');
+    check(session.historyLimit === null || isCount(session.historyLimit), 'historyLimit',
+        'must be a positive integer, or null to keep the whole history');
+    if (check(noise && typeof noise === 'object', 'noise', 'must be an object {x, y, z}')) {
+        const valid = ['x', 'y', 'z'].every(key => check(isProbability(noise[key]), `noise.${key}`,
+            `must be a probability, got ${JSON.stringify(noise[key])}`));
+        if (valid) check(noise.x + noise.y + noise.z <= 1, 'noise', 'probabilities must sum to at most 1');
+    }
+
+    // Rules: integer entries mod p, with the same number of qubits per cell throughout
+    let cellQubits = null;
+    if (check(Array.isArray(ruleSequence) && ruleSequence.length > 0, 'ruleSequence', 'must be a non-empty list of rule matrices')) {
+        ruleSequence.forEach((matrix, k) => {
+            const field = `ruleSequence[${k}]`;
+            if (!check(Array.isArray(matrix) && matrix.every(Array.isArray), field, 'must be a list of rows')) return;
+            try {
+                getRuleRadius(matrix);
+            } catch (error) {
+                check(false, field, error.message);
+                return;
+            }
+            if (validModulus) {
+                check(matrix.every(row => row.every(entry => Number.isInteger(entry) && entry >= 0 && entry < modulus)),
+                    field, `entries must be integers from 0 to ${modulus - 1}`);
+            }
+            const qubits = getCellQubits(matrix);
+            if (cellQubits === null) cellQubits = qubits;
+            check(qubits === cellQubits, field, `has ${qubits} qubits per cell, but the first rule has ${cellQubits}`);
+        });
+    }
+
+    // Cell labels can only be read once the cell size and local dimension are known
+    const checkLabel = (label, field) => {
+        if (!check(typeof label === 'string', field, 'must be a Pauli label') || cellQubits === null || !validModulus) return;
+        try {
+            parseCellLabel(label, cellQubits, modulus);
+        } catch (error) {
+            check(false, field, error.message);
+        }
+    };
+    if (check(boundaryPaulis && typeof boundaryPaulis === 'object', 'boundaryPaulis', 'must be an object {left, right}')) {
+        checkLabel(boundaryPaulis.left, 'boundaryPaulis.left');
+        checkLabel(boundaryPaulis.right, 'boundaryPaulis.right');
+    }
+    if (check(Array.isArray(operators), 'operators', 'must be a list of {type, position}')) {
+        const positions = new Set();
+        operators.forEach((op, i) => {
+            const field = `operators[${i}]`;
+            if (!check(op && typeof op === 'object', field, 'must be an object {type, position}')) return;
+            checkLabel(op.type, `${field}.type`);
+            if (check(Number.isInteger(op.position) && op.position >= 0 && (!isCount(latticeSize) || op.position < latticeSize),
+                `${field}.position`, `must be a site from 0 to ${isCount(latticeSize) ? latticeSize - 1 : 'latticeSize - 1'}`)) {
+                check(!positions.has(op.position), `${field}.position`, `site ${op.position} already holds an operator`);
+                positions.add(op.position);
+            }
+        });
+    }
+    if (check(Array.isArray(ruleRegions), 'ruleRegions', 'must be a list of {from, to, brush}')) {
+        ruleRegions.forEach((region, i) => {
+            const field = `ruleRegions[${i}]`;
+            if (!check(region && typeof region === 'object', field, 'must be an object {from, to, brush}')) return;
+            check(typeof region.brush === 'string', `${field}.brush`, 'must be the name of a rule');
+            check(Number.isInteger(region.from) && Number.isInteger(region.to) && region.from >= 0 && region.from <= region.to &&
+                (!isCount(latticeSize) || region.to < latticeSize), field, `invalid interval ${region.from}..${region.to}`);
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid session file:\n${errors.map(error => `- ${error}`).join('\n')}`);
+    }
+    return {
+        preset: session.preset,
+        modulus,
+        ruleSequence,
+        latticeSize,
+        timeSteps: session.timeSteps,
+        operators: operators.map(({ type, position }) => ({ type, position })),
+        randomInitialState: session.randomInitialState,
+        seed: session.seed,
+        boundary: session.boundary,
+        boundaryPaulis: { left: boundaryPaulis.left, right: boundaryPaulis.right },
+        trackPhase: session.trackPhase,
+        phaseCorrection,
+        noise: { x: noise.x, y: noise.y, z: noise.z },
+        historyLimit: session.historyLimit,
+        ruleRegions: ruleRegions.map(({ from, to, brush }) => ({ from, to, brush }))
+    };
+}
@@ -0,0 +1,126 @@
+/**
+ * Construction of a configured automaton from the simulation parameters
+ *
+ * The parameters are those collected by SimulationControls. The same function
+ * sets up the automaton on the main thread and inside the simulation worker,
+ * so both build identical runs.
+ */
+import { CliffordQCA, PRESETS, DEFAULT_RULE_MATRIX, getCellQubits, presetRuleSequence } from './automaton.js';
+import { pauliStringToF2, parseCellLabel, identityCell } from './clifford.js';
+
+/**
+ * Create a CliffordQCA with the rule, boundary, noise and initial state of a run
+ *
+ * @param {Object} simulationParams - Parameters of the run (see SimulationControls)
+ * @param {Array} ruleMatrix - Rule matrix used when the parameters give no rule sequence
+ * @returns {CliffordQCA} - Automaton holding the initial state
+ */
+export function createSimulation(simulationParams, ruleMatrix = DEFAULT_RULE_MATRIX) {
+    const { 
+        latticeSize, 
+        initialStateType, 
+        initialPosition, 
+        customPauliString,
+        selectedPreset,
+        isNewPresetSelection,
+        modulus = 2,
+        boundary = 'periodic',
+        boundaryPaulis = { left: 'I', right: 'I' },
+        trackPhase = false,
+        phaseCorrection = [0, 0],
+        noise = {},
+        seed,
+        historyLimit = Infinity,
+        ruleSequence = [ruleMatrix],
+        ruleOverrides = []
+    } = simulationParams;
+    
+    // Create new QCA with updated size, local dimension, boundary conditions, rule sequence, rule regions, phase tracking, noise, random seed and history window
+    const cellQubits = getCellQubits(ruleSequence[0]);
+    const newQca = new CliffordQCA(latticeSize, ruleSequence[0], {
+        modulus,
+        ruleSequence,
+        ruleOverrides,
+        boundary,
+        boundaryPaulis: {
+            left: parseCellLabel(boundaryPaulis.left, cellQubits, modulus),
+            right: parseCellLabel(boundaryPaulis.right, cellQubits, modulus)
+        },
+        trackPhase,
+        phaseCorrection,
+        noise,
+        seed,
+        historyLimit
+    });
+    
+    // If a preset is selected, apply it
+    if (selectedPreset) {
+        // Handle the case where "Custom" might still be in state but was renamed to "Periodic"
+        const presetName = selectedPreset === 'Custom' ? 'Periodic' : selectedPreset;
+        
+        // Use the rule sequence provided by the UI (allows user modifications to persist)
+        // Only set the rule sequence from the preset if we're changing presets
+        if (isNewPresetSelection) {
+            newQca.setRuleSequence(presetRuleSequence(PRESETS[presetName]));
+        } else {
+            // Use the user-modified rule sequence from the UI
+            newQca.setRuleSequence(ruleSequence);
+        }
+        
+        // Only apply the preset's initial state if not using a custom state
+        if (presetName !== 'Periodic' && initialStateType !== 'custom' && initialStateType !== 'random') {
+            // For non-Periodic presets, apply the preset's initial state
+            const preset = PRESETS[presetName];
+            const centerOffset = Math.floor(latticeSize / 2) - 250;
+            
+            // Initialize with identity operators
+            const newState = Array(latticeSize).fill().map(() => identityCell(newQca.cellQubits));
+            
+            // Place the operators according to the preset
+            preset.initialState.operators.forEach(op => {
+                const adjustedPosition = op.position + centerOffset;
+                const position = (adjustedPosition + latticeSize) % latticeSize;
+                
+                newState[position] = parseCellLabel(op.type, newQca.cellQubits, modulus);
+            });
+            
+            // Set the state
+            newQca.setState(newState);
+        } else {
+            // Set initial state based on type
+            if (initialStateType === 'single-x') {
+                newQca.setSingleX(initialPosition);
+            } else if (initialStateType === 'random') {
+                newQca.setRandomState();
+            } else if (initialStateType === 'custom') {
+                try {
+                    if (customPauliString === 'OPERATORS') {
+                        // Extract operators from the UI
+                        const operators = simulationParams.operators || [];
+                        newQca.setMultipleOperators(operators);
+                    } else {
+                        // Validate and pad/truncate custom string as needed
+                        let pauliArray;
+                        if (customPauliString.length === latticeSize) {
+                            pauliArray = pauliStringToF2(customPauliString);
+                        } else if (customPauliString.length < latticeSize) {
+                            // Pad with 'I' if too short
+                            const paddedString = customPauliString.padEnd(latticeSize, 'I');
+                            pauliArray = pauliStringToF2(paddedString);
+                        } else {
+                            // Truncate if too long
+                            const truncatedString = customPauliString.substring(0, latticeSize);
+                            pauliArray = pauliStringToF2(truncatedString);
+                        }
+                        newQca.setState(pauliArray);
+                    }
+                } catch (error) {
+                    console.error('Invalid Pauli string:', error);
+                    newQca.reset(); // Reset to all identity if invalid
+                }
+            }
+        }
+    }
+    
+    return newQca;
+}
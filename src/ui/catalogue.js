@@ -0,0 +1,112 @@
+/**
+ * Browsable catalogue of all valid nearest-neighbour Clifford QCAs
+ *
+ * Lists the rules of analysis/ruleCatalogue.js grouped by their invariants,
+ * each with a thumbnail of the spacetime diagram grown from a single X.
+ */
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { CliffordQCA } from '../simulation/automaton.js';
+import { catalogueRules, groupByInvariants } from '../analysis/ruleCatalogue.js';
+import { renderThumbnail } from '../visualization/spacetime.js';
+
+// Lattice and number of steps of the thumbnail runs
+const THUMBNAIL_SIZE = 41;
+const THUMBNAIL_STEPS = 20;
+
+/**
+ * Thumbnail spacetime diagram of a rule, started from a single X in the middle
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.ruleMatrix - 2×6 rule matrix
+ */
+function RuleThumbnail({ ruleMatrix }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const qca = new CliffordQCA(THUMBNAIL_SIZE, ruleMatrix);
+        qca.setSingleX(Math.floor(THUMBNAIL_SIZE / 2));
+        qca.run(THUMBNAIL_STEPS);
+        renderThumbnail(canvasRef.current, qca.getHistory(), 2);
+    }, [ruleMatrix]);
+
+    return <canvas ref={canvasRef} style={{ display: 'block', border: '1px solid #ddd' }} />;
+}
+
+/**
+ * Format the shift of a group of rules
+ *
+ * @param {number} shift - Displacement per step (sites to the right)
+ * @returns {string} - Description of the shift
+ */
+function shiftLabel(shift) {
+    if (shift === 0) return 'no shift';
+    return `shift ${shift > 0 ? '+' : ''}${shift}`;
+}
+
+/**
+ * Rule catalogue component
+ *
+ * @param {Object} props - Component properties
+ * @param {Function} props.onSelectRule - Callback with the 2×6 rule matrix of the chosen rule
+ * @param {boolean} props.disabled - Whether choosing a rule is disabled
+ */
+export function RuleCatalogue({ onSelectRule, disabled }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [shiftFilter, setShiftFilter] = useState('all');
+
+    // The catalogue is enumerated the first time it is opened
+    const groups = useMemo(() => (isOpen ? groupByInvariants(catalogueRules()) : []), [isOpen]);
+    const shifts = [...new Set(groups.map(group => group.shift))];
+    const shown = groups.filter(group => shiftFilter === 'all' || group.shift === Number(shiftFilter));
+
+    return (
+        <div style={{ marginTop: '10px' }}>
+            <button type="button" onClick={() => setIsOpen(!isOpen)} style={{ padding: '2px 8px' }}>
+                {isOpen ? 'Hide rule catalogue' : 'Browse all nearest-neighbour rules'}
+            </button>
+            {isOpen && (
+                <div style={{ marginTop: '5px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.85rem' }}>
+                        <span>{catalogueRules().length} of 4096 rule matrices are valid Clifford QCAs</span>
+                        <select value={shiftFilter} onChange={(e) => setShiftFilter(e.target.value)}>
+                            <option value="all">All shifts</option>
+                            {shifts.map(shift => (
+                                <option key={shift} value={shift}>{shiftLabel(shift)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem', marginTop: '5px' }}>
+                        <tbody>
+                            {shown.map(group => (
+                                <tr key={`${group.determinant}|${group.trace}`} style={{ borderTop: '1px solid #ddd' }}>
+                                    <td style={{ verticalAlign: 'top', padding: '4px', whiteSpace: 'nowrap' }}>
+                                        <div>det = {group.determinant}</div>
+                                        <div>tr = {group.trace}</div>
+                                        <div>{shiftLabel(group.shift)}</div>
+                                    </td>
+                                    <td style={{ padding: '4px' }}>
+                                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                                            {group.rules.map(rule => (
+                                                <button
+                                                    key={rule.code}
+                                                    type="button"
+                                                    onClick={() => onSelectRule(rule.ruleMatrix)}
+                                                    disabled={disabled}
+                                                    title={`Rule ${rule.code}: [${rule.ruleMatrix.map(row => row.join('')).join(' / ')}]`}
+                                                    style={{ padding: '2px', background: 'none' }}
+                                                >
+                                                    <RuleThumbnail ruleMatrix={rule.ruleMatrix} />
+                                                    <div>{rule.preset ? `${rule.code} (${rule.preset})` : rule.code}</div>
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -4,8 +4,133 @@
  * This module provides React components for controlling the simulation
  * parameters and running the automaton.
  */
-import React, { useState, useEffect } from 'react';
-import { DEFAULT_RULE_MATRIX, PRESETS } from '../simulation/automaton.js';
+import React, { useState, useEffect, useRef } from 'react';
+import { 
+    DEFAULT_RULE_MATRIX, 
+    PRESETS, 
+    getRuleRadius, 
+    getCellQubits, 
+    resizeRuleMatrix, 
+    resizeCellQubits, 
+    presetRuleSequence,
+    loadableRuleMatrix
+} from '../simulation/automaton.js';
+import {
+    composeRules,
+    rulePower,
+    inverseRuleMatrix,
+    ruleSequenceToLaurent,
+    laurentToRuleMatrix,
+    isIdentityMatrix
+} from '../analysis/laurentPolynomial.js';
+import { allPaulis, getPauliLabel, getCellLabel, parseCellLabel, CELL_SEPARATOR } from '../simulation/clifford.js';
+import { randomSeed } from '../simulation/random.js';
+import { randomRuleMatrix } from '../analysis/randomRule.js';
+import { CIRCUIT_FORMATS } from '../analysis/circuitExport.js';
+import { createSession, parseSession } from '../simulation/session.js';
+import { downloadTextFile } from './download.js';
+import { RuleCatalogue } from './catalogue.js';
+
+// Prime local dimensions offered in the UI
+const MODULI = [2, 3, 5, 7];
+
+/**
+ * Labels of the non-identity Pauli operators for a local dimension
+ * 
+ * @param {number} modulus - Prime local dimension p
+ * @returns {Array} - Pauli labels (X, Y, Z for qubits)
+ */
+function pauliOptions(modulus) {
+    if (modulus === 2) return ['X', 'Y', 'Z'];
+    return allPaulis(modulus).slice(1).map(pauli => getPauliLabel(pauli, modulus));
+}
+
+/**
+ * Labels offered for the cells beyond a fixed boundary
+ * (the same Pauli on every qubit of a multi-qubit cell)
+ * 
+ * @param {number} modulus - Prime local dimension p
+ * @param {number} cellQubits - Number of qubits per cell
+ * @returns {Array} - Cell labels, identity first
+ */
+function boundaryOptions(modulus, cellQubits) {
+    return ['I', ...pauliOptions(modulus)].map(label => Array(cellQubits).fill(label).join(CELL_SEPARATOR));
+}
+
+/**
+ * Adapt a cell label to a new number of qubits per cell
+ * The first qubit keeps its Pauli and any added qubits start as identity
+ * 
+ * @param {string} label - Cell label such as "X⊗Z"
+ * @param {number} cellQubits - New number of qubits per cell
+ * @returns {string} - Cell label with cellQubits parts
+ */
+function resizeCellLabel(label, cellQubits) {
+    const first = label.split(CELL_SEPARATOR)[0];
+    return [first, ...Array(cellQubits - 1).fill('I')].join(CELL_SEPARATOR);
+}
+
+/**
+ * Write a number with Unicode subscript digits (for F_p)
+ * 
+ * @param {number} n - Number to format
+ * @returns {string} - Subscript string
+ */
+function subscript(n) {
+    return String(n).replace(/\d/g, d => '₀₁₂₃₄₅₆₇₈₉'[d]);
+}
+
+// Brush that freezes the painted sites (identity rule)
+const IDENTITY_BRUSH = 'Identity (frozen)';
+
+// Colours of the painted rule regions, by brush
+const REGION_COLORS = ['#f59e0b', '#10b981', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
+
+/**
+ * Rules available for painting impurities and domains onto the lattice:
+ * the identity plus every single-rule preset with the same cell size and p
+ * 
+ * @param {number} modulus - Prime local dimension p
+ * @param {number} cellQubits - Number of qubits per cell
+ * @returns {Object} - Map from brush name to rule matrix
+ */
+function brushRules(modulus, cellQubits) {
+    const dim = 2 * cellQubits;
+    const rules = {
+        [IDENTITY_BRUSH]: Array.from({ length: dim }, (_, i) => Array.from({ length: dim }, (_, j) => (i === j ? 1 : 0)))
+    };
+    Object.entries(PRESETS).forEach(([name, preset]) => {
+        if (!preset.ruleSequence && (preset.modulus || 2) === modulus && getCellQubits(preset.ruleMatrix) === cellQubits) {
+            rules[name] = preset.ruleMatrix;
+        }
+    });
+    return rules;
+}
+
+// Composition partner standing for the inverse of the rule being edited
+const INVERSE_PARTNER = 'Inverse (M⁻¹)';
+
+/**
+ * Turn the painted brush of every site into rule overrides {from, to, ruleMatrix, name}
+ * (one per run of equal brushes)
+ * 
+ * @param {Array} siteBrushes - Brush name per site, null for the default rule
+ * @param {Object} rules - Map from brush name to rule matrix
+ * @returns {Array} - Rule overrides for CliffordQCA
+ */
+function overridesFromSites(siteBrushes, rules) {
+    const overrides = [];
+    siteBrushes.forEach((name, i) => {
+        if (!name || !rules[name]) return;
+        const last = overrides[overrides.length - 1];
+        if (last && last.name === name && last.to === i - 1) {
+            last.to = i;
+        } else {
+            overrides.push({ from: i, to: i, ruleMatrix: rules[name], name });
+        }
+    });
+    return overrides;
+}
 
 /**
  * Simulation controls component
@@ -17,6 +142,7 @@ import { DEFAULT_RULE_MATRIX, PRESETS } from '../simulation/automaton.js';
  * @param {Function} props.onAnalysisUpdate - Callback when analysis is updated
  * @param {boolean} props.isRunning - Indicates whether the simulation is running
  * @param {boolean} props.isDisabled - Indicates whether controls should be disabled
+ * @param {string} props.runError - Why the last simulation could not be set up, or null
  * @param {number} props.defaultSize - Default lattice size
  * @param {number} props.defaultSteps - Default number of time steps
  */
@@ -27,6 +153,7 @@ export function SimulationControls({
     onAnalysisUpdate,
     isRunning,
     isDisabled,
+    runError = null,
     defaultSize = 100, 
     defaultSteps = 50 
 }) {
@@ -40,10 +167,61 @@ export function SimulationControls({
     const defaultPreset = PRESETS['Fractal'];
     
     // Make a deep copy of the default rule matrix to ensure it's correctly initialized
-    const [ruleMatrix, setRuleMatrix] = useState(
-        defaultPreset.ruleMatrix.map(row => [...row])
+    // Time-periodic drives apply the rules of the sequence in turn, one per step
+    const [ruleSequence, setRuleSequence] = useState(
+        presetRuleSequence(defaultPreset).map(matrix => matrix.map(row => [...row]))
     );
     
+    // Rule of the sequence shown in the rule matrix editor
+    const [activeRule, setActiveRule] = useState(0);
+    const ruleMatrix = ruleSequence[activeRule];
+    
+    // Prime local dimension p of each cell (2 for qubits)
+    const [modulus, setModulus] = useState(defaultPreset.modulus || 2);
+    
+    // Number of qubits per cell, given by the 2n×2n(2r+1) rule matrix
+    const cellQubits = getCellQubits(ruleMatrix);
+    
+    // Boundary conditions and the boundary Paulis used in fixed mode
+    const [boundary, setBoundary] = useState('periodic');
+    const [boundaryPaulis, setBoundaryPaulis] = useState({ left: 'I', right: 'I' });
+    
+    // Phase tracking with the per-site phase correction [c_X, c_Z] of the rule
+    const [trackPhase, setTrackPhase] = useState(false);
+    const [phaseCorrection, setPhaseCorrection] = useState(defaultPreset.phaseCorrection || [0, 0]);
+    
+    // Number of most recent states kept for the spacetime diagram ('' keeps all)
+    const [historyLimit, setHistoryLimit] = useState('');
+    
+    // Probabilities of X, Y and Z errors per qubit after every step
+    const [noise, setNoise] = useState({ x: 0, y: 0, z: 0 });
+    
+    // Seed of the random initial state and the noise, so a random run can be repeated
+    const [seed, setSeed] = useState(() => randomSeed());
+    const [randomInitialState, setRandomInitialState] = useState(false);
+    
+    // Outcome of the last session load, and the hidden file picker behind the load button
+    const [sessionMessage, setSessionMessage] = useState(null); // {text} or {error}
+    const sessionFileRef = useRef(null);
+    
+    // Painted rule regions: brush name per site, null where the default rule applies
+    const [siteBrushes, setSiteBrushes] = useState(() => Array(defaultSize).fill(null));
+    const ruleOverrides = overridesFromSites(siteBrushes, brushRules(modulus, cellQubits));
+    
+    // Phase tracking needs a single-qubit, translation-invariant Clifford step
+    // (non-identity Paulis beyond a fixed boundary make the step affine)
+    const boundarySources = boundary === 'fixed' &&
+        [boundaryPaulis.left, boundaryPaulis.right].some(label => label.split(CELL_SEPARATOR).some(part => part !== 'I'));
+    let phaseTrackingNote = '';
+    if (modulus !== 2 || cellQubits !== 1) {
+        phaseTrackingNote = ' (single qubits only)';
+    } else if (ruleOverrides.length > 0) {
+        phaseTrackingNote = ' (translation-invariant rules only)';
+    } else if (boundarySources) {
+        phaseTrackingNote = ' (identity boundary Paulis only)';
+    }
+    const phaseTrackable = phaseTrackingNote === '';
+    
     // For multiple operators
     const [operators, setOperators] = useState(
         defaultPreset.initialState.operators.map(op => ({...op}))
@@ -61,9 +239,23 @@ export function SimulationControls({
             const newOperators = [...preset.initialState.operators];
             setOperators(newOperators);
             
-            // Update rule matrix based on preset
-            const newRuleMatrix = preset.ruleMatrix.map(row => [...row]);
-            setRuleMatrix(newRuleMatrix);
+            // Update rule matrix (or rule sequence) based on preset
+            const newSequence = presetRuleSequence(preset).map(matrix => matrix.map(row => [...row]));
+            const newRuleMatrix = newSequence[0];
+            setRuleSequence(newSequence);
+            setActiveRule(0);
+            setPhaseCorrection(preset.phaseCorrection ? [...preset.phaseCorrection] : [0, 0]);
+            
+            // Presets may be defined for qudits or for cells of several qubits
+            const presetModulus = preset.modulus || 2;
+            const presetQubits = getCellQubits(newRuleMatrix);
+            if (presetModulus !== modulus || presetQubits !== cellQubits) {
+                setModulus(presetModulus);
+                const identity = resizeCellLabel('I', presetQubits);
+                setBoundaryPaulis({ left: identity, right: identity });
+                setSiteBrushes(Array(latticeSize).fill(null));
+                if (presetModulus !== 2 || presetQubits !== 1) setTrackPhase(false);
+            }
             
             // Mark that we've just selected a new preset (will be reset after next run)
             setIsNewPresetSelection(true);
@@ -74,8 +266,11 @@ export function SimulationControls({
                 setTimeout(() => {
                     onAnalysisUpdate({
                         ruleMatrix: newRuleMatrix,
+                        ruleSequence: newSequence,
+                        ruleOverrides: presetModulus !== modulus || presetQubits !== cellQubits ? [] : ruleOverrides,
                         operators: newOperators,
-                        latticeSize
+                        latticeSize,
+                        modulus: preset.modulus || 2
                     });
                 }, 0);
             }
@@ -112,7 +307,7 @@ export function SimulationControls({
         if (operators.length >= latticeSize) return; // Can't add more operators than lattice size
         
         const nextPosition = findNextPosition();
-        const newOperators = [...operators, { type: 'X', position: nextPosition }];
+        const newOperators = [...operators, { type: resizeCellLabel('X', cellQubits), position: nextPosition }];
         setOperators(newOperators);
         
         // Call onAnalysisUpdate to update the analysis panel
@@ -198,11 +393,21 @@ export function SimulationControls({
             onRunSimulation({
                 latticeSize: parseInt(latticeSize) || 100,
                 timeSteps: parseInt(timeSteps) || 50,
-                initialStateType: 'custom',
+                initialStateType: randomInitialState ? 'random' : 'custom',
                 customPauliString: customString,
                 selectedPreset: selectedPreset,
-                ruleMatrix: ruleMatrix,
+                ruleMatrix: ruleSequence[0],
+                ruleSequence,
                 operators: operators, // Pass the operators directly
+                modulus,
+                boundary,
+                boundaryPaulis,
+                trackPhase: trackPhase && phaseTrackable,
+                ruleOverrides,
+                phaseCorrection,
+                noise,
+                seed,
+                historyLimit: parseInt(historyLimit, 10) > 0 ? parseInt(historyLimit, 10) : Infinity,
                 isNewPresetSelection: isNewPresetSelection // Let app know if we just changed presets
             });
             
@@ -239,12 +444,17 @@ export function SimulationControls({
             
             setOperators(newOperators);
             
+            // Keep the painted rule regions that still fit on the lattice
+            const newBrushes = Array.from({ length: parsedValue }, (_, i) => siteBrushes[i] || null);
+            setSiteBrushes(newBrushes);
+            
             // Call onAnalysisUpdate to update the analysis panel
             if (onAnalysisUpdate) {
                 // Use setTimeout to break potential cyclic dependencies
                 setTimeout(() => {
                     onAnalysisUpdate({
                         ruleMatrix,
+                        ruleOverrides: overridesFromSites(newBrushes, brushRules(modulus, cellQubits)),
                         operators: newOperators,
                         latticeSize: parsedValue
                     });
@@ -265,16 +475,128 @@ export function SimulationControls({
         }
     };
     
+    const handleModulusChange = (value) => {
+        const newModulus = parseInt(value, 10);
+        setModulus(newModulus);
+        
+        // Reduce the rule matrices and relabel the operators in the new local dimension
+        const newSequence = ruleSequence.map(matrix => matrix.map(row => row.map(entry => entry % newModulus)));
+        const newMatrix = newSequence[activeRule];
+        setRuleSequence(newSequence);
+        const newOperators = operators.map(op => ({
+            ...op,
+            type: getCellLabel(parseCellLabel(op.type, cellQubits, newModulus), newModulus)
+        }));
+        setOperators(newOperators);
+        const identity = resizeCellLabel('I', cellQubits);
+        setBoundaryPaulis({ left: identity, right: identity });
+        if (newModulus !== 2) setTrackPhase(false);
+        setSiteBrushes(Array(latticeSize).fill(null));
+        
+        // Call onAnalysisUpdate to update the analysis panel
+        if (onAnalysisUpdate) {
+            // Use setTimeout to break potential cyclic dependencies
+            setTimeout(() => {
+                onAnalysisUpdate({
+                    ruleMatrix: newMatrix,
+                    ruleSequence: newSequence,
+                    ruleOverrides: [],
+                    operators: newOperators,
+                    latticeSize,
+                    modulus: newModulus
+                });
+            }, 0);
+        }
+    };
+    
+    const handleBoundaryChange = (value) => {
+        setBoundary(value);
+        
+        // Call onAnalysisUpdate to update the analysis panel
+        if (onAnalysisUpdate) {
+            // Use setTimeout to break potential cyclic dependencies
+            setTimeout(() => {
+                onAnalysisUpdate({
+                    ruleMatrix,
+                    operators,
+                    latticeSize,
+                    boundary: value
+                });
+            }, 0);
+        }
+    };
+    
+    const handleBoundaryPauliChange = (side, value) => {
+        setBoundaryPaulis(prev => ({ ...prev, [side]: value }));
+    };
+    
+    const handlePhaseCorrectionChange = (index, value) => {
+        const newCorrection = [...phaseCorrection];
+        newCorrection[index] = value;
+        setPhaseCorrection(newCorrection);
+    };
+    
+    const handleNoiseChange = (key, value) => {
+        // Keep the total error probability at most 1
+        const others = Object.entries(noise).reduce((sum, [k, p]) => (k === key ? sum : sum + p), 0);
+        const parsed = parseFloat(value);
+        const p = Math.min(Math.max(isNaN(parsed) ? 0 : parsed, 0), 1 - others);
+        setNoise(prev => ({ ...prev, [key]: p }));
+    };
+    
+    const handleSeedChange = (value) => {
+        const parsed = parseInt(value, 10);
+        if (!isNaN(parsed) && parsed >= 0) setSeed(parsed >>> 0);
+    };
+    
     const handleRuleMatrixChange = (newMatrix) => {
-        setRuleMatrix(newMatrix.map(row => [...row]));
+        // Edit the active rule; the other rules of a sequence follow a change of cell size
+        const newQubits = getCellQubits(newMatrix);
+        const newSequence = ruleSequence.map((matrix, index) => {
+            if (index === activeRule) return newMatrix.map(row => [...row]);
+            return newQubits !== cellQubits ? resizeCellQubits(matrix, newQubits) : matrix;
+        });
+        setRuleSequence(newSequence);
         // Do not automatically switch presets when rule matrix changes
         
+        // Adapt operators and boundary Paulis when the number of qubits per cell changes
+        let newOperators = operators;
+        if (newQubits !== cellQubits) {
+            newOperators = operators.map(op => ({ ...op, type: resizeCellLabel(op.type, newQubits) }));
+            setOperators(newOperators);
+            const identity = resizeCellLabel('I', newQubits);
+            setBoundaryPaulis({ left: identity, right: identity });
+            setSiteBrushes(Array(latticeSize).fill(null));
+            if (newQubits !== 1) setTrackPhase(false);
+        }
+        
         // Call onAnalysisUpdate to update the analysis panel
         if (onAnalysisUpdate) {
             // Use setTimeout to break potential cyclic dependencies
             setTimeout(() => {
                 onAnalysisUpdate({
                     ruleMatrix: newMatrix,
+                    ruleSequence: newSequence,
+                    ruleOverrides: newQubits !== cellQubits ? [] : ruleOverrides,
+                    operators: newOperators,
+                    latticeSize
+                });
+            }, 0);
+        }
+    };
+    
+    // Change the length of the rule sequence (the period of the drive)
+    const updateRuleSequence = (newSequence, newActiveRule) => {
+        setRuleSequence(newSequence);
+        setActiveRule(newActiveRule);
+        
+        // Call onAnalysisUpdate to update the analysis panel
+        if (onAnalysisUpdate) {
+            // Use setTimeout to break potential cyclic dependencies
+            setTimeout(() => {
+                onAnalysisUpdate({
+                    ruleMatrix: newSequence[newActiveRule],
+                    ruleSequence: newSequence,
                     operators,
                     latticeSize
                 });
@@ -282,6 +604,127 @@ export function SimulationControls({
         }
     };
     
+    const handleSiteBrushesChange = (newBrushes) => {
+        setSiteBrushes(newBrushes);
+        if (newBrushes.some(Boolean)) setTrackPhase(false);
+        
+        // Call onAnalysisUpdate to update the analysis panel
+        if (onAnalysisUpdate) {
+            // Use setTimeout to break potential cyclic dependencies
+            setTimeout(() => {
+                onAnalysisUpdate({
+                    ruleMatrix,
+                    ruleOverrides: overridesFromSites(newBrushes, brushRules(modulus, cellQubits)),
+                    operators,
+                    latticeSize
+                });
+            }, 0);
+        }
+    };
+    
+    const addRule = () => {
+        // Start the new step as a copy of the rule being edited
+        const newSequence = [...ruleSequence, ruleMatrix.map(row => [...row])];
+        updateRuleSequence(newSequence, newSequence.length - 1);
+    };
+    
+    const removeRule = () => {
+        if (ruleSequence.length <= 1) return;
+        const newSequence = ruleSequence.filter((_, index) => index !== activeRule);
+        updateRuleSequence(newSequence, Math.max(0, activeRule - 1));
+    };
+    
+    // Save all settings as a session file (see simulation/session.js)
+    // Fields left invalid in the form are reported instead of being replaced by defaults
+    const handleSaveSession = () => {
+        const count = value => (/^\d+$/.test(String(value).trim()) && parseInt(value, 10) > 0 ? parseInt(value, 10) : null);
+        const savedLatticeSize = count(latticeSize);
+        const savedTimeSteps = count(timeSteps);
+        const keepAll = String(historyLimit).trim() === '';
+        const savedHistoryLimit = keepAll ? null : count(historyLimit);
+        const errors = [];
+        if (savedLatticeSize === null) errors.push('latticeSize: the lattice size must be a positive integer');
+        if (savedTimeSteps === null) errors.push('timeSteps: the number of time steps must be a positive integer');
+        if (!keepAll && savedHistoryLimit === null) {
+            errors.push('historyLimit: the history window must be a positive integer, or empty to keep the whole history');
+        }
+        if (errors.length > 0) {
+            setSessionMessage({ error: `Cannot save the session:\n${errors.map(error => `- ${error}`).join('\n')}` });
+            return;
+        }
+        
+        const session = createSession({
+            preset: selectedPreset,
+            modulus,
+            ruleSequence,
+            latticeSize: savedLatticeSize,
+            timeSteps: savedTimeSteps,
+            operators,
+            randomInitialState,
+            seed,
+            boundary,
+            boundaryPaulis,
+            trackPhase,
+            phaseCorrection,
+            noise,
+            historyLimit: savedHistoryLimit,
+            ruleRegions: ruleOverrides.map(({ from, to, name }) => ({ from, to, brush: name }))
+        });
+        downloadTextFile('clifford-qca-session.json', JSON.stringify(session, null, 2), 'application/json');
+        setSessionMessage(null);
+    };
+    
+    // Replace all settings by those of a session file, reporting why a file is rejected
+    const handleLoadSession = (file) => {
+        file.text().then(text => {
+            const settings = parseSession(text);
+            
+            // The file may use a local dimension or painted rules this interface does not offer
+            if (!MODULI.includes(settings.modulus)) {
+                throw new Error(`Local dimension p = ${settings.modulus} is not offered here (choose from ${MODULI.join(', ')})`);
+            }
+            const newQubits = getCellQubits(settings.ruleSequence[0]);
+            const rules = brushRules(settings.modulus, newQubits);
+            const unknown = settings.ruleRegions.find(region => !rules[region.brush]);
+            if (unknown) {
+                throw new Error(`No rule region brush '${unknown.brush}' for cells of ${newQubits} qubit(s) with p = ${settings.modulus}`);
+            }
+            const newBrushes = Array(settings.latticeSize).fill(null);
+            settings.ruleRegions.forEach(({ from, to, brush }) => newBrushes.fill(brush, from, to + 1));
+            
+            setSelectedPreset(settings.preset || 'Periodic');
+            setIsNewPresetSelection(false);
+            setModulus(settings.modulus);
+            setRuleSequence(settings.ruleSequence);
+            setActiveRule(0);
+            setLatticeSize(settings.latticeSize);
+            setTimeSteps(settings.timeSteps);
+            setOperators(settings.operators);
+            setRandomInitialState(settings.randomInitialState);
+            setSeed(settings.seed);
+            setBoundary(settings.boundary);
+            setBoundaryPaulis(settings.boundaryPaulis);
+            setTrackPhase(settings.trackPhase);
+            setPhaseCorrection(settings.phaseCorrection);
+            setNoise(settings.noise);
+            setHistoryLimit(settings.historyLimit === null ? '' : String(settings.historyLimit));
+            setSiteBrushes(newBrushes);
+            setSessionMessage({ text: `Loaded ${file.name}` });
+            
+            if (onAnalysisUpdate) {
+                onAnalysisUpdate({
+                    ruleMatrix: settings.ruleSequence[0],
+                    ruleSequence: settings.ruleSequence,
+                    ruleOverrides: overridesFromSites(newBrushes, rules),
+                    operators: settings.operators,
+                    latticeSize: settings.latticeSize,
+                    boundary: settings.boundary,
+                    modulus: settings.modulus
+                });
+            }
+        }).catch(error => setSessionMessage({ error: error.message }));
+    };
+    
     // For UI, controls should be disabled if either simulation is running OR isDisabled is true
     const controlsDisabled = isRunning || isDisabled;
     
@@ -307,6 +750,36 @@ export function SimulationControls({
                     Reset
                 </button>
             </div>
+            {runError && (
+                <div style={{ color: '#c62828', fontSize: '0.85rem', marginBottom: '15px' }}>
+                    Could not set up the simulation: {runError}
+                </div>
+            )}
+            
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '15px', flexWrap: 'wrap' }}>
+                <button type="button" onClick={handleSaveSession}>
+                    Save session
+                </button>
+                <button type="button" onClick={() => sessionFileRef.current.click()} disabled={controlsDisabled}>
+                    Load session
+                </button>
+                <input
+                    ref={sessionFileRef}
+                    type="file"
+                    accept=".json,application/json"
+                    style={{ display: 'none' }}
+                    onChange={(e) => {
+                        const file = e.target.files[0];
+                        e.target.value = '';
+                        if (file) handleLoadSession(file);
+                    }}
+                />
+                {sessionMessage && (
+                    <span style={{ color: sessionMessage.error ? '#c62828' : '#555', fontSize: '0.85rem', whiteSpace: 'pre-line' }}>
+                        {sessionMessage.error || sessionMessage.text}
+                    </span>
+                )}
+            </div>
             
             <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
                 <div className="control-group" style={{ flex: 1 }}>
@@ -336,16 +809,233 @@ export function SimulationControls({
                 </div>
             </div>
             
+            <div className="control-group">
+                <label htmlFor="history-limit">History window (latest steps kept, empty for all):</label>
+                <input
+                    id="history-limit"
+                    type="number"
+                    min="1"
+                    placeholder="all"
+                    value={historyLimit}
+                    onChange={(e) => setHistoryLimit(e.target.value)}
+                    disabled={controlsDisabled}
+                />
+            </div>
+            
+            <div className="control-group">
+                <label htmlFor="modulus-select">Local dimension p:</label>
+                <select 
+                    id="modulus-select"
+                    value={modulus}
+                    onChange={(e) => handleModulusChange(e.target.value)}
+                    style={{ width: '100%', marginBottom: '10px' }}
+                    disabled={controlsDisabled}
+                >
+                    {MODULI.map(p => (
+                        <option key={p} value={p}>
+                            {p === 2 ? '2 (qubits)' : (p === 3 ? '3 (qutrits)' : p)}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            
+            <div className="control-group">
+                <label htmlFor="boundary-select">Boundary:</label>
+                <select 
+                    id="boundary-select"
+                    value={boundary}
+                    onChange={(e) => handleBoundaryChange(e.target.value)}
+                    style={{ width: '100%', marginBottom: '10px' }}
+                    disabled={controlsDisabled}
+                >
+                    <option value="periodic">Periodic (ring)</option>
+                    <option value="open">Open (identity beyond edges)</option>
+                    <option value="fixed">Fixed (boundary Paulis)</option>
+                </select>
+                {boundary === 'fixed' && (
+                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                        {['left', 'right'].map(side => (
+                            <div key={side} style={{ display: 'flex', alignItems: 'center', flex: 1 }}>
+                                <label htmlFor={`boundary-${side}`} style={{ marginRight: '10px' }}>
+                                    {side === 'left' ? 'Left:' : 'Right:'}
+                                </label>
+                                <select 
+                                    id={`boundary-${side}`}
+                                    value={boundaryPaulis[side]}
+                                    onChange={(e) => handleBoundaryPauliChange(side, e.target.value)}
+                                    disabled={controlsDisabled}
+                                >
+                                    {boundaryOptions(modulus, cellQubits).map(label => (
+                                        <option key={label} value={label}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+            
             <div className="control-group">
                 <div className={controlsDisabled ? 'disabled-container' : ''}>
                     <h3 style={{ textAlign: 'center', margin: '10px 0 10px' }}>Rule Matrices</h3>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '5px' }}>
+                        <label style={{ margin: 0 }}>Sequence (T = {ruleSequence.length}):</label>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '3px' }}>
+                            {ruleSequence.map((_, index) => (
+                                <button 
+                                    key={index}
+                                    type="button"
+                                    onClick={() => setActiveRule(index)}
+                                    disabled={controlsDisabled}
+                                    title={`Rule applied at steps t ≡ ${index} (mod ${ruleSequence.length})`}
+                                    style={{ 
+                                        padding: '2px 8px',
+                                        fontWeight: index === activeRule ? 'bold' : 'normal',
+                                        backgroundColor: index === activeRule ? '#e0e0e0' : undefined
+                                    }}
+                                >
+                                    M{subscript(index + 1)}
+                                </button>
+                            ))}
+                            <button 
+                                type="button" 
+                                onClick={addRule}
+                                disabled={controlsDisabled}
+                                style={{ padding: '2px 8px' }}
+                            >
+                                +
+                            </button>
+                            <button 
+                                type="button" 
+                                onClick={removeRule}
+                                disabled={ruleSequence.length <= 1 || controlsDisabled}
+                                style={{ padding: '2px 8px' }}
+                            >
+                                -
+                            </button>
+                        </div>
+                    </div>
                     <div style={{ marginTop: '5px' }}>
                         <RuleMatrixEditor 
                             ruleMatrix={ruleMatrix} 
+                            modulus={modulus}
                             onRuleMatrixChange={handleRuleMatrixChange}
                             disabled={controlsDisabled}
                         />
                     </div>
+                    <RuleComposer 
+                        ruleMatrix={ruleMatrix}
+                        modulus={modulus}
+                        latticeSize={latticeSize}
+                        onApply={handleRuleMatrixChange}
+                        disabled={controlsDisabled}
+                    />
+                    <RandomRuleControl 
+                        ruleMatrix={ruleMatrix}
+                        modulus={modulus}
+                        onGenerate={handleRuleMatrixChange}
+                        disabled={controlsDisabled}
+                    />
+                    {modulus === 2 && (
+                        <RuleCatalogue 
+                            onSelectRule={handleRuleMatrixChange}
+                            disabled={controlsDisabled}
+                        />
+                    )}
+                </div>
+            </div>
+            
+            <div className="control-group">
+                <div className={controlsDisabled ? 'disabled-container' : ''}>
+                    <RuleRegionPainter 
+                        siteBrushes={siteBrushes}
+                        rules={brushRules(modulus, cellQubits)}
+                        onChange={handleSiteBrushesChange}
+                        disabled={controlsDisabled}
+                    />
+                </div>
+            </div>
+            
+            <div className="control-group">
+                <label htmlFor="track-phase" style={{ display: 'flex', alignItems: 'center' }}>
+                    <input 
+                        id="track-phase"
+                        type="checkbox"
+                        checked={trackPhase}
+                        onChange={(e) => setTrackPhase(e.target.checked)}
+                        style={{ marginRight: '8px' }}
+                        disabled={controlsDisabled || !phaseTrackable}
+                    />
+                    Track Pauli phase{phaseTrackingNote}
+                </label>
+                {trackPhase && (
+                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                        {['X', 'Z'].map((label, index) => (
+                            <div key={label} style={{ display: 'flex', alignItems: 'center', flex: 1 }}>
+                                <label htmlFor={`phase-correction-${label}`} style={{ marginRight: '10px' }}>
+                                    Sign of {label} image:
+                                </label>
+                                <select 
+                                    id={`phase-correction-${label}`}
+                                    value={phaseCorrection[index]}
+                                    onChange={(e) => handlePhaseCorrectionChange(index, parseInt(e.target.value, 10))}
+                                    disabled={controlsDisabled}
+                                >
+                                    <option value={0}>+</option>
+                                    <option value={1}>−</option>
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+            
+            <div className="control-group">
+                <label style={{ display: 'block', marginBottom: '5px' }}>Pauli noise (probability per qubit and step):</label>
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                    {['x', 'y', 'z'].map(key => (
+                        <div key={key} style={{ display: 'flex', alignItems: 'center', flex: 1 }}>
+                            <label htmlFor={`noise-${key}`} style={{ marginRight: '5px' }}>
+                                p<sub>{key.toUpperCase()}</sub>:
+                            </label>
+                            <input 
+                                id={`noise-${key}`}
+                                type="number"
+                                min="0"
+                                max="1"
+                                step="0.001"
+                                value={noise[key]}
+                                onChange={(e) => handleNoiseChange(key, e.target.value)}
+                                style={{ width: '100%' }}
+                                disabled={controlsDisabled}
+                            />
+                        </div>
+                    ))}
+                </div>
+            </div>
+            
+            <div className="control-group">
+                <label htmlFor="random-seed">Random seed:</label>
+                <div style={{ display: 'flex', gap: '5px' }}>
+                    <input 
+                        id="random-seed"
+                        type="number"
+                        min="0"
+                        max="4294967295"
+                        value={seed}
+                        onChange={(e) => handleSeedChange(e.target.value)}
+                        style={{ flex: 1 }}
+                        disabled={controlsDisabled}
+                    />
+                    <button 
+                        type="button"
+                        onClick={() => setSeed(randomSeed())}
+                        disabled={controlsDisabled}
+                        title="Draw a new seed"
+                        style={{ padding: '2px 8px' }}
+                    >
+                        New
+                    </button>
                 </div>
             </div>
             
@@ -369,7 +1059,21 @@ export function SimulationControls({
             <h3 style={{ textAlign: 'center', margin: '20px 0 10px' }}>Initial Configuration</h3>
             
             <div className="control-group">
-                <div className={controlsDisabled ? 'disabled-container' : ''}>
+                <label htmlFor="random-initial-state" style={{ display: 'flex', alignItems: 'center' }}>
+                    <input 
+                        id="random-initial-state"
+                        type="checkbox"
+                        checked={randomInitialState}
+                        onChange={(e) => setRandomInitialState(e.target.checked)}
+                        style={{ marginRight: '8px' }}
+                        disabled={controlsDisabled}
+                    />
+                    Random initial state (from the seed)
+                </label>
+            </div>
+            
+            <div className="control-group">
+                <div className={controlsDisabled || randomInitialState ? 'disabled-container' : ''}>
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
                         <label style={{ margin: 0 }}>Non-identity Operators: {operators.length}</label>
                         <div style={{ display: 'flex' }}>
@@ -405,16 +1109,13 @@ export function SimulationControls({
                             }}>
                                 <div style={{ display: 'flex', alignItems: 'center', width: '100%' }}>
                                     <label style={{ marginRight: '10px' }}>Type:</label>
-                                    <select 
+                                    <CellOperatorSelect 
                                         value={op.type} 
-                                        onChange={(e) => updateOperator(index, 'type', e.target.value)}
-                                        style={{ marginRight: '15px' }}
+                                        cellQubits={cellQubits}
+                                        modulus={modulus}
+                                        onChange={(value) => updateOperator(index, 'type', value)}
                                         disabled={controlsDisabled}
-                                    >
-                                        <option value="X">X</option>
-                                        <option value="Y">Y</option>
-                                        <option value="Z">Z</option>
-                                    </select>
+                                    />
                                     
                                     <label style={{ marginRight: '10px' }}>Position:</label>
                                     <input 
@@ -440,21 +1141,497 @@ export function SimulationControls({
     );
 }
 
+/**
+ * Strip of lattice sites on which rule regions are painted by dragging
+ * Sites left on the default brush follow the rule matrices above
+ * 
+ * @param {Object} props - Component properties
+ * @param {Array} props.siteBrushes - Brush name per site, null for the default rule
+ * @param {Object} props.rules - Map from brush name to rule matrix
+ * @param {Function} props.onChange - Callback with the new brush per site
+ * @param {boolean} props.disabled - Whether painting is disabled
+ */
+function RuleRegionPainter({ siteBrushes, rules, onChange, disabled }) {
+    const [brush, setBrush] = useState(IDENTITY_BRUSH);
+    const [painting, setPainting] = useState(null);
+    
+    const brushNames = Object.keys(rules);
+    const colorOf = name => REGION_COLORS[brushNames.indexOf(name) % REGION_COLORS.length];
+    const size = siteBrushes.length;
+    const overrides = overridesFromSites(siteBrushes, rules);
+    
+    // Paint a site while the mouse button is held down
+    const paint = (site, current = painting) => {
+        if (disabled || !current) return;
+        const value = brush === 'Default' ? null : brush;
+        if (current[site] === value) return;
+        const next = [...current];
+        next[site] = value;
+        setPainting(next);
+        onChange(next);
+    };
+    
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '5px' }}>
+                <label htmlFor="rule-brush" style={{ margin: 0 }}>Rule regions:</label>
+                <div style={{ display: 'flex', gap: '5px' }}>
+                    <select 
+                        id="rule-brush"
+                        value={brush}
+                        onChange={(e) => setBrush(e.target.value)}
+                        disabled={disabled}
+                        style={{ maxWidth: '160px' }}
+                    >
+                        <option value="Default">Default (erase)</option>
+                        {brushNames.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                    <button 
+                        type="button"
+                        onClick={() => onChange(Array(size).fill(null))}
+                        disabled={disabled || overrides.length === 0}
+                        style={{ padding: '2px 8px' }}
+                    >
+                        Clear
+                    </button>
+                </div>
+            </div>
+            <svg 
+                width="100%" 
+                height="20" 
+                viewBox={`0 0 ${size} 1`} 
+                preserveAspectRatio="none"
+                style={{ display: 'block', cursor: disabled ? 'default' : 'crosshair', border: '1px solid #ddd' }}
+                onMouseUp={() => setPainting(null)}
+                onMouseLeave={() => setPainting(null)}
+            >
+                {siteBrushes.map((name, i) => (
+                    <rect 
+                        key={i}
+                        x={i}
+                        y={0}
+                        width={1}
+                        height={1}
+                        fill={name ? colorOf(name) : '#f5f5f5'}
+                        onMouseDown={() => { setPainting(siteBrushes); paint(i, siteBrushes); }}
+                        onMouseEnter={() => paint(i)}
+                    >
+                        <title>{`Site ${i}: ${name || 'default rule'}`}</title>
+                    </rect>
+                ))}
+            </svg>
+            <div style={{ fontSize: '0.8rem', marginTop: '4px', color: '#555' }}>
+                {overrides.length === 0
+                    ? 'Drag over the sites to place impurities or domains of another rule.'
+                    : overrides.map(({ from, to, name }) => (
+                        <div key={from}>
+                            <span style={{ color: colorOf(name) }}>■</span> {from === to ? `site ${from}` : `sites ${from}–${to}`}: {name}
+                        </div>
+                    ))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Compose the rule being edited with a preset or with its inverse, or raise it to a power
+ * The result is shown as a Laurent matrix and replaces the rule when its
+ * neighbourhood fits into the lattice. Presets with a rule sequence enter
+ * through their one-period matrix.
+ * 
+ * @param {Object} props - Component properties
+ * @param {Array} props.ruleMatrix - Rule matrix being edited
+ * @param {number} props.modulus - Prime local dimension p
+ * @param {number} props.latticeSize - Number of cells the rule will run on
+ * @param {Function} props.onApply - Callback with the composed rule matrix
+ * @param {boolean} props.disabled - Whether the controls are disabled
+ */
+function RuleComposer({ ruleMatrix, modulus, latticeSize, onApply, disabled }) {
+    const [partner, setPartner] = useState(INVERSE_PARTNER);
+    const [order, setOrder] = useState('after');
+    const [power, setPower] = useState('2');
+    const [result, setResult] = useState(null); // {label, laurentMatrix} or {error}
+    
+    // A new rule invalidates the result
+    useEffect(() => {
+        setResult(null);
+    }, [ruleMatrix, modulus]);
+    
+    const cellQubits = getCellQubits(ruleMatrix);
+    const presetNames = Object.keys(PRESETS).filter(name => {
+        const preset = PRESETS[name];
+        return (preset.modulus || 2) === modulus && getCellQubits(presetRuleSequence(preset)[0]) === cellQubits;
+    });
+    
+    const handleCompose = () => {
+        try {
+            let partnerRule;
+            if (partner === INVERSE_PARTNER) {
+                partnerRule = inverseRuleMatrix(ruleMatrix, modulus);
+            } else {
+                const sequence = presetRuleSequence(PRESETS[partner]);
+                partnerRule = sequence.length > 1
+                    ? laurentToRuleMatrix(ruleSequenceToLaurent(sequence, modulus))
+                    : sequence[0];
+            }
+            const name = partner === INVERSE_PARTNER ? 'M⁻¹' : partner;
+            setResult(order === 'after'
+                ? { label: `${name} after M`, laurentMatrix: composeRules(ruleMatrix, partnerRule, modulus) }
+                : { label: `M after ${name}`, laurentMatrix: composeRules(partnerRule, ruleMatrix, modulus) });
+        } catch (error) {
+            setResult({ error: error.message });
+        }
+    };
+    
+    const handlePower = () => {
+        const k = Number(power);
+        if (!Number.isInteger(k)) {
+            setResult({ error: 'Enter an integer power' });
+            return;
+        }
+        try {
+            setResult({ label: `M^${k}`, laurentMatrix: rulePower(ruleMatrix, k, modulus) });
+        } catch (error) {
+            setResult({ error: error.message });
+        }
+    };
+    
+    const composed = result && result.laurentMatrix ? loadableRuleMatrix(result.laurentMatrix, latticeSize) : null;
+    
+    return (
+        <div style={{ marginTop: '10px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '5px', flexWrap: 'wrap' }}>
+                <label htmlFor="compose-partner" style={{ margin: 0 }}>Compose with:</label>
+                <select 
+                    id="compose-partner"
+                    value={partner}
+                    onChange={(e) => setPartner(e.target.value)}
+                    disabled={disabled}
+                    style={{ maxWidth: '140px' }}
+                >
+                    <option value={INVERSE_PARTNER}>{INVERSE_PARTNER}</option>
+                    {presetNames.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+                <select 
+                    value={order}
+                    onChange={(e) => setOrder(e.target.value)}
+                    disabled={disabled}
+                    title="Which rule acts first"
+                >
+                    <option value="after">after M</option>
+                    <option value="before">before M</option>
+                </select>
+                <button type="button" onClick={handleCompose} disabled={disabled} style={{ padding: '2px 8px' }}>
+                    Compose
+                </button>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '5px', marginTop: '5px' }}>
+                <label htmlFor="rule-power" style={{ margin: 0 }}>Power k:</label>
+                <input 
+                    id="rule-power"
+                    type="number"
+                    step="1"
+                    value={power}
+                    onChange={(e) => setPower(e.target.value)}
+                    disabled={disabled}
+                    style={{ width: '60px', padding: '2px' }}
+                />
+                <button type="button" onClick={handlePower} disabled={disabled} style={{ padding: '2px 8px' }}>
+                    Mᵏ
+                </button>
+            </div>
+            {result && (
+                <div style={{ fontSize: '0.8rem', marginTop: '5px', color: result.error ? '#c62828' : '#555' }}>
+                    {result.error || (
+                        <>
+                            <div>
+                                {result.label}: [{result.laurentMatrix.map(row => row.map(p => p.toString()).join(', ')).join('; ')}]
+                                {isIdentityMatrix(result.laurentMatrix) && ' = I'}
+                            </div>
+                            {composed ? (
+                                <button 
+                                    type="button"
+                                    onClick={() => onApply(composed)}
+                                    disabled={disabled}
+                                    style={{ padding: '2px 8px', marginTop: '3px' }}
+                                >
+                                    Use as rule (radius {getRuleRadius(composed)})
+                                </button>
+                            ) : (
+                                <div>
+                                    Radius {getRuleRadius(laurentToRuleMatrix(result.laurentMatrix))} is too large: the neighbourhood does not fit into {latticeSize} cells
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Replace the rule being edited by a random valid rule of the same radius and cell size
+ * Each rule comes from a seed, so a rule worth keeping can be drawn again;
+ * after drawing, the seed moves on to a fresh one.
+ * 
+ * @param {Object} props - Component properties
+ * @param {Array} props.ruleMatrix - Rule matrix being edited
+ * @param {number} props.modulus - Prime local dimension p
+ * @param {Function} props.onGenerate - Callback with the random rule matrix
+ * @param {boolean} props.disabled - Whether the controls are disabled
+ */
+function RandomRuleControl({ ruleMatrix, modulus, onGenerate, disabled }) {
+    const [seed, setSeed] = useState(() => randomSeed());
+    const [message, setMessage] = useState(null); // {text} or {error}
+    
+    const radius = getRuleRadius(ruleMatrix);
+    
+    const handleGenerate = () => {
+        try {
+            onGenerate(randomRuleMatrix({ radius, cellQubits: getCellQubits(ruleMatrix), modulus, seed }));
+            setMessage({ text: `Rule from seed ${seed}` });
+            setSeed(randomSeed());
+        } catch (error) {
+            setMessage({ error: error.message });
+        }
+    };
+    
+    return (
+        <div style={{ marginTop: '10px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+                <label htmlFor="rule-seed" style={{ margin: 0 }}>Rule seed:</label>
+                <input 
+                    id="rule-seed"
+                    type="number"
+                    min="0"
+                    max="4294967295"
+                    value={seed}
+                    onChange={(e) => {
+                        const parsed = parseInt(e.target.value, 10);
+                        if (!isNaN(parsed) && parsed >= 0) setSeed(parsed >>> 0);
+                    }}
+                    disabled={disabled}
+                    style={{ width: '110px', padding: '2px' }}
+                />
+                <button 
+                    type="button"
+                    onClick={handleGenerate}
+                    disabled={disabled}
+                    title={`Draw an invertible symplectic rule of radius ${radius}`}
+                    style={{ padding: '2px 8px' }}
+                >
+                    Random valid rule
+                </button>
+            </div>
+            {message && (
+                <div style={{ fontSize: '0.8rem', marginTop: '3px', color: message.error ? '#c62828' : '#555' }}>
+                    {message.error || message.text}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Operator type selector with one Pauli select per qubit of the cell
+ * 
+ * @param {Object} props - Component properties
+ * @param {string} props.value - Cell label such as "X" or "X⊗I"
+ * @param {number} props.cellQubits - Number of qubits per cell
+ * @param {number} props.modulus - Prime local dimension p
+ * @param {Function} props.onChange - Callback with the new cell label
+ * @param {boolean} props.disabled - Whether the selects are disabled
+ */
+function CellOperatorSelect({ value, cellQubits, modulus, onChange, disabled }) {
+    const parts = value.split(CELL_SEPARATOR);
+    // Single-qubit cells need a non-identity operator; larger cells may leave qubits as I
+    const options = cellQubits === 1 ? pauliOptions(modulus) : ['I', ...pauliOptions(modulus)];
+    
+    const handlePartChange = (q, label) => {
+        const newParts = [...parts];
+        newParts[q] = label;
+        onChange(newParts.join(CELL_SEPARATOR));
+    };
+    
+    return (
+        <div style={{ display: 'flex', alignItems: 'center', marginRight: '15px' }}>
+            {parts.map((part, q) => (
+                <React.Fragment key={q}>
+                    {q > 0 && <span style={{ margin: '0 2px' }}>{CELL_SEPARATOR}</span>}
+                    <select 
+                        value={part} 
+                        onChange={(e) => handlePartChange(q, e.target.value)}
+                        disabled={disabled}
+                    >
+                        {options.map(label => (
+                            <option key={label} value={label}>{label}</option>
+                        ))}
+                    </select>
+                </React.Fragment>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Field to fast-forward a paused simulation to a given time step
+ * 
+ * @param {Object} props - Component properties
+ * @param {number} props.currentTime - Time step of the current state
+ * @param {Function} props.onJump - Callback with the target step, resolving to an error message or null
+ * @param {boolean} props.disabled - Whether the field is disabled
+ */
+export function JumpToStepControl({ currentTime, onJump, disabled }) {
+    const [target, setTarget] = useState('');
+    const [error, setError] = useState(null);
+    
+    const handleJump = () => {
+        // Accept exponent notation such as 1e9
+        const t = Number(target);
+        if (!Number.isSafeInteger(t) || t < 0) {
+            setError('Enter a non-negative integer step');
+            return;
+        }
+        Promise.resolve(onJump(t)).then(setError);
+    };
+    
+    return (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '8px', flexWrap: 'wrap' }}>
+            <label htmlFor="jump-to-step" style={{ margin: 0 }}>Jump to step:</label>
+            <input 
+                id="jump-to-step"
+                type="text"
+                inputMode="numeric"
+                placeholder={String(currentTime)}
+                value={target}
+                onChange={(e) => setTarget(e.target.value.trim())}
+                onKeyDown={(e) => e.key === 'Enter' && handleJump()}
+                style={{ width: '120px', padding: '4px' }}
+                disabled={disabled}
+            />
+            <button type="button" onClick={handleJump} disabled={disabled || target === ''}>
+                Jump
+            </button>
+            {error && <span style={{ color: '#c62828', fontSize: '0.85rem' }}>{error}</span>}
+        </div>
+    );
+}
+
+/**
+ * Buttons to evolve a paused simulation into the past with the inverse rule
+ * 
+ * @param {Object} props - Component properties
+ * @param {Function} props.onStepBackward - Callback for a single backward step, resolving to an error message or null
+ * @param {Function} props.onRunBackward - Callback to run backwards, resolving to an error message or null
+ * @param {boolean} props.disabled - Whether the buttons are disabled
+ */
+export function BackwardControls({ onStepBackward, onRunBackward, disabled }) {
+    const [error, setError] = useState(null);
+    
+    return (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '8px', flexWrap: 'wrap' }}>
+            <button type="button" onClick={() => Promise.resolve(onStepBackward()).then(setError)} disabled={disabled}>
+                ◀ Step back
+            </button>
+            <button type="button" onClick={() => Promise.resolve(onRunBackward()).then(setError)} disabled={disabled}>
+                ◀◀ Run backwards
+            </button>
+            {error && <span style={{ color: '#c62828', fontSize: '0.85rem' }}>{error}</span>}
+        </div>
+    );
+}
+
+/**
+ * Download of the run as a circuit for external stabilizer simulators
+ * 
+ * @param {Object} props - Component properties
+ * @param {number} props.currentTime - Time step of the current state, the default number of steps
+ * @param {Function} props.onExport - Callback with the format and number of steps, resolving to an error message or null
+ * @param {boolean} props.disabled - Whether the download is disabled
+ */
+export function ExportCircuitControl({ currentTime, onExport, disabled }) {
+    const [format, setFormat] = useState('stim');
+    const [steps, setSteps] = useState('');
+    const [error, setError] = useState(null);
+    
+    const handleExport = () => {
+        const t = steps === '' ? currentTime : Number(steps);
+        if (!Number.isSafeInteger(t) || t < 0) {
+            setError('Enter a non-negative integer number of steps');
+            return;
+        }
+        Promise.resolve(onExport(format, t)).then(setError);
+    };
+    
+    return (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '8px', flexWrap: 'wrap' }}>
+            <label htmlFor="export-steps" style={{ margin: 0 }}>Export steps:</label>
+            <input 
+                id="export-steps"
+                type="text"
+                inputMode="numeric"
+                placeholder={String(currentTime)}
+                value={steps}
+                onChange={(e) => setSteps(e.target.value.trim())}
+                style={{ width: '80px', padding: '4px' }}
+                disabled={disabled}
+            />
+            <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={disabled}>
+                {Object.entries(CIRCUIT_FORMATS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                ))}
+            </select>
+            <button type="button" onClick={handleExport} disabled={disabled}>
+                Download circuit
+            </button>
+            {error && <span style={{ color: '#c62828', fontSize: '0.85rem' }}>{error}</span>}
+        </div>
+    );
+}
+
+/**
+ * Label for the rule matrix block acting on the neighbour at the given offset
+ * 
+ * @param {number} offset - Neighbour offset (-r..r)
+ * @returns {string} - Block label
+ */
+function blockLabel(offset) {
+    if (offset === -1) return 'A_left';
+    if (offset === 0) return 'A_center';
+    if (offset === 1) return 'A_right';
+    return `A_${offset > 0 ? '+' : ''}${offset}`;
+}
+
 /**
  * Rule matrix editor component
  * 
  * @param {Object} props - Component properties
- * @param {Array} props.ruleMatrix - 2x6 rule matrix
+ * @param {Array} props.ruleMatrix - 2x(4r+2) rule matrix (2n×2n(2r+1) for n-qubit cells)
+ * @param {number} props.modulus - Prime local dimension p (entries are taken mod p)
  * @param {Function} props.onRuleMatrixChange - Callback when rule matrix changes
  * @param {boolean} props.disabled - Whether the editor is disabled
  */
-export function RuleMatrixEditor({ ruleMatrix = DEFAULT_RULE_MATRIX, onRuleMatrixChange, disabled }) {
+export function RuleMatrixEditor({ ruleMatrix = DEFAULT_RULE_MATRIX, modulus = 2, onRuleMatrixChange, disabled }) {
     const [matrix, setMatrix] = useState(ruleMatrix);
     
+    // Keep the editor in sync when the matrix is replaced from outside (e.g. presets)
+    useEffect(() => {
+        setMatrix(ruleMatrix);
+    }, [ruleMatrix]);
+    
+    const radius = getRuleRadius(matrix);
+    const cellQubits = getCellQubits(matrix);
+    const dim = 2 * cellQubits;
+    
     const handleCellChange = (row, col, value) => {
         if (disabled) return;
         
-        const newValue = parseInt(value, 10) % 2; // Ensure binary (0 or 1)
+        const newValue = parseInt(value, 10) % modulus; // Ensure an element of F_p (binary for qubits)
         const newMatrix = [...matrix];
         newMatrix[row] = [...newMatrix[row]];
         newMatrix[row][col] = newValue;
@@ -466,6 +1643,28 @@ export function RuleMatrixEditor({ ruleMatrix = DEFAULT_RULE_MATRIX, onRuleMatri
         }
     };
     
+    const handleRadiusChange = (newRadius) => {
+        if (disabled || newRadius < 1) return;
+        
+        const newMatrix = resizeRuleMatrix(matrix, newRadius);
+        setMatrix(newMatrix);
+        
+        if (onRuleMatrixChange) {
+            onRuleMatrixChange(newMatrix);
+        }
+    };
+    
+    const handleCellQubitsChange = (newQubits) => {
+        if (disabled || newQubits < 1) return;
+        
+        const newMatrix = resizeCellQubits(matrix, newQubits);
+        setMatrix(newMatrix);
+        
+        if (onRuleMatrixChange) {
+            onRuleMatrixChange(newMatrix);
+        }
+    };
+    
     const handleReset = () => {
         if (disabled) return;
         
@@ -476,145 +1675,103 @@ export function RuleMatrixEditor({ ruleMatrix = DEFAULT_RULE_MATRIX, onRuleMatri
         }
     };
     
+    const offsets = Array.from({ length: 2 * radius + 1 }, (_, i) => i - radius);
+    const indices = Array.from({ length: dim }, (_, i) => i);
+    
     return (
         <div className="rule-matrix-editor">
-            <h3>Rule Matrix (2×6 over F₂)</h3>
-            <div className="matrix-vertical-container">
-                {/* A_left Matrix */}
-                <div className="matrix-section">
-                    <div className="matrix-label">A_left</div>
-                    <table className="matrix-table">
-                        <tbody>
-                            {[0, 1].map(rowIndex => (
-                                <tr key={rowIndex}>
-                                    {[0, 1].map(colIndex => {
-                                        const actualColIndex = colIndex;
-                                        return (
-                                            <td key={colIndex} className="left-matrix">
-                                                <div className="number-picker">
-                                                    <button 
-                                                        className="number-picker-btn"
-                                                        onClick={() => {
-                                                            const newMatrix = [...matrix];
-                                                            newMatrix[rowIndex] = [...newMatrix[rowIndex]];
-                                                            newMatrix[rowIndex][actualColIndex] = (newMatrix[rowIndex][actualColIndex] === 0) ? 1 : 0;
-                                                            handleCellChange(rowIndex, actualColIndex, newMatrix[rowIndex][actualColIndex]);
-                                                        }}
-                                                    >
-                                                        −
-                                                    </button>
-                                                    <span className="number-picker-value">{matrix[rowIndex][actualColIndex]}</span>
-                                                    <button 
-                                                        className="number-picker-btn"
-                                                        onClick={() => {
-                                                            const newMatrix = [...matrix];
-                                                            newMatrix[rowIndex] = [...newMatrix[rowIndex]];
-                                                            newMatrix[rowIndex][actualColIndex] = (newMatrix[rowIndex][actualColIndex] + 1) % 2;
-                                                            handleCellChange(rowIndex, actualColIndex, newMatrix[rowIndex][actualColIndex]);
-                                                        }}
-                                                    >
-                                                        +
-                                                    </button>
-                                                </div>
-                                            </td>
-                                        );
-                                    })}
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                </div>
-
-                {/* A_center Matrix */}
-                <div className="matrix-section">
-                    <div className="matrix-label">A_center</div>
-                    <table className="matrix-table">
-                        <tbody>
-                            {[0, 1].map(rowIndex => (
-                                <tr key={rowIndex}>
-                                    {[0, 1].map(colIndex => {
-                                        const actualColIndex = colIndex + 2;
-                                        return (
-                                            <td key={colIndex} className="center-matrix">
-                                                <div className="number-picker">
-                                                    <button 
-                                                        className="number-picker-btn"
-                                                        onClick={() => {
-                                                            const newMatrix = [...matrix];
-                                                            newMatrix[rowIndex] = [...newMatrix[rowIndex]];
-                                                            newMatrix[rowIndex][actualColIndex] = (newMatrix[rowIndex][actualColIndex] === 0) ? 1 : 0;
-                                                            handleCellChange(rowIndex, actualColIndex, newMatrix[rowIndex][actualColIndex]);
-                                                        }}
-                                                    >
-                                                        −
-                                                    </button>
-                                                    <span className="number-picker-value">{matrix[rowIndex][actualColIndex]}</span>
-                                                    <button 
-                                                        className="number-picker-btn"
-                                                        onClick={() => {
-                                                            const newMatrix = [...matrix];
-                                                            newMatrix[rowIndex] = [...newMatrix[rowIndex]];
-                                                            newMatrix[rowIndex][actualColIndex] = (newMatrix[rowIndex][actualColIndex] + 1) % 2;
-                                                            handleCellChange(rowIndex, actualColIndex, newMatrix[rowIndex][actualColIndex]);
-                                                        }}
-                                                    >
-                                                        +
-                                                    </button>
-                                                </div>
-                                            </td>
-                                        );
-                                    })}
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
+            <h3>Rule Matrix ({dim}×{dim * (2 * radius + 1)} over F{subscript(modulus)})</h3>
+            <div className="matrix-section" style={{ justifyContent: 'center' }}>
+                <div className="matrix-label">Qubits/cell</div>
+                <div className="number-picker" style={{ width: '100px' }}>
+                    <button 
+                        className="number-picker-btn"
+                        onClick={() => handleCellQubitsChange(cellQubits - 1)}
+                        disabled={disabled || cellQubits <= 1}
+                    >
+                        −
+                    </button>
+                    <span className="number-picker-value">{cellQubits}</span>
+                    <button 
+                        className="number-picker-btn"
+                        onClick={() => handleCellQubitsChange(cellQubits + 1)}
+                        disabled={disabled}
+                    >
+                        +
+                    </button>
                 </div>
-
-                {/* A_right Matrix */}
-                <div className="matrix-section">
-                    <div className="matrix-label">A_right</div>
-                    <table className="matrix-table">
-                        <tbody>
-                            {[0, 1].map(rowIndex => (
-                                <tr key={rowIndex}>
-                                    {[0, 1].map(colIndex => {
-                                        const actualColIndex = colIndex + 4;
-                                        return (
-                                            <td key={colIndex} className="right-matrix">
-                                                <div className="number-picker">
-                                                    <button 
-                                                        className="number-picker-btn"
-                                                        onClick={() => {
-                                                            const newMatrix = [...matrix];
-                                                            newMatrix[rowIndex] = [...newMatrix[rowIndex]];
-                                                            newMatrix[rowIndex][actualColIndex] = (newMatrix[rowIndex][actualColIndex] === 0) ? 1 : 0;
-                                                            handleCellChange(rowIndex, actualColIndex, newMatrix[rowIndex][actualColIndex]);
-                                                        }}
-                                                    >
-                                                        −
-                                                    </button>
-                                                    <span className="number-picker-value">{matrix[rowIndex][actualColIndex]}</span>
-                                                    <button 
-                                                        className="number-picker-btn"
-                                                        onClick={() => {
-                                                            const newMatrix = [...matrix];
-                                                            newMatrix[rowIndex] = [...newMatrix[rowIndex]];
-                                                            newMatrix[rowIndex][actualColIndex] = (newMatrix[rowIndex][actualColIndex] + 1) % 2;
-                                                            handleCellChange(rowIndex, actualColIndex, newMatrix[rowIndex][actualColIndex]);
-                                                        }}
-                                                    >
-                                                        +
-                                                    </button>
-                                                </div>
-                                            </td>
-                                        );
-                                    })}
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
+            </div>
+            <div className="matrix-section" style={{ justifyContent: 'center' }}>
+                <div className="matrix-label">Radius</div>
+                <div className="number-picker" style={{ width: '100px' }}>
+                    <button 
+                        className="number-picker-btn"
+                        onClick={() => handleRadiusChange(radius - 1)}
+                        disabled={disabled || radius <= 1}
+                    >
+                        −
+                    </button>
+                    <span className="number-picker-value">{radius}</span>
+                    <button 
+                        className="number-picker-btn"
+                        onClick={() => handleRadiusChange(radius + 1)}
+                        disabled={disabled}
+                    >
+                        +
+                    </button>
                 </div>
             </div>
+            <div className="matrix-vertical-container">
+                {offsets.map(offset => {
+                    const blockClass = offset < 0 ? 'left-matrix' : (offset === 0 ? 'center-matrix' : 'right-matrix');
+                    return (
+                        <div className="matrix-section" key={offset}>
+                            <div className="matrix-label">{blockLabel(offset)}</div>
+                            <table className="matrix-table">
+                                <tbody>
+                                    {indices.map(rowIndex => (
+                                        <tr key={rowIndex}>
+                                            {indices.map(colIndex => {
+                                                const actualColIndex = dim * (offset + radius) + colIndex;
+                                                const value = matrix[rowIndex][actualColIndex];
+                                                return (
+                                                    <td key={colIndex} className={blockClass}>
+                                                        {dim > 2 ? (
+                                                            // Larger blocks use compact entries that cycle on click
+                                                            <button 
+                                                                className="number-picker-btn"
+                                                                onClick={() => handleCellChange(rowIndex, actualColIndex, (value + 1) % modulus)}
+                                                            >
+                                                                {value}
+                                                            </button>
+                                                        ) : (
+                                                            <div className="number-picker">
+                                                                <button 
+                                                                    className="number-picker-btn"
+                                                                    onClick={() => handleCellChange(rowIndex, actualColIndex, (value + modulus - 1) % modulus)}
+                                                                >
+                                                                    −
+                                                                </button>
+                                                                <span className="number-picker-value">{value}</span>
+                                                                <button 
+                                                                    className="number-picker-btn"
+                                                                    onClick={() => handleCellChange(rowIndex, actualColIndex, (value + 1) % modulus)}
+                                                                >
+                                                                    +
+                                                                </button>
+                                                            </div>
+                                                        )}
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    );
+                })}
+            </div>
         </div>
     );
-} 
\ No newline at end of file
+} 
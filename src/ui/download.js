@@ -0,0 +1,19 @@
+/**
+ * File downloads from the browser
+ */
+
+/**
+ * Offer text as a file download
+ * 
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type of the file
+ */
+export function downloadTextFile(filename, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -1,10 +1,12 @@
 import * as d3 from 'd3';
-import { getPauliLabel, getPauliColor } from '../simulation/clifford.js';
+import { getPauliLabel, getPauliColor, cellToPaulis } from '../simulation/clifford.js';
 
 // Global state for canvas rendering
 let canvasContext = null;
 let canvasElement = null;
-let currentTimeStep = 0;
+let scrollCanvas = null;
+let drawnStart = 0; // History indices of the rows on the canvas
+let drawnEnd = 0;
 let cellSize = 0;
 let lastLatticeSize = 0;
 
@@ -15,9 +17,13 @@ function calculateCellSize(containerWidth, containerHeight, latticeSize, minSize
 
 /**
  * Render a spacetime diagram showing the evolution of a 1D QCA
- * using Canvas for performance
+ * using Canvas for performance (modulus selects the qudit colour map).
+ * Cells of n qubits are split into n sub-columns, one per qubit.
+ * The history is a PackedHistory: only new rows are read and drawn, states that
+ * leave a rolling history window scroll out of the top, and sites hit by a
+ * Pauli error are outlined.
  */
-export function renderSpacetimeDiagram(elementId, history, cellSizeParam = null) {
+export function renderSpacetimeDiagram(elementId, history, cellSizeParam = null, modulus = 2) {
   const container = d3.select(`#${elementId}`)
     .style('overflow-y', 'auto')
     .style('position',   'relative')
@@ -26,13 +32,14 @@ export function renderSpacetimeDiagram(elementId, history, cellSizeParam = null)
 
   if (!history || history.length === 0 || container.empty()) return;
 
-  const latticeSize     = history[0].length;
+  const latticeSize     = history.size;
+  const cellQubits      = history.components / 2;
   const containerWidth  = container.node().getBoundingClientRect().width;
   const containerHeight = container.node().getBoundingClientRect().height || 400;
 
   // Determine cell size - ensure minimum size of 1px for large lattices
   if (!cellSize || lastLatticeSize !== latticeSize) {
-    cellSize = cellSizeParam || calculateCellSize(containerWidth, containerHeight, latticeSize);
+    cellSize = cellSizeParam || calculateCellSize(containerWidth, containerHeight, latticeSize, cellQubits);
     lastLatticeSize = latticeSize;
   }
   const width = latticeSize * cellSize;
@@ -42,9 +49,11 @@ export function renderSpacetimeDiagram(elementId, history, cellSizeParam = null)
   const startX = Math.floor((containerWidth - width) / 2);
 
   // First‐time initialization
-  const isNewCanvas = !canvasElement || !canvasContext || container.select('canvas').empty();
+  const isNewCanvas = !canvasElement || !canvasContext || container.select('canvas').empty() ||
+    history.start < drawnStart || history.end < drawnEnd;
   if (isNewCanvas) {
-    currentTimeStep = 0;
+    drawnStart = history.start;
+    drawnEnd = history.start;
     container.html('');
 
     // Limit canvas dimensions for very large states to prevent browser limitations
@@ -91,8 +100,28 @@ export function renderSpacetimeDiagram(elementId, history, cellSizeParam = null)
     container.node().scrollTop = scrollPosition;
   }
 
-  drawTimeSteps(history, currentTimeStep, latticeSize, startX);
-  currentTimeStep = history.length;
+  // Scroll the rows of states dropped from the history window out of the top
+  if (history.start > drawnStart) {
+    const canvasWidth = canvasElement.width;
+    const keptRows    = Math.max(drawnEnd - history.start, 0);
+    if (!scrollCanvas) scrollCanvas = document.createElement('canvas');
+    scrollCanvas.width  = canvasWidth;
+    scrollCanvas.height = canvasElement.height;
+    scrollCanvas.getContext('2d').drawImage(canvasElement, 0, 0);
+
+    canvasContext.globalAlpha = 1;
+    canvasContext.clearRect(0, 0, canvasWidth, canvasElement.height);
+    drawGrid(latticeSize, canvasElement.height, canvasWidth, startX);
+    if (keptRows > 0) {
+      const offset = (history.start - drawnStart) * cellSize;
+      canvasContext.drawImage(scrollCanvas, 0, offset, canvasWidth, keptRows * cellSize, 0, 0, canvasWidth, keptRows * cellSize);
+    }
+    drawnStart = history.start;
+    drawnEnd   = Math.max(drawnEnd, history.start);
+  }
+
+  drawTimeSteps(history, drawnEnd, latticeSize, startX);
+  drawnEnd = history.end;
 
   // Store the startX value to use for current state visualization
   window.currentVisualizationStartX = startX;
@@ -123,23 +152,29 @@ export function renderSpacetimeDiagram(elementId, history, cellSizeParam = null)
     }
   }
 
-  function drawTimeSteps(history, startTime, latticeSize, startX) {
+  function drawTimeSteps(history, startIndex, latticeSize, startX) {
     // Store whether grid lines should be drawn
     const drawGridLines = latticeSize < 250;
     const canvasWidth = canvasElement.width;
+    const subWidth = cellSize / cellQubits;
     
-    for (let t = startTime; t < history.length; t++) {
+    for (let index = startIndex; index < history.end; index++) {
+      // Row of the state within the history window
+      const t = index - history.start;
       for (let x = 0; x < latticeSize; x++) {
         // Skip cells that are beyond the canvas width
         if ((startX + x * cellSize) >= canvasWidth) continue;
         
-        const pauli = history[t][x];
-        const label = getPauliLabel(pauli);
-        const color = getPauliColor(pauli);
+        // Read the components of each qubit straight from the packed state
+        for (let q = 0; q < cellQubits; q++) {
+          const pauli = [history.value(index, x, q), history.value(index, x, cellQubits + q)];
+          const label = getPauliLabel(pauli, modulus);
+          const color = getPauliColor(pauli, modulus);
 
-        canvasContext.fillStyle   = color;
-        canvasContext.globalAlpha = (label === 'I' ? 0.3 : 0.9);
-        canvasContext.fillRect(startX + x * cellSize, t * cellSize, cellSize, cellSize);
+          canvasContext.fillStyle   = color;
+          canvasContext.globalAlpha = (label === 'I' ? 0.3 : 0.9);
+          canvasContext.fillRect(startX + x * cellSize + q * subWidth, t * cellSize, subWidth, cellSize);
+        }
 
         // Only draw cell borders if lattice size is less than 250
         if (drawGridLines) {
@@ -149,6 +184,25 @@ export function renderSpacetimeDiagram(elementId, history, cellSizeParam = null)
           canvasContext.strokeRect(startX + x * cellSize, t * cellSize, cellSize, cellSize);
         }
       }
+
+      // Outline the sites hit by noise (too small to outline: fill them dark)
+      const flips = history.flipsAt(index);
+      if (flips.length > 0) {
+        canvasContext.globalAlpha = 1;
+        canvasContext.strokeStyle = '#111';
+        canvasContext.fillStyle   = '#111';
+        canvasContext.lineWidth   = Math.max(1, Math.floor(cellSize / 5));
+        for (const x of flips) {
+          if ((startX + x * cellSize) >= canvasWidth) continue;
+          if (cellSize >= 4) {
+            const inset = canvasContext.lineWidth / 2;
+            canvasContext.strokeRect(startX + x * cellSize + inset, t * cellSize + inset,
+                                     cellSize - 2 * inset, cellSize - 2 * inset);
+          } else {
+            canvasContext.fillRect(startX + x * cellSize, t * cellSize, cellSize, cellSize);
+          }
+        }
+      }
     }
   }
 }
@@ -156,7 +210,7 @@ export function renderSpacetimeDiagram(elementId, history, cellSizeParam = null)
 /**
  * Render the current state of the automaton using a direct canvas element
  */
-export function renderCurrentState(elId, state, sizeParam = null) {
+export function renderCurrentState(elId, state, sizeParam = null, modulus = 2) {
     const canvas = document.getElementById(elId);
     if (!canvas) return;
     
@@ -207,13 +261,17 @@ export function renderCurrentState(elId, state, sizeParam = null) {
         // Skip cells that are beyond the canvas width
         if ((startX + i * s) >= width) continue;
         
-        const pauli = state[i];
-        const label = getPauliLabel(pauli);
-        const color = getPauliColor(pauli);
-        
-        ctx.fillStyle = color;
-        ctx.globalAlpha = (label === 'I' ? 0.3 : 0.9);
-        ctx.fillRect(startX + i * s, 0, s, height);
+        // One sub-column per qubit of the cell
+        const paulis = cellToPaulis(state[i]);
+        const subWidth = s / paulis.length;
+        paulis.forEach((pauli, q) => {
+            const label = getPauliLabel(pauli, modulus);
+            const color = getPauliColor(pauli, modulus);
+            
+            ctx.fillStyle = color;
+            ctx.globalAlpha = (label === 'I' ? 0.3 : 0.9);
+            ctx.fillRect(startX + i * s + q * subWidth, 0, subWidth, height);
+        });
         
         // Only draw cell borders if lattice size is less than 250
         if (drawGridLines) {
@@ -223,4 +281,35 @@ export function renderCurrentState(elId, state, sizeParam = null) {
             ctx.strokeRect(startX + i * s, 0, s, height);
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Draw a small spacetime diagram, e.g. a thumbnail of a rule, onto a canvas
+ * Identity cells stay white; multi-qubit cells show their first qubit.
+ * 
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on, resized to fit the diagram
+ * @param {PackedHistory} history - States to draw, one row per state
+ * @param {number} cellSize - Width and height of a cell in pixels
+ * @param {number} modulus - Local dimension p, which selects the colour map
+ */
+export function renderThumbnail(canvas, history, cellSize = 2, modulus = 2) {
+    if (!canvas || !history || history.length === 0) return;
+    
+    const cellQubits = history.components / 2;
+    canvas.width = history.size * cellSize;
+    canvas.height = history.length * cellSize;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    for (let index = history.start; index < history.end; index++) {
+        const t = index - history.start;
+        for (let x = 0; x < history.size; x++) {
+            const pauli = [history.value(index, x, 0), history.value(index, x, cellQubits)];
+            if (getPauliLabel(pauli, modulus) === 'I') continue;
+            ctx.fillStyle = getPauliColor(pauli, modulus);
+            ctx.fillRect(x * cellSize, t * cellSize, cellSize, cellSize);
+        }
+    }
+}
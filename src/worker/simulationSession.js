@@ -0,0 +1,280 @@
+/**
+ * Simulation session driven by messages
+ *
+ * A session owns the CliffordQCA of a run and the stabilizer analysis of its
+ * states. It receives requests as plain objects through handle() and answers
+ * through the post callback, so the same class runs inside the simulation
+ * worker and, where workers are unavailable, on the main thread.
+ *
+ * Every request carries an id that comes back in a {type: 'done', id, info}
+ * or {type: 'error', id, message} reply. New states are streamed as
+ * {type: 'states', start, entries, flips, ...} in the storage format of
+ * PackedHistory, and stabilizer metrics as {type: 'metrics', index, ...}.
+ * Requests that change the state (init, stepBackward, jumpTo, reset) first
+ * stop a run in progress, answering it as stopped.
+ */
+
+import { createSimulation } from '../simulation/setup.js';
+import { analyzeStabilizerState } from '../analysis/stabilizerAnalysis.js';
+
+// Longest stretch of stepping before the session looks at new messages (ms)
+const BATCH_TIME = 16;
+
+/**
+ * SimulationSession class answering the requests of a WorkerEngine
+ */
+export class SimulationSession {
+    /**
+     * Create a session without an automaton (see init)
+     *
+     * @param {Function} post - Called with (message, transfer) for every reply
+     */
+    constructor(post) {
+        this.post = post;
+        this.qca = null;
+        this.generation = 0; // Counts restarts, so stale metrics can be recognised
+        this.sent = 0; // History index of the next state to stream
+        this.stepTime = 0;
+        this.activeRun = null;
+        this.runTimer = null;
+        this.analysisIndex = null; // Newest state waiting for analysis
+        this.analysisTimer = null;
+    }
+
+    /**
+     * Dispatch one request
+     *
+     * @param {Object} message - Request with type and id
+     */
+    handle(message) {
+        const { type, id } = message;
+        try {
+            switch (type) {
+                case 'init':
+                    this.stopRun();
+                    this.qca = createSimulation(message.params, message.ruleMatrix);
+                    this.restart();
+                    break;
+                case 'run':
+                    this.startRun(id, message.steps, message);
+                    return; // Answered when the run ends
+                case 'stop':
+                    this.stopRun();
+                    break;
+                case 'stepBackward':
+                    this.stopRun();
+                    this.requireSimulation().stepBackward();
+                    this.stream();
+                    break;
+                case 'jumpTo':
+                    this.stopRun();
+                    this.requireSimulation().jumpTo(message.t);
+                    this.restart();
+                    break;
+                case 'reset':
+                    this.stopRun();
+                    this.requireSimulation().reset();
+                    this.restart();
+                    break;
+                case 'cancelAnalysis':
+                    this.cancelAnalysis();
+                    break;
+                default:
+                    throw new Error(`Unknown request type '${type}'`);
+            }
+        } catch (error) {
+            this.post({ type: 'error', id, message: error.message });
+            return;
+        }
+        this.post({ type: 'done', id, info: this.info() });
+    }
+
+    /**
+     * Get the automaton, failing before the first init request
+     *
+     * @returns {CliffordQCA} - Automaton of the session
+     */
+    requireSimulation() {
+        if (!this.qca) {
+            throw new Error("The simulation has not been initialised");
+        }
+        return this.qca;
+    }
+
+    /**
+     * Describe the run, as needed to mirror its history on the other side
+     *
+     * @returns {Object|null} - Shape of the history, time and phase (null before init)
+     */
+    info() {
+        if (!this.qca) return null;
+        const history = this.qca.getHistory();
+        return {
+            size: history.size,
+            components: history.components,
+            modulus: history.modulus,
+            historyLimit: history.limit,
+            time: this.qca.getTime(),
+            phase: this.qca.getPhase(),
+            trackPhase: this.qca.trackPhase,
+            generation: this.generation
+        };
+    }
+
+    /**
+     * Start over after the history was replaced (new run, jump or reset)
+     */
+    restart() {
+        this.generation++;
+        this.cancelAnalysis();
+        this.sent = this.qca.getHistory().start;
+        this.stepTime = 0;
+        this.stream(true);
+    }
+
+    /**
+     * Post the states added since the last message and queue the newest for analysis
+     *
+     * @param {boolean} restart - Whether the receiver must start a new history
+     */
+    stream(restart = false) {
+        const history = this.qca.getHistory();
+        const start = Math.max(this.sent, history.start);
+        const entries = [];
+        const flips = [];
+        for (let index = start; index < history.end; index++) {
+            entries.push(history.entryAt(index));
+            flips.push(history.flipsAt(index));
+        }
+        this.sent = history.end;
+
+        this.post({
+            type: 'states',
+            restart: restart ? this.info() : null,
+            start,
+            entries,
+            flips,
+            time: this.qca.getTime(),
+            phase: this.qca.getPhase(),
+            stepTime: this.stepTime
+        }, entries.map(entry => entry.buffer));
+
+        if (entries.length > 0) {
+            this.scheduleAnalysis(history.end - 1);
+        }
+    }
+
+    /**
+     * Step in batches, streaming the states of each batch
+     * A batch ends after batchSteps steps, after BATCH_TIME ms, or when it
+     * would fill the history window, so no state is dropped before it was sent.
+     *
+     * @param {number} id - Request id, answered when the run ends
+     * @param {number} steps - Number of steps to take
+     * @param {Object} options - {direction: 'forward' | 'backward', batchSteps, interval (ms between batches)}
+     */
+    startRun(id, steps, { direction = 'forward', batchSteps = Infinity, interval = 0 } = {}) {
+        this.stopRun();
+        // The run consumes the same evolution stream as headless scripts (see CliffordQCA.evolve)
+        const stream = this.requireSimulation().evolve({ steps, direction, output: 'time', keepHistory: true });
+        this.activeRun = { id, remaining: steps, stream, batchSteps, interval };
+        this.continueRun();
+    }
+
+    /**
+     * Take the next batch of the active run
+     */
+    continueRun() {
+        const run = this.activeRun;
+        this.runTimer = null;
+        if (!run) return;
+
+        let count = 0;
+        try {
+            const qca = this.requireSimulation();
+            const batchSize = Math.min(run.remaining, run.batchSteps, qca.getHistory().limit);
+            const startTime = performance.now();
+            while (count < batchSize && (count === 0 || performance.now() - startTime < BATCH_TIME)) {
+                run.stream.next();
+                count++;
+            }
+            run.remaining -= count;
+            this.stepTime = count > 0 ? (performance.now() - startTime) / count : 0;
+        } catch (error) {
+            this.activeRun = null;
+            if (count > 0) this.stream();
+            this.post({ type: 'error', id: run.id, message: error.message });
+            return;
+        }
+
+        this.stream();
+        if (run.remaining > 0) {
+            this.runTimer = setTimeout(() => this.continueRun(), run.interval);
+        } else {
+            this.activeRun = null;
+            this.post({ type: 'done', id: run.id, info: this.info() });
+        }
+    }
+
+    /**
+     * End the active run, answering its request
+     */
+    stopRun() {
+        if (this.runTimer !== null) {
+            clearTimeout(this.runTimer);
+            this.runTimer = null;
+        }
+        if (this.activeRun) {
+            this.activeRun.stream.return();
+            this.post({ type: 'done', id: this.activeRun.id, info: this.info(), stopped: true });
+            this.activeRun = null;
+        }
+    }
+
+    /**
+     * Queue the analysis of a state, replacing a job that has not started yet
+     * Only the newest state is analysed: older ones are stale once it arrived.
+     * The analysis covers single-qubit cells over F2, like the analysis panel.
+     *
+     * @param {number} index - History index of the state
+     */
+    scheduleAnalysis(index) {
+        const history = this.qca.getHistory();
+        if (history.modulus !== 2 || history.components !== 2) return;
+
+        this.analysisIndex = index;
+        if (this.analysisTimer === null) {
+            this.analysisTimer = setTimeout(() => this.runAnalysis(), 0);
+        }
+    }
+
+    /**
+     * Drop the pending analysis job
+     */
+    cancelAnalysis() {
+        if (this.analysisTimer !== null) {
+            clearTimeout(this.analysisTimer);
+            this.analysisTimer = null;
+        }
+        this.analysisIndex = null;
+    }
+
+    /**
+     * Analyse the newest queued state and post its metrics
+     */
+    runAnalysis() {
+        const index = this.analysisIndex;
+        this.analysisTimer = null;
+        this.analysisIndex = null;
+
+        const history = this.qca.getHistory();
+        if (index === null || index < history.start || index >= history.end) return;
+
+        try {
+            const metrics = analyzeStabilizerState(history.get(index), history.size, this.qca.boundary);
+            this.post({ type: 'metrics', generation: this.generation, index, ...metrics });
+        } catch (error) {
+            console.error("Error analysing the simulation state:", error);
+        }
+    }
+}
@@ -0,0 +1,9 @@
+/**
+ * Entry point of the simulation worker (see WorkerEngine)
+ */
+
+import { SimulationSession } from './simulationSession.js';
+
+const session = new SimulationSession((message, transfer) => self.postMessage(message, transfer));
+
+self.onmessage = event => session.handle(event.data);
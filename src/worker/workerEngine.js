@@ -0,0 +1,222 @@
+/**
+ * Main-thread client of the simulation worker
+ *
+ * Stepping a large lattice and analysing its stabilizer group can take longer
+ * than a frame, so the CliffordQCA lives in a Web Worker (see
+ * SimulationSession). The engine sends it requests, each answered through a
+ * promise, and keeps a mirror of its history that the UI reads synchronously.
+ * States and metrics arrive as a stream; subscribe() to be told about them.
+ *
+ * Without Worker support (e.g. in node scripts) the session runs on this
+ * thread, with the same asynchronous replies.
+ */
+
+import { PackedHistory } from '../simulation/history.js';
+import { SimulationSession } from './simulationSession.js';
+
+/**
+ * WorkerEngine class mirroring a simulation that runs in a worker
+ */
+export class WorkerEngine {
+    /**
+     * Start the worker (or the in-thread session) without a simulation
+     */
+    constructor() {
+        this.nextId = 0;
+        this.pending = new Map(); // Request id -> {resolve, reject}
+        this.listeners = new Set();
+        this.history = null;
+        this.time = 0;
+        this.phase = 0;
+        this.trackPhase = false;
+        this.generation = 0;
+
+        if (typeof Worker !== 'undefined') {
+            this.worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = event => this.receive(event.data);
+            this.worker.onerror = event => console.error("Simulation worker error:", event.message);
+            this.send = message => this.worker.postMessage(message);
+        } else {
+            this.worker = null;
+            const session = new SimulationSession(message => setTimeout(() => this.receive(message), 0));
+            this.send = message => setTimeout(() => session.handle(message), 0);
+        }
+    }
+
+    /**
+     * Send a request to the session
+     *
+     * @param {string} type - Request type
+     * @param {Object} payload - Fields of the request
+     * @returns {Promise<Object>} - Resolves with the reply, rejects with the error of the session
+     */
+    request(type, payload = {}) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.send({ ...payload, type, id });
+        });
+    }
+
+    /**
+     * Handle a message of the session
+     *
+     * @param {Object} message - Streamed states or metrics, or the reply to a request
+     */
+    receive(message) {
+        switch (message.type) {
+            case 'states':
+                this.receiveStates(message);
+                break;
+            case 'metrics':
+                // Metrics computed before a restart belong to another run
+                if (message.generation !== this.generation) return;
+                break;
+            case 'done':
+            case 'error': {
+                const request = this.pending.get(message.id);
+                if (!request) return;
+                this.pending.delete(message.id);
+                if (message.type === 'error') {
+                    request.reject(new Error(message.message));
+                } else {
+                    request.resolve(message);
+                }
+                return;
+            }
+            default:
+                return;
+        }
+        this.listeners.forEach(listener => listener(message));
+    }
+
+    /**
+     * Append streamed states to the mirrored history
+     *
+     * @param {Object} message - States message of the session
+     */
+    receiveStates(message) {
+        const { restart } = message;
+        if (restart) {
+            this.history = new PackedHistory(restart.size, restart.components, restart.modulus, restart.historyLimit);
+            this.trackPhase = restart.trackPhase;
+            this.generation = restart.generation;
+        }
+        message.entries.forEach((entry, i) => this.history.pushEntry(entry, message.flips[i]));
+        this.time = message.time;
+        this.phase = message.phase;
+    }
+
+    /**
+     * Listen to streamed states and metrics
+     *
+     * @param {Function} listener - Called with every 'states' and 'metrics' message
+     * @returns {Function} - Removes the listener
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Build a new simulation, replacing the current one
+     *
+     * @param {Object} simulationParams - Parameters of the run (see createSimulation)
+     * @param {Array} ruleMatrix - Rule matrix used when the parameters give no rule sequence
+     * @returns {Promise<Object>} - Resolves once the initial state arrived
+     */
+    init(simulationParams, ruleMatrix) {
+        return this.request('init', { params: simulationParams, ruleMatrix });
+    }
+
+    /**
+     * Evolve for a number of steps, streaming the new states
+     *
+     * @param {number} steps - Number of steps
+     * @param {Object} options - {direction: 'forward' | 'backward', batchSteps, interval (ms between batches)}
+     * @returns {Promise<Object>} - Resolves when the run ended ({stopped: true} when stopped early)
+     */
+    run(steps, options = {}) {
+        return this.request('run', { ...options, steps });
+    }
+
+    /**
+     * Stop the active run
+     *
+     * @returns {Promise<Object>} - Resolves once the session stopped
+     */
+    stop() {
+        return this.request('stop');
+    }
+
+    /**
+     * Take one step into the past (see CliffordQCA.stepBackward)
+     *
+     * @returns {Promise<Object>} - Resolves once the state arrived
+     */
+    stepBackward() {
+        return this.request('stepBackward');
+    }
+
+    /**
+     * Restart the history from the state at time t (see CliffordQCA.jumpTo)
+     *
+     * @param {number} t - Time step to jump to
+     * @returns {Promise<Object>} - Resolves once the state arrived
+     */
+    jumpTo(t) {
+        return this.request('jumpTo', { t });
+    }
+
+    /**
+     * Reset the automaton to all identity operators
+     *
+     * @returns {Promise<Object>} - Resolves once the state arrived
+     */
+    reset() {
+        return this.request('reset');
+    }
+
+    /**
+     * Drop the analysis job the session has not started yet
+     */
+    cancelAnalysis() {
+        this.send({ type: 'cancelAnalysis', id: null });
+    }
+
+    /**
+     * Mirrored history of the simulation
+     *
+     * @returns {PackedHistory|null} - History (null before the first init)
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Time step of the newest state
+     *
+     * @returns {number} - Number of steps since the initial state
+     */
+    getTime() {
+        return this.time;
+    }
+
+    /**
+     * Global phase of the newest state
+     *
+     * @returns {number} - Exponent k of the phase i^k
+     */
+    getPhase() {
+        return this.phase;
+    }
+
+    /**
+     * Stop the worker; pending requests are never answered
+     */
+    terminate() {
+        if (this.worker) this.worker.terminate();
+        this.pending.clear();
+        this.listeners.clear();
+    }
+}